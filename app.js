@@ -11,6 +11,54 @@ let isPlaying = false;
 let playbackResult = null;
 let logEntries = [];
 
+// Режим определения аккорда по грифу: струна -> лад, выбранные кликом по SVG
+let fretboardMode = false;
+let fretboardShape = {};
+
+// Видимое окно грифа: SVG показывает FRETBOARD_VISIBLE_FRETS ладов, начиная после fretboardStartFret
+// (0 - окно начинается от порожка)
+const FRETBOARD_VISIBLE_FRETS = 8;
+let fretboardStartFret = 0;
+let displayedFingering = null;
+
+// Браузер вариантов аппликатуры: найденные варианты текущего аккорда, выбранный вариант и фильтр по позиции
+const VOICING_BROWSER_LIMIT = 30;
+const VOICING_CHOICES_STORAGE_KEY = 'chordsPlayer.voicingChoices';
+const VOICING_POSITION_FILTERS = [
+    { key: 'all', name: 'Все позиции' },
+    { key: 'open', name: 'Открытые (у порожка)', open: true },
+    { key: '3', name: 'III позиция (2–4 лад)', minFret: 2, maxFret: 4 },
+    { key: '5', name: 'V позиция (5–6 лад)', minFret: 5, maxFret: 6 },
+    { key: '7', name: 'VII позиция (7–8 лад)', minFret: 7, maxFret: 8 },
+    { key: '9', name: 'IX позиция (9–11 лад)', minFret: 9, maxFret: 11 },
+    { key: '12', name: 'XII позиция и выше', minFret: 12, maxFret: Infinity }
+];
+let currentNotes = null;
+let currentVoicings = [];
+let currentVoicingIndex = 0;
+let voicingPositionFilter = 'all';
+
+// Прогрессия аккордов: разобранные такты и управление запущенным планировщиком
+const PROGRESSION_COUNT_IN_BARS = 1;
+let progressionBars = [];
+let progressionPlayback = null;
+
+// Рисунок боя: шаги сетки (null - играть аккорд целиком) и порядок смены удара по клику на шаг сетки
+const STRUM_GRID_CYCLE = ['-', 'D', 'U', '>D', '>U', 'd', 'u'];
+let strumSteps = null;
+
+// Рисунки перебора, сохраненные игроком: [{name, pattern, stepsPerBeat}]
+const PICKING_PATTERNS_STORAGE_KEY = 'chordsPlayer.pickingPatterns';
+
+// Песня, разобранная из ChordPro
+let currentSong = null;
+
+// Внешние MIDI-устройства: доступ, отслеживание нот входа и пауза, после которой набор нот считается аккордом
+let midiAccess = null;
+let midiInputTracker = null;
+let midiInputTimer = null;
+const MIDI_INPUT_SETTLE_MS = 80;
+
 // Оптимизированная база аккордов для автокомплита (только самые популярные)
 const chordDatabase = [
     // Основные мажорные аккорды
@@ -26,7 +74,12 @@ const chordDatabase = [
     // Sus аккорды
     'Csus4', 'Dsus4', 'Esus4', 'Fsus4', 'Gsus4', 'Asus4', 'Bsus4',
     // Добавленные ноты
-    'Cadd9', 'Dadd9', 'Eadd9', 'Fadd9', 'Gadd9', 'Aadd9', 'Badd9'
+    'Cadd9', 'Dadd9', 'Eadd9', 'Fadd9', 'Gadd9', 'Aadd9', 'Badd9',
+    // Слэш-аккорды и обращения
+    'C/G', 'C/E', 'D/F#', 'G/B', 'Am/E', 'Am/G', 'F/C', 'Em/B',
+    // Расширенные и альтерированные аккорды
+    'C9', 'G9', 'Am9', 'Dm9', 'G13', 'C13', 'C7#9', 'E7#9', 'E7alt', 'G7b9',
+    'Bm7b5', 'F#m7b5', 'Cdim7', 'Bdim7', 'AmMaj7', 'Cm11', 'D6/9', 'Cmaj7#11', 'A7sus4', 'D9sus4'
 ];
 
 /**
@@ -45,6 +98,9 @@ function initApp() {
     // Добавляем лог о запуске приложения
     addLogEntry('Приложение запущено', 'info');
     
+    // Показываем такты прогрессии по умолчанию
+    handleProgressionInputChange();
+    
     // Предзагружаем аудиофайлы для ускорения работы
     preloadAudioFiles();
 }
@@ -73,6 +129,73 @@ function initUI() {
     const clearLogButton = document.getElementById('clearLogButton');
     const exportLogButton = document.getElementById('exportLogButton');
     const autocompleteList = document.getElementById('autocompleteList');
+    const identifyModeButton = document.getElementById('identifyModeButton');
+    const clearShapeButton = document.getElementById('clearShapeButton');
+    const fretWindowPrevButton = document.getElementById('fretWindowPrevButton');
+    const fretWindowNextButton = document.getElementById('fretWindowNextButton');
+    const instrumentSelect = document.getElementById('instrumentSelect');
+    const tuningSelect = document.getElementById('tuningSelect');
+    const customTuningInput = document.getElementById('customTuningInput');
+    const capoSelect = document.getElementById('capoSelect');
+    const voicingPrevButton = document.getElementById('voicingPrevButton');
+    const voicingNextButton = document.getElementById('voicingNextButton');
+    const voicingPositionSelect = document.getElementById('voicingPositionSelect');
+    const progressionInput = document.getElementById('progressionInput');
+    const progressionPlayButton = document.getElementById('progressionPlayButton');
+    const progressionStopButton = document.getElementById('progressionStopButton');
+    const strumPatternSelect = document.getElementById('strumPatternSelect');
+    const strumPatternInput = document.getElementById('strumPatternInput');
+    const strumStepSelect = document.getElementById('strumStepSelect');
+    const pickingPatternSelect = document.getElementById('pickingPatternSelect');
+    const pickingPatternInput = document.getElementById('pickingPatternInput');
+    const savePickingPatternButton = document.getElementById('savePickingPatternButton');
+    const deletePickingPatternButton = document.getElementById('deletePickingPatternButton');
+    
+    // Заполняем списки инструментов, строев и положений каподастра
+    Object.keys(NoteUtils.INSTRUMENTS).forEach(key => {
+        instrumentSelect.add(new Option(NoteUtils.INSTRUMENTS[key].name, key));
+    });
+    fillTuningOptions();
+    
+    for (let fret = 0; fret <= NoteUtils.MAX_CAPO_FRET; fret++) {
+        capoSelect.add(new Option(fret === 0 ? 'Нет' : `${fret} лад`, fret));
+    }
+    
+    VOICING_POSITION_FILTERS.forEach(filter => {
+        voicingPositionSelect.add(new Option(filter.name, filter.key));
+    });
+    
+    const transposeKeySelect = document.getElementById('transposeKeySelect');
+    transposeKeySelect.add(new Option('—', ''));
+    ['C', 'Am'].forEach(firstKey => {
+        for (let semitones = 0; semitones < 12; semitones++) {
+            const key = ChordParser.transposeKey(firstKey, semitones);
+            transposeKeySelect.add(new Option(key, key));
+        }
+    });
+    
+    strumPatternSelect.add(new Option('Без боя (аккорд целиком)', ''));
+    Strumming.STRUM_PATTERNS.forEach(preset => {
+        strumPatternSelect.add(new Option(preset.name, preset.key));
+    });
+    strumPatternSelect.add(new Option('Свой рисунок', 'custom'));
+    fillPickingPatternOptions('');
+    
+    const midiLayoutSelect = document.getElementById('midiLayoutSelect');
+    Object.keys(MidiExport.MIDI_LAYOUTS).forEach(layout => {
+        midiLayoutSelect.add(new Option(MidiExport.MIDI_LAYOUTS[layout], layout));
+    });
+    
+    const midiChannelModeSelect = document.getElementById('midiChannelModeSelect');
+    Object.keys(MidiDevices.MIDI_CHANNEL_MODES).forEach(mode => {
+        midiChannelModeSelect.add(new Option(MidiDevices.MIDI_CHANNEL_MODES[mode], mode));
+    });
+    fillMidiPortOptions();
+    
+    const wavBitDepthSelect = document.getElementById('wavBitDepthSelect');
+    WavExport.WAV_BIT_DEPTHS.forEach(bitDepth => {
+        wavBitDepthSelect.add(new Option(`${bitDepth} бит`, bitDepth));
+    });
     
     // Добавляем обработчики событий
     chordInput.addEventListener('input', handleChordInput);
@@ -84,6 +207,51 @@ function initUI() {
     stopButton.addEventListener('click', handleStopButtonClick);
     clearLogButton.addEventListener('click', handleClearLogClick);
     exportLogButton.addEventListener('click', handleExportLogClick);
+    identifyModeButton.addEventListener('click', handleIdentifyModeClick);
+    clearShapeButton.addEventListener('click', handleClearShapeClick);
+    fretWindowPrevButton.addEventListener('click', () => handleFretWindowShift(-1));
+    fretWindowNextButton.addEventListener('click', () => handleFretWindowShift(1));
+    instrumentSelect.addEventListener('change', handleInstrumentChange);
+    tuningSelect.addEventListener('change', handleTuningChange);
+    customTuningInput.addEventListener('change', handleCustomTuningChange);
+    capoSelect.addEventListener('change', handleCapoChange);
+    document.getElementById('auditSamplesButton').addEventListener('click', handleAuditSamplesClick);
+    voicingPrevButton.addEventListener('click', () => handleVoicingShift(-1));
+    voicingNextButton.addEventListener('click', () => handleVoicingShift(1));
+    voicingPositionSelect.addEventListener('change', handleVoicingFilterChange);
+    progressionInput.addEventListener('change', handleProgressionInputChange);
+    document.getElementById('transposeDownButton').addEventListener('click', () => handleTransposeClick(-1));
+    document.getElementById('transposeUpButton').addEventListener('click', () => handleTransposeClick(1));
+    document.getElementById('transposeKeySelect').addEventListener('change', handleTransposeKeyChange);
+    document.getElementById('suggestCapoButton').addEventListener('click', handleSuggestCapoClick);
+    document.getElementById('renderSongButton').addEventListener('click', handleRenderSongClick);
+    document.getElementById('importChordSheetButton').addEventListener('click', handleImportChordSheetClick);
+    document.getElementById('chordProFileInput').addEventListener('change', handleChordProFileChange);
+    document.getElementById('songTransposeDownButton').addEventListener('click', () => handleSongTransposeClick(-1));
+    document.getElementById('songTransposeUpButton').addEventListener('click', () => handleSongTransposeClick(1));
+    document.getElementById('exportChordProButton').addEventListener('click', handleExportChordProClick);
+    document.getElementById('exportProgressionMidiButton').addEventListener('click', handleExportProgressionMidiClick);
+    document.getElementById('exportChordMidiButton').addEventListener('click', handleExportChordMidiClick);
+    document.getElementById('exportProgressionWavButton').addEventListener('click', handleExportProgressionWavClick);
+    document.getElementById('midiConnectButton').addEventListener('click', handleMidiConnectClick);
+    document.getElementById('midiOutputSelect').addEventListener('change', handleMidiOutputChange);
+    document.getElementById('midiSendButton').addEventListener('click', handleMidiSendClick);
+    document.getElementById('midiInputSelect').addEventListener('change', handleMidiInputChange);
+    document.getElementById('exportChordWavButton').addEventListener('click', handleExportChordWavClick);
+    document.getElementById('exportProgressionMusicXmlButton').addEventListener('click', handleExportProgressionMusicXmlClick);
+    document.getElementById('progressionTabButton').addEventListener('click', handleProgressionTabClick);
+    document.getElementById('copyProgressionTabButton').addEventListener('click', () => handleCopyTextClick('progressionTabText'));
+    document.getElementById('copyChordTextButton').addEventListener('click', () => handleCopyTextClick('chordTextDiagram'));
+    document.getElementById('timeSignatureSelect').addEventListener('change', handleProgressionInputChange);
+    progressionPlayButton.addEventListener('click', handleProgressionPlayClick);
+    progressionStopButton.addEventListener('click', handleProgressionStopClick);
+    strumPatternSelect.addEventListener('change', handleStrumPatternSelect);
+    strumPatternInput.addEventListener('input', handleStrumPatternInput);
+    strumStepSelect.addEventListener('change', () => renderStrumGrid());
+    pickingPatternSelect.addEventListener('change', handlePickingPatternSelect);
+    pickingPatternInput.addEventListener('input', handlePickingPatternInput);
+    savePickingPatternButton.addEventListener('click', handleSavePickingPatternClick);
+    deletePickingPatternButton.addEventListener('click', handleDeletePickingPatternClick);
     
     // Обработчик клика вне поля ввода для скрытия автокомплита
     document.addEventListener('click', handleDocumentClick);
@@ -247,22 +415,21 @@ function processChordInput() {
         // Парсим аккорд
         const notes = ChordParser.parseChord(chordName);
         
-        // Находим оптимальную аппликатуру
-        const optimizeResult = ChordOptimizer.findOptimalFingering(notes, chordName);
+        // Находим варианты аппликатуры (лучший - первый)
+        const optimizeResult = ChordOptimizer.findOptimalFingering(notes, chordName, { topN: VOICING_BROWSER_LIMIT });
+        addLogEntry(`Перебрано ${optimizeResult.totalCombinations} аппликатур, сыграбельных ${optimizeResult.validCombinations}`, 'info');
         
         if (!optimizeResult.bestFingering) {
             throw new Error(`Не найдена подходящая аппликатура для аккорда ${chordName}`);
         }
         
-        // Сохраняем текущий аккорд и аппликатуру
+        // Сохраняем текущий аккорд и его варианты
         currentChord = chordName;
-        currentFingering = optimizeResult.bestFingering.fingering;
-        
-        // Отображаем информацию об аккорде
-        displayChordInfo(chordName, notes, optimizeResult);
+        currentNotes = notes;
+        currentVoicings = optimizeResult.topFingerings;
         
-        // Отображаем аппликатуру на грифе
-        displayFingering(currentFingering);
+        // Показываем вариант, выбранный для этого аккорда раньше, или лучший в выбранной позиции
+        showVoicing(getInitialVoicingIndex(chordName));
         
         // Логируем успешное выполнение
         const endTime = performance.now();
@@ -276,18 +443,162 @@ function processChordInput() {
 }
 
 /**
- * Отображение информации об аккорде
+ * Заполняет список строев текущего инструмента
+ */
+function fillTuningOptions() {
+    const tuningSelect = document.getElementById('tuningSelect');
+    const tunings = NoteUtils.getInstrument().tunings;
+    
+    tuningSelect.innerHTML = '';
+    Object.keys(tunings).forEach(key => {
+        tuningSelect.add(new Option(tunings[key].name, key));
+    });
+    tuningSelect.add(new Option('Свой строй...', 'custom'));
+}
+
+/**
+ * Выбор инструмента: гриф, строй и аппликатуры перестраиваются под его струны
+ */
+function handleInstrumentChange(event) {
+    NoteUtils.setInstrument(event.target.value);
+    
+    // У нового инструмента свои строи, а каподастр снимается
+    fillTuningOptions();
+    document.getElementById('customTuningInput').hidden = true;
+    document.getElementById('capoSelect').value = '0';
+    
+    addLogEntry(`Инструмент: ${NoteUtils.getInstrument().name}`, 'info');
+    applyFretboardSettings();
+}
+
+/**
+ * Выбор строя из списка
+ */
+function handleTuningChange(event) {
+    const customTuningInput = document.getElementById('customTuningInput');
+    
+    if (event.target.value === 'custom') {
+        // Свой строй применяется после ввода нот
+        customTuningInput.hidden = false;
+        customTuningInput.focus();
+        return;
+    }
+    
+    customTuningInput.hidden = true;
+    NoteUtils.setTuning(event.target.value);
+    applyFretboardSettings();
+}
+
+/**
+ * Ввод своего строя (например, "C G D G B D")
+ */
+function handleCustomTuningChange(event) {
+    try {
+        NoteUtils.setTuning(event.target.value);
+        applyFretboardSettings();
+    } catch (error) {
+        addLogEntry(`Ошибка в строе "${event.target.value}": ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Выбор лада каподастра
+ */
+function handleCapoChange(event) {
+    NoteUtils.setCapo(parseInt(event.target.value));
+    applyFretboardSettings();
+}
+
+/**
+ * Проверка строя библиотеки сэмплов: в журнал выводятся расстроенные (отклонение не совпадает с tuneCents манифеста),
+ * неразборчивые и отсутствующие сэмплы
+ */
+async function handleAuditSamplesClick() {
+    const auditSamplesButton = document.getElementById('auditSamplesButton');
+    const buttonText = auditSamplesButton.textContent;
+    auditSamplesButton.disabled = true;
+    addLogEntry('Проверка строя сэмплов...', 'info');
+    
+    try {
+        const { entries, summary } = await AudioMapper.auditSampleLibrary({
+            onProgress: (entry, index, total) => {
+                auditSamplesButton.textContent = `Проверка ${index}/${total}`;
+            }
+        });
+        
+        entries.filter(entry => entry.status !== 'ok').forEach(entry => {
+            const position = `Сэмпл ${entry.filePath} (${entry.string} лад ${entry.fret}, ${entry.expectedNote})`;
+            if (entry.status === 'missing') {
+                addLogEntry(`${position}: файл не загружен`, 'error');
+            } else if (entry.status === 'unclear') {
+                addLogEntry(`${position}: высоту измерить не удалось`, 'error');
+            } else {
+                const sign = entry.cents > 0 ? '+' : '';
+                addLogEntry(`${position}: ${entry.frequency.toFixed(2)} Гц, отклонение ${sign}${entry.cents} центов, в манифесте ${entry.tuneCents} (звучит как ${entry.note})`, 'error');
+            }
+        });
+        
+        const problems = summary.outOfTune + summary.unclear + summary.missing;
+        addLogEntry(
+            `Проверено сэмплов: ${summary.total}, в строе: ${summary.ok}, расстроено: ${summary.outOfTune}, неразборчиво: ${summary.unclear}, отсутствует: ${summary.missing}`,
+            problems === 0 ? 'success' : 'error'
+        );
+    } catch (error) {
+        addLogEntry(`Ошибка проверки сэмплов: ${error.message}`, 'error');
+    } finally {
+        auditSamplesButton.textContent = buttonText;
+        auditSamplesButton.disabled = false;
+    }
+}
+
+/**
+ * Применяет новый строй или каподастр: перестраивает аппликатуру текущего аккорда и гриф
+ */
+function applyFretboardSettings() {
+    addLogEntry(`Строй: ${getTuningDescription()}`, 'info');
+    
+    fretboardStartFret = 0;
+    
+    // Выбранная на грифе форма в другом строе звучит иначе, поэтому сбрасываем ее
+    if (fretboardMode) {
+        handleClearShapeClick();
+        return;
+    }
+    
+    const chordInput = document.getElementById('chordInput');
+    if (chordInput.value.trim()) {
+        processChordInput();
+    } else {
+        clearChordInfo();
+    }
+}
+
+/**
+ * Возвращает описание текущего строя и каподастра (например, "D A D G B e, каподастр на 2 ладу")
+ */
+function getTuningDescription() {
+    const capo = NoteUtils.getCapo();
+    const labels = NoteUtils.getStringLabels().join(' ');
+    
+    return capo > 0 ? `${labels}, каподастр на ${capo} ладу` : labels;
+}
+
+/**
+ * Отображение информации об аккорде и показанном варианте аппликатуры
  */
-function displayChordInfo(chordName, notes, optimizeResult) {
+function displayChordInfo(chordName, notes, voicing) {
     const chordInfo = document.getElementById('chordInfo');
     
     const html = `
         <strong>Аккорд:</strong> ${chordName}<br>
+        <strong>Строй:</strong> ${getTuningDescription()}<br>
         <strong>Ноты:</strong> [${notes.map(note => `"${note}"`).join(', ')}]<br>
-        <strong>Оценка аппликатуры:</strong> ${optimizeResult.bestFingering.score.toFixed(2)}<br>
-        <strong>Диапазон ладов:</strong> ${optimizeResult.bestFingering.fretRange}<br>
-        <strong>Открытых струн:</strong> ${optimizeResult.bestFingering.openStrings}<br>
-        <strong>Требует баррэ:</strong> ${optimizeResult.bestFingering.barreRequirement > 0 ? 'Да' : 'Нет'}
+        <strong>Ступени:</strong> ${notes.degrees.join(' ')}<br>
+        ${notes.bass ? `<strong>Басовая нота:</strong> ${notes.bass}<br>` : ''}
+        <strong>Оценка аппликатуры:</strong> ${voicing.score.toFixed(2)}<br>
+        <strong>Диапазон ладов:</strong> ${voicing.fretRange}<br>
+        <strong>Открытых струн:</strong> ${voicing.openStrings}<br>
+        <strong>Требует баррэ:</strong> ${voicing.barreRequirement > 0 ? 'Да' : 'Нет'}
     `;
     
     chordInfo.innerHTML = html;
@@ -307,11 +618,39 @@ function clearChordInfo() {
     fingeringInfo.innerHTML = '';
     fingeringInfo.classList.remove('show');
     
+    document.getElementById('chordTextOutput').hidden = true;
+    
     // Очищаем гриф
+    displayedFingering = null;
     drawFretboard();
     
     currentChord = null;
     currentFingering = null;
+    currentNotes = null;
+    currentVoicings = [];
+    renderVoicingBrowser();
+}
+
+/**
+ * Возвращает геометрию SVG-грифа (общая для отрисовки грифа, аппликатуры и кликов)
+ */
+function getFretboardGeometry() {
+    // Размер диаграммы и число струн задаются определением инструмента
+    const { width, height } = NoteUtils.getInstrument().diagram;
+    const stringCount = NoteUtils.STRINGS_ORDER.length;
+    const fretCount = FRETBOARD_VISIBLE_FRETS;
+    const margin = 30;
+    
+    return {
+        width,
+        height,
+        stringCount,
+        fretCount,
+        startFret: fretboardStartFret,
+        margin,
+        fretWidth: (width - 2 * margin) / fretCount,
+        stringSpacing: (height - 2 * margin) / (stringCount - 1)
+    };
 }
 
 /**
@@ -319,16 +658,15 @@ function clearChordInfo() {
  */
 function drawFretboard() {
     const svg = document.getElementById('fretboard');
-    const width = 600;
-    const height = 200;
-    const stringCount = 6;
-    const fretCount = 8;
-    const margin = 30;
-    const fretWidth = (width - 2 * margin) / fretCount;
-    const stringSpacing = (height - 2 * margin) / (stringCount - 1);
+    const { width, height, stringCount, fretCount, startFret, margin, fretWidth, stringSpacing } = getFretboardGeometry();
+    const stringLabels = NoteUtils.getStringLabels();
+    const capo = NoteUtils.getCapo();
     
-    // Очищаем SVG
+    // Очищаем SVG и подгоняем его размер под инструмент
     svg.innerHTML = '';
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
     
     // Создаем фрагмент для оптимизации DOM-операций
     const fragment = document.createDocumentFragment();
@@ -353,19 +691,38 @@ function drawFretboard() {
         text.setAttribute('class', 'string-label');
         text.setAttribute('text-anchor', 'middle');
         text.setAttribute('dominant-baseline', 'middle');
-        text.textContent = ['E', 'A', 'D', 'G', 'B', 'e'][i];
+        text.textContent = stringLabels[i];
         fragment.appendChild(text);
     }
     
-    // Рисуем верхний порожек (nut)
+    // Рисуем верхний порожек (nut), а если окно сдвинуто вверх по грифу - обычный ладовый порожек
     const nut = document.createElementNS('http://www.w3.org/2000/svg', 'line');
     nut.setAttribute('x1', margin);
     nut.setAttribute('y1', margin);
     nut.setAttribute('x2', margin);
     nut.setAttribute('y2', height - margin);
-    nut.setAttribute('class', 'nut');
+    nut.setAttribute('class', startFret === 0 ? 'nut' : 'fret');
     fragment.appendChild(nut);
     
+    // Каподастр рисуем на месте порожка: номера ладов отсчитываются от него
+    if (capo > 0) {
+        const capoBar = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        capoBar.setAttribute('x', margin - 4);
+        capoBar.setAttribute('y', margin - 8);
+        capoBar.setAttribute('width', 8);
+        capoBar.setAttribute('height', height - 2 * margin + 16);
+        capoBar.setAttribute('class', 'capo');
+        fragment.appendChild(capoBar);
+        
+        const capoLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        capoLabel.setAttribute('x', margin);
+        capoLabel.setAttribute('y', height - 8);
+        capoLabel.setAttribute('class', 'capo-label');
+        capoLabel.setAttribute('text-anchor', 'start');
+        capoLabel.textContent = `Каподастр: ${capo} лад`;
+        fragment.appendChild(capoLabel);
+    }
+    
     // Рисуем лады
     for (let i = 0; i <= fretCount; i++) {
         const x = margin + i * fretWidth;
@@ -390,34 +747,140 @@ function drawFretboard() {
             text.setAttribute('y', margin - 10);
             text.setAttribute('class', 'fret-label');
             text.setAttribute('text-anchor', 'middle');
-            text.textContent = i.toString();
+            text.textContent = (startFret + i).toString();
             fragment.appendChild(text);
         }
     }
     
+    // В режиме определения аккорда добавляем области для кликов по ладам
+    if (fretboardMode) {
+        appendFretboardHitAreas(fragment);
+    }
+    
     // Добавляем все элементы в SVG за одну операцию
     svg.appendChild(fragment);
+    
+    updateFretWindowControls();
+}
+
+/**
+ * Обновляет подпись и кнопки прокрутки окна грифа
+ */
+function updateFretWindowControls() {
+    const lastStartFret = Math.max(0, NoteUtils.getFretCount() - FRETBOARD_VISIBLE_FRETS);
+    
+    document.getElementById('fretWindowLabel').textContent =
+        `Лады ${fretboardStartFret + 1}–${fretboardStartFret + FRETBOARD_VISIBLE_FRETS}`;
+    document.getElementById('fretWindowPrevButton').disabled = fretboardStartFret === 0;
+    document.getElementById('fretWindowNextButton').disabled = fretboardStartFret >= lastStartFret;
+}
+
+/**
+ * Подбирает окно грифа, в котором видны все зажатые лады аппликатуры
+ * Аппликатуры в первых ладах показываются от порожка, остальные - с лада перед самым нижним
+ */
+function getFittingStartFret(fingering) {
+    const frettedFrets = fingering.filter(position => position.fret > 0).map(position => position.fret);
+    
+    if (frettedFrets.length === 0) {
+        return fretboardStartFret;
+    }
+    
+    const minFret = Math.min(...frettedFrets);
+    const maxFret = Math.max(...frettedFrets);
+    
+    if (maxFret <= FRETBOARD_VISIBLE_FRETS) {
+        return 0;
+    }
+    
+    // Если аппликатура уже видна целиком, окно не сдвигаем
+    if (minFret > fretboardStartFret && maxFret <= fretboardStartFret + FRETBOARD_VISIBLE_FRETS) {
+        return fretboardStartFret;
+    }
+    
+    const lastStartFret = Math.max(0, NoteUtils.getFretCount() - FRETBOARD_VISIBLE_FRETS);
+    return Math.min(minFret - 1, lastStartFret);
+}
+
+/**
+ * Прокрутка окна грифа на один лад к порожку (-1) или к корпусу (+1)
+ */
+function handleFretWindowShift(direction) {
+    const lastStartFret = Math.max(0, NoteUtils.getFretCount() - FRETBOARD_VISIBLE_FRETS);
+    fretboardStartFret = Math.min(Math.max(fretboardStartFret + direction, 0), lastStartFret);
+    
+    if (displayedFingering) {
+        displayFingering(displayedFingering, false);
+    } else {
+        drawFretboard();
+    }
+}
+
+/**
+ * Добавляет прозрачные области для выбора ладов кликом (режим определения аккорда)
+ */
+function appendFretboardHitAreas(fragment) {
+    const { fretCount, startFret, margin, fretWidth, stringSpacing } = getFretboardGeometry();
+    const strings = NoteUtils.STRINGS_ORDER;
+    
+    strings.forEach((string, stringIndex) => {
+        const y = margin + stringIndex * stringSpacing;
+        
+        // Лад 0 - область слева от порожка, остальные лады - ячейки видимого окна между ладовыми порожками
+        for (let cell = 0; cell <= fretCount; cell++) {
+            const fret = cell === 0 ? 0 : startFret + cell;
+            if (fret >= NoteUtils.NOTES_DATA[string].length) break;
+            
+            const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            rect.setAttribute('x', cell === 0 ? 0 : margin + (cell - 1) * fretWidth);
+            rect.setAttribute('y', y - stringSpacing / 2);
+            rect.setAttribute('width', cell === 0 ? margin : fretWidth);
+            rect.setAttribute('height', stringSpacing);
+            rect.setAttribute('class', 'fret-hit-area');
+            rect.addEventListener('click', () => handleFretboardClick(string, fret));
+            fragment.appendChild(rect);
+        }
+    });
 }
 
 /**
  * Отображение аппликатуры на грифе
+ * @param {Array} fingering - Аппликатура
+ * @param {boolean} fitWindow - Сдвинуть окно грифа так, чтобы аппликатура была видна целиком
  */
-function displayFingering(fingering) {
+function displayFingering(fingering, fitWindow = true) {
+    if (fitWindow) {
+        fretboardStartFret = getFittingStartFret(fingering);
+    }
+    displayedFingering = fingering;
+    
     // Сначала перерисовываем пустой гриф
     drawFretboard();
     
     const svg = document.getElementById('fretboard');
-    const width = 600;
-    const height = 200;
-    const stringCount = 6;
-    const fretCount = 8; // Исправляем: должно соответствовать количеству ладов в drawFretboard()
-    const margin = 30;
-    const fretWidth = (width - 2 * margin) / fretCount;
-    const stringSpacing = (height - 2 * margin) / (stringCount - 1);
+    const { fretCount, startFret, margin, fretWidth, stringSpacing } = getFretboardGeometry();
+    
+    // Баррэ рисуем под кружками пальцев: полоса через все прижатые пальцем струны
+    (ChordOptimizer.findBarres(fingering) || []).forEach(barre => {
+        if (barre.fret <= startFret || barre.fret > startFret + fretCount) return;
+        
+        const x = margin + (barre.fret - startFret) * fretWidth - fretWidth / 4;
+        const fromY = margin + NoteUtils.STRINGS_ORDER.indexOf(barre.fromString) * stringSpacing;
+        const toY = margin + NoteUtils.STRINGS_ORDER.indexOf(barre.toString) * stringSpacing;
+        
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('x', x - 8);
+        rect.setAttribute('y', fromY - 8);
+        rect.setAttribute('width', 16);
+        rect.setAttribute('height', toY - fromY + 16);
+        rect.setAttribute('rx', 8);
+        rect.setAttribute('class', 'barre');
+        svg.appendChild(rect);
+    });
     
     // Отображаем позиции пальцев
     fingering.forEach((position, index) => {
-        const stringIndex = ['6E', '5A', '4D', '3G', '2B', '1e'].indexOf(position.string);
+        const stringIndex = NoteUtils.STRINGS_ORDER.indexOf(position.string);
         const y = margin + stringIndex * stringSpacing;
         
         if (position.fret === -1) {
@@ -451,11 +914,11 @@ function displayFingering(fingering) {
             circle.setAttribute('data-string', position.string);
             circle.setAttribute('data-fret', position.fret);
             svg.appendChild(circle);
-        } else {
-            // Активная струна - рисуем круг
+        } else if (position.fret > startFret && position.fret <= startFret + fretCount) {
+            // Активная струна - рисуем круг (лады вне видимого окна не отображаются)
             // Позиция круга должна совпадать с позицией метки лада
-            // Используем ту же формулу, что и для меток ладов: margin + fret * fretWidth - fretWidth / 4
-            const x = margin + position.fret * fretWidth - fretWidth / 4;
+            // Используем ту же формулу, что и для меток ладов: margin + (fret - startFret) * fretWidth - fretWidth / 4
+            const x = margin + (position.fret - startFret) * fretWidth - fretWidth / 4;
             
             const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
             circle.setAttribute('cx', x);
@@ -466,20 +929,32 @@ function displayFingering(fingering) {
             circle.setAttribute('data-fret', position.fret);
             svg.appendChild(circle);
             
-            // Добавляем номер лада
+            // Добавляем номер пальца (T - большой), а если пальцы не назначены - номер лада
             const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
             text.setAttribute('x', x);
             text.setAttribute('y', y + 4);
             text.setAttribute('class', 'finger-position-text');
             text.setAttribute('text-anchor', 'middle');
             text.setAttribute('dominant-baseline', 'middle');
-            text.textContent = position.fret.toString();
+            text.textContent = (position.finger || position.fret).toString();
             svg.appendChild(text);
         }
     });
     
     // Отображаем детальную информацию об аппликатуре
     displayFingeringInfo(fingering);
+    displayChordText(fingering);
+}
+
+/**
+ * Показывает текстовую диаграмму аппликатуры (для копирования в форум или чат)
+ * Название подписывается только у аппликатуры текущего аккорда, а не у формы, собранной на грифе
+ */
+function displayChordText(fingering) {
+    const title = fingering === currentFingering ? currentChord : null;
+    
+    document.getElementById('chordTextDiagram').textContent = AsciiTab.formatChordDiagram(fingering, { title: title });
+    document.getElementById('chordTextOutput').hidden = false;
 }
 
 /**
@@ -495,12 +970,14 @@ function displayFingeringInfo(fingering) {
                 <th style="border: 1px solid #ddd; padding: 5px;">Струна</th>
                 <th style="border: 1px solid #ddd; padding: 5px;">Лад</th>
                 <th style="border: 1px solid #ddd; padding: 5px;">Нота</th>
+                <th style="border: 1px solid #ddd; padding: 5px;">Палец</th>
             </tr>
             ${fingering.map(position => `
                 <tr>
                     <td style="border: 1px solid #ddd; padding: 5px;">${position.string}</td>
                     <td style="border: 1px solid #ddd; padding: 5px;">${position.fret === -1 ? 'немая' : position.fret}</td>
                     <td style="border: 1px solid #ddd; padding: 5px;">${position.note || '-'}</td>
+                    <td style="border: 1px solid #ddd; padding: 5px;">${position.finger || '-'}</td>
                 </tr>
             `).join('')}
         </table>
@@ -511,121 +988,1823 @@ function displayFingeringInfo(fingering) {
 }
 
 /**
- * Обработка клика по кнопке Play
+ * Показывает вариант аппликатуры текущего аккорда: гриф, информацию и браузер вариантов
  */
-async function handlePlayButtonClick() {
-    if (!currentChord || !currentFingering) {
-        addLogEntry('Сначала выберите аккорд', 'error');
-        return;
-    }
+function showVoicing(index) {
+    const voicing = currentVoicings[index];
     
-    if (isPlaying) {
-        addLogEntry('Аккорд уже воспроизводится', 'error');
-        return;
-    }
+    currentVoicingIndex = index;
+    currentFingering = voicing.fingering;
     
-    try {
-        // Обновляем статус
-        updateStatus('playing', 'Воспроизведение аккорда...');
-        
-        // Логируем начало воспроизведения
-        const startTime = performance.now();
-        addLogEntry(`Начало воспроизведения аккорда: ${currentChord}`, 'info');
-        
-        // Воспроизводим аккорд
-        playbackResult = await SynchronousPlayback.playChordWithFingering(audioContext, currentFingering, {
-            volume: 0.7,
-            fadeInDuration: 0.05
-        });
-        
-        if (playbackResult.success) {
-            isPlaying = true;
-            
-            // Обновляем кнопки
-            document.getElementById('playButton').disabled = true;
-            document.getElementById('stopButton').disabled = false;
-            
-            // Подсвечиваем позиции на грифе
-            highlightFingering(true);
-            
-            // Запускаем прогресс-бар
-            startProgressAnimation();
-            
-            // Логируем успешное воспроизведение
-            const endTime = performance.now();
-            const latency = (endTime - startTime).toFixed(2);
-            addLogEntry(`Аккорд ${currentChord} воспроизведен с задержкой ${latency} мс`, 'success');
-            
-            // Автоматически останавливаем через 3 секунды
-            setTimeout(() => {
-                if (isPlaying) {
-                    handleStopButtonClick();
-                }
-            }, 3000);
-        } else {
-            throw new Error(playbackResult.errors.join(', '));
-        }
-        
-    } catch (error) {
-        updateStatus('error', `Ошибка воспроизведения: ${error.message}`);
-        addLogEntry(`Ошибка воспроизведения аккорда ${currentChord}: ${error.message}`, 'error');
-    }
+    displayChordInfo(currentChord, currentNotes, voicing);
+    displayFingering(currentFingering);
+    renderVoicingBrowser();
 }
 
 /**
- * Обработка клика по кнопке Stop
+ * Выбор варианта игроком: вариант запоминается для этого аккорда
  */
-function handleStopButtonClick() {
-    if (!isPlaying) {
-        return;
-    }
-    
-    try {
-        // Останавливаем воспроизведение
-        if (playbackResult) {
-            SynchronousPlayback.stopChord(playbackResult);
-        }
-        
-        isPlaying = false;
-        
-        // Обновляем статус
-        updateStatus('ready', 'Готов к работе');
-        
-        // Обновляем кнопки
-        document.getElementById('playButton').disabled = false;
-        document.getElementById('stopButton').disabled = true;
-        
-        // Убираем подсветку с грифа
-        highlightFingering(false);
-        
-        // Останавливаем прогресс-бар
-        stopProgressAnimation();
-        
-        // Логируем остановку
-        addLogEntry(`Воспроизведение аккорда ${currentChord} остановлено`, 'info');
-        
-    } catch (error) {
-        addLogEntry(`Ошибка при остановке воспроизведения: ${error.message}`, 'error');
-    }
+function selectVoicing(index) {
+    showVoicing(index);
+    saveVoicingChoice(currentChord, currentVoicings[index]);
+    addLogEntry(`Аккорд ${currentChord}: выбран вариант ${formatFingering(currentFingering)}`, 'info');
 }
 
 /**
- * Подсветка позиций на грифе
+ * Переход к предыдущему (-1) или следующему (1) варианту в выбранной позиции
  */
-function highlightFingering(highlight) {
-    const positions = document.querySelectorAll('.finger-position:not(.muted)');
+function handleVoicingShift(direction) {
+    const indexes = getFilteredVoicingIndexes();
+    if (indexes.length === 0) return;
     
-    positions.forEach(position => {
-        if (highlight) {
-            position.classList.add('active');
-        } else {
-            position.classList.remove('active');
-        }
-    });
+    const position = indexes.indexOf(currentVoicingIndex);
+    const nextPosition = position === -1 ? 0 : (position + direction + indexes.length) % indexes.length;
+    selectVoicing(indexes[nextPosition]);
 }
 
 /**
- * Обновление статуса приложения
+ * Смена фильтра по позиции: если показанный вариант не подходит, показываем лучший из подходящих
+ */
+function handleVoicingFilterChange(event) {
+    voicingPositionFilter = event.target.value;
+    
+    if (currentVoicings.length === 0) return;
+    
+    const indexes = getFilteredVoicingIndexes();
+    if (indexes.length > 0 && !indexes.includes(currentVoicingIndex)) {
+        showVoicing(indexes[0]);
+    } else {
+        renderVoicingBrowser();
+    }
+}
+
+/**
+ * Проверяет, подходит ли вариант под фильтр по позиции
+ */
+function matchesPositionFilter(voicing, filterKey) {
+    const filter = VOICING_POSITION_FILTERS.find(item => item.key === filterKey);
+    
+    if (filter.open) {
+        // Открытые аккорды: звучат открытые струны, а рука стоит у порожка
+        return voicing.openStrings > 0 && voicing.fingering.every(pos => pos.fret <= 4);
+    }
+    if (filter.minFret === undefined) {
+        return true;
+    }
+    return voicing.position >= filter.minFret && voicing.position <= filter.maxFret;
+}
+
+/**
+ * Возвращает индексы вариантов аккорда (по умолчанию текущего), подходящих под фильтр по позиции
+ */
+function getFilteredVoicingIndexes(voicings = currentVoicings) {
+    return voicings
+        .map((voicing, index) => index)
+        .filter(index => matchesPositionFilter(voicings[index], voicingPositionFilter));
+}
+
+/**
+ * Выбирает вариант при вводе аккорда: запомненный игроком, иначе лучший в выбранной позиции
+ */
+function getInitialVoicingIndex(chordName, voicings = currentVoicings) {
+    const indexes = getFilteredVoicingIndexes(voicings);
+    const savedKey = loadVoicingChoices()[getVoicingChoiceKey(chordName)];
+    const savedIndex = voicings.findIndex(voicing => getFingeringKey(voicing.fingering) === savedKey);
+    
+    if (savedIndex !== -1 && indexes.includes(savedIndex)) {
+        return savedIndex;
+    }
+    return indexes.length > 0 ? indexes[0] : 0;
+}
+
+/**
+ * Ключ запомненного варианта: аккорд на конкретном инструменте, в конкретном строе и с каподастром
+ */
+function getVoicingChoiceKey(chordName) {
+    return [NoteUtils.getInstrument().name, getTuningDescription(), ChordParser.normalizeChordInput(chordName)].join('|');
+}
+
+/**
+ * Ключ аппликатуры для сравнения вариантов (лады по струнам)
+ */
+function getFingeringKey(fingering) {
+    return fingering.map(pos => pos.fret).join(',');
+}
+
+/**
+ * Краткая запись аппликатуры (например, "x 3 2 0 1 0")
+ */
+function formatFingering(fingering) {
+    return fingering.map(pos => pos.fret === -1 ? 'x' : pos.fret).join(' ');
+}
+
+/**
+ * Загружает запомненные варианты аккордов из localStorage
+ */
+function loadVoicingChoices() {
+    try {
+        return JSON.parse(localStorage.getItem(VOICING_CHOICES_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Не удалось прочитать запомненные аппликатуры:', error);
+        return {};
+    }
+}
+
+/**
+ * Запоминает выбранный вариант аккорда в localStorage
+ */
+function saveVoicingChoice(chordName, voicing) {
+    const choices = loadVoicingChoices();
+    choices[getVoicingChoiceKey(chordName)] = getFingeringKey(voicing.fingering);
+    
+    try {
+        localStorage.setItem(VOICING_CHOICES_STORAGE_KEY, JSON.stringify(choices));
+    } catch (error) {
+        console.warn('Не удалось запомнить аппликатуру:', error);
+    }
+}
+
+/**
+ * Отрисовка браузера вариантов: счетчик, кнопки и миниатюры вариантов в выбранной позиции
+ */
+function renderVoicingBrowser() {
+    const voicingBrowser = document.getElementById('voicingBrowser');
+    const voicingLabel = document.getElementById('voicingLabel');
+    const voicingThumbnails = document.getElementById('voicingThumbnails');
+    
+    voicingBrowser.hidden = currentVoicings.length === 0;
+    voicingThumbnails.innerHTML = '';
+    if (currentVoicings.length === 0) return;
+    
+    const indexes = getFilteredVoicingIndexes();
+    const position = indexes.indexOf(currentVoicingIndex);
+    
+    if (indexes.length === 0) {
+        voicingLabel.textContent = 'Нет вариантов в этой позиции';
+    } else {
+        voicingLabel.textContent = `Вариант ${position === -1 ? '–' : position + 1} из ${indexes.length}`;
+    }
+    document.getElementById('voicingPrevButton').disabled = indexes.length === 0;
+    document.getElementById('voicingNextButton').disabled = indexes.length === 0;
+    
+    indexes.forEach(index => {
+        voicingThumbnails.appendChild(createVoicingThumbnail(currentVoicings[index], index));
+    });
+}
+
+/**
+ * Создает миниатюру варианта: маленькая диаграмма на 5 ладов с подписью ладов
+ */
+function createVoicingThumbnail(voicing, index) {
+    const width = 100;
+    const height = 72;
+    const margin = 10;
+    const fretCount = 5;
+    const diagramHeight = height - 2 * margin - 12; // Снизу место для подписи
+    const stringCount = voicing.fingering.length;
+    const stringSpacing = diagramHeight / (stringCount - 1);
+    const fretWidth = (width - 2 * margin) / fretCount;
+    
+    // Окно миниатюры начинается от порожка, если аппликатура в него помещается
+    const frets = voicing.fingering.filter(pos => pos.fret > 0).map(pos => pos.fret);
+    const startFret = frets.length === 0 || Math.max(...frets) <= fretCount ? 0 : Math.min(...frets) - 1;
+    
+    const createSvgElement = (tag, attributes) => {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+        return element;
+    };
+    
+    const svg = createSvgElement('svg', {
+        width: width,
+        height: height,
+        viewBox: `0 0 ${width} ${height}`,
+        class: index === currentVoicingIndex ? 'voicing-thumbnail selected' : 'voicing-thumbnail'
+    });
+    
+    const title = createSvgElement('title', {});
+    title.textContent = `${formatFingering(voicing.fingering)} (оценка ${voicing.score.toFixed(2)})`;
+    svg.appendChild(title);
+    
+    for (let i = 0; i < stringCount; i++) {
+        const y = margin + i * stringSpacing;
+        svg.appendChild(createSvgElement('line', { x1: margin, y1: y, x2: width - margin, y2: y, class: 'thumbnail-string' }));
+    }
+    
+    for (let i = 0; i <= fretCount; i++) {
+        const x = margin + i * fretWidth;
+        const fretClass = i === 0 && startFret === 0 ? 'thumbnail-nut' : 'thumbnail-fret';
+        svg.appendChild(createSvgElement('line', { x1: x, y1: margin, x2: x, y2: margin + diagramHeight, class: fretClass }));
+    }
+    
+    voicing.fingering.forEach((pos, stringIndex) => {
+        const y = margin + stringIndex * stringSpacing;
+        
+        if (pos.fret === -1) {
+            const mark = createSvgElement('text', { x: margin - 5, y: y + 3, class: 'thumbnail-muted' });
+            mark.textContent = '×';
+            svg.appendChild(mark);
+        } else if (pos.fret === 0) {
+            svg.appendChild(createSvgElement('circle', { cx: margin - 5, cy: y, r: 2.5, class: 'thumbnail-open' }));
+        } else {
+            const x = margin + (pos.fret - startFret - 0.5) * fretWidth;
+            svg.appendChild(createSvgElement('circle', { cx: x, cy: y, r: 3.5, class: 'thumbnail-finger' }));
+        }
+    });
+    
+    const label = createSvgElement('text', { x: width / 2, y: height - 4, class: 'thumbnail-label' });
+    label.textContent = startFret > 0 ? `${formatFingering(voicing.fingering)} (${startFret + 1} лад)` : formatFingering(voicing.fingering);
+    svg.appendChild(label);
+    
+    svg.addEventListener('click', () => selectVoicing(index));
+    
+    return svg;
+}
+
+/**
+ * Переключение режима определения аккорда по грифу
+ */
+function handleIdentifyModeClick() {
+    fretboardMode = !fretboardMode;
+    fretboardShape = {};
+    
+    const identifyModeButton = document.getElementById('identifyModeButton');
+    identifyModeButton.classList.toggle('active', fretboardMode);
+    document.getElementById('clearShapeButton').disabled = !fretboardMode;
+    
+    clearChordInfo();
+    clearIdentifyResults();
+    
+    if (fretboardMode) {
+        addLogEntry('Режим определения аккорда: отметьте лады на грифе', 'info');
+    } else {
+        addLogEntry('Режим определения аккорда выключен', 'info');
+    }
+}
+
+/**
+ * Очистка выбранной на грифе формы
+ */
+function handleClearShapeClick() {
+    fretboardShape = {};
+    clearChordInfo();
+    clearIdentifyResults();
+}
+
+/**
+ * Обработка клика по ладу в режиме определения аккорда
+ * Повторный клик по выбранному ладу снимает ноту (струна становится немой)
+ */
+function handleFretboardClick(string, fret) {
+    if (fretboardShape[string] === fret) {
+        delete fretboardShape[string];
+    } else {
+        fretboardShape[string] = fret;
+    }
+    
+    updateShapeIdentification();
+}
+
+/**
+ * Строит аппликатуру по выбранной форме и выводит возможные названия аккорда
+ */
+function updateShapeIdentification() {
+    const fingering = NoteUtils.STRINGS_ORDER.map(string => {
+        const fret = fretboardShape[string];
+        
+        if (fret === undefined) {
+            return { string, fret: -1, note: null };
+        }
+        
+        return { string, fret, note: NoteUtils.extractNoteName(NoteUtils.NOTES_DATA[string][fret]) };
+    });
+    
+    const soundingPositions = fingering.filter(position => position.fret !== -1);
+    
+    if (soundingPositions.length === 0) {
+        handleClearShapeClick();
+        return;
+    }
+    
+    displayFingering(fingering);
+    
+    // Бас - самая низкая по высоте звучащая нота
+    const bassPosition = soundingPositions.reduce((lowest, position) =>
+        NoteUtils.calculateMidiNumber(NoteUtils.NOTES_DATA[position.string][position.fret]) <
+        NoteUtils.calculateMidiNumber(NoteUtils.NOTES_DATA[lowest.string][lowest.fret]) ? position : lowest
+    );
+    
+    // Ноты грифа записаны диезами, а аккорд называется обычным написанием нот (Bb, а не A#)
+    const spellPitch = note => ChordParser.spellNote(ChordParser.getNoteIndex(note));
+    const notes = soundingPositions.map(position => spellPitch(position.note));
+    const candidates = ChordParser.identifyChord(notes, spellPitch(bassPosition.note));
+    
+    displayIdentifyResults(candidates, fingering);
+    
+    if (candidates.length > 0) {
+        addLogEntry(`Форма [${notes.join(', ')}] определена как ${candidates[0].name}`, 'success');
+    } else {
+        addLogEntry(`Не удалось определить аккорд для нот [${notes.join(', ')}]`, 'error');
+    }
+}
+
+/**
+ * Отображение списка кандидатов на название аккорда
+ */
+function displayIdentifyResults(candidates, fingering) {
+    const identifyResults = document.getElementById('identifyResults');
+    
+    if (candidates.length === 0) {
+        identifyResults.innerHTML = '<em>Подходящих названий не найдено</em>';
+        identifyResults.classList.add('show');
+        return;
+    }
+    
+    const html = `
+        <strong>Возможные названия:</strong>
+        <ol class="identify-list">
+            ${candidates.map((candidate, index) => {
+                const details = [];
+                if (candidate.inversion) details.push(`обращение ${candidate.inversion}`);
+                if (candidate.bass && candidate.inversion === null) details.push('слэш-аккорд');
+                if (candidate.rootless) details.push('без тоники');
+                if (candidate.missing.length > 0) details.push(`без ${candidate.missing.join(', ')}`);
+                
+                return `<li class="identify-item" data-index="${index}">
+                    <span class="identify-name">${candidate.name}</span>
+                    ${details.length > 0 ? `<span class="identify-details">(${details.join(', ')})</span>` : ''}
+                </li>`;
+            }).join('')}
+        </ol>
+    `;
+    
+    identifyResults.innerHTML = html;
+    identifyResults.classList.add('show');
+    
+    // Выбор кандидата делает его текущим аккордом с выбранной на грифе аппликатурой
+    identifyResults.querySelectorAll('.identify-item').forEach(item => {
+        item.addEventListener('click', () => {
+            const candidate = candidates[parseInt(item.dataset.index)];
+            
+            currentChord = candidate.name;
+            currentFingering = fingering;
+            document.getElementById('chordInput').value = candidate.name;
+            
+            identifyResults.querySelectorAll('.identify-item').forEach(other => other.classList.remove('selected'));
+            item.classList.add('selected');
+            
+            addLogEntry(`Выбрано название ${candidate.name}`, 'info');
+        });
+    });
+}
+
+/**
+ * Очистка списка кандидатов
+ */
+function clearIdentifyResults() {
+    const identifyResults = document.getElementById('identifyResults');
+    identifyResults.innerHTML = '';
+    identifyResults.classList.remove('show');
+}
+
+/**
+ * Сообщает в журнале о струнах, которые набор сэмплов не озвучивает (например, высокие лады вне записанного
+ * диапазона даже с транспонированием): вместо них звучит тишина, и без сообщения аккорд казался бы неполным
+ * @param {string} chordName - Аккорд
+ * @param {Object} mappingResult - Результат AudioMapper.mapFingeringToSamples
+ */
+function reportSilentStrings(chordName, mappingResult) {
+    const stringErrors = mappingResult.errors.filter(error => error.string);
+    if (stringErrors.length === 0) {
+        return;
+    }
+    
+    const positions = stringErrors.map(error => `струна ${error.string}, лад ${error.fret} (${error.error})`).join('; ');
+    addLogEntry(`Аккорд ${chordName} прозвучит не полностью, нет сэмпла: ${positions}`, 'error');
+}
+
+/**
+ * Обработка клика по кнопке Play
+ */
+async function handlePlayButtonClick() {
+    if (!currentChord || !currentFingering) {
+        addLogEntry('Сначала выберите аккорд', 'error');
+        return;
+    }
+    
+    if (isPlaying) {
+        addLogEntry('Аккорд уже воспроизводится', 'error');
+        return;
+    }
+    
+    // Одиночный аккорд прерывает прогрессию
+    if (progressionPlayback) {
+        handleProgressionStopClick();
+    }
+    
+    try {
+        // Обновляем статус
+        updateStatus('playing', 'Воспроизведение аккорда...');
+        
+        // Логируем начало воспроизведения
+        const startTime = performance.now();
+        addLogEntry(`Начало воспроизведения аккорда: ${currentChord}`, 'info');
+        
+        // Воспроизводим аккорд
+        playbackResult = await SynchronousPlayback.playChordWithFingering(audioContext, currentFingering, {
+            volume: 0.7,
+            fadeInDuration: 0.05
+        });
+        
+        if (playbackResult.success) {
+            isPlaying = true;
+            reportSilentStrings(currentChord, playbackResult.mappingResult);
+            
+            // Обновляем кнопки
+            document.getElementById('playButton').disabled = true;
+            document.getElementById('stopButton').disabled = false;
+            
+            // Подсвечиваем позиции на грифе
+            highlightFingering(true);
+            
+            // Дублируем аккорд на внешний MIDI-выход
+            sendFingeringToMidi(currentFingering, 3);
+            
+            // Запускаем прогресс-бар
+            startProgressAnimation();
+            
+            // Логируем успешное воспроизведение
+            const endTime = performance.now();
+            const latency = (endTime - startTime).toFixed(2);
+            addLogEntry(`Аккорд ${currentChord} воспроизведен с задержкой ${latency} мс`, 'success');
+            
+            // Автоматически останавливаем через 3 секунды
+            setTimeout(() => {
+                if (isPlaying) {
+                    handleStopButtonClick();
+                }
+            }, 3000);
+        } else {
+            throw new Error(playbackResult.errors.join(', '));
+        }
+        
+    } catch (error) {
+        updateStatus('error', `Ошибка воспроизведения: ${error.message}`);
+        addLogEntry(`Ошибка воспроизведения аккорда ${currentChord}: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Обработка клика по кнопке Stop
+ */
+function handleStopButtonClick() {
+    if (!isPlaying) {
+        return;
+    }
+    
+    try {
+        // Останавливаем воспроизведение
+        if (playbackResult) {
+            SynchronousPlayback.stopChord(playbackResult);
+        }
+        stopMidiNotes();
+        
+        isPlaying = false;
+        
+        // Обновляем статус
+        updateStatus('ready', 'Готов к работе');
+        
+        // Обновляем кнопки
+        document.getElementById('playButton').disabled = false;
+        document.getElementById('stopButton').disabled = true;
+        
+        // Убираем подсветку с грифа
+        highlightFingering(false);
+        
+        // Останавливаем прогресс-бар
+        stopProgressAnimation();
+        
+        // Логируем остановку
+        addLogEntry(`Воспроизведение аккорда ${currentChord} остановлено`, 'info');
+        
+    } catch (error) {
+        addLogEntry(`Ошибка при остановке воспроизведения: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Обработка изменения текста прогрессии: показываем такты без воспроизведения
+ */
+function handleProgressionInputChange() {
+    const progressionKeyLabel = document.getElementById('progressionKeyLabel');
+    
+    try {
+        const timeSignature = document.getElementById('timeSignatureSelect').value;
+        const { beatsPerBar } = Progression.parseTimeSignature(timeSignature);
+        progressionBars = Progression.parseProgression(document.getElementById('progressionInput').value, beatsPerBar);
+        progressionKeyLabel.textContent = `Тональность: ${ChordParser.detectKey(Progression.getProgressionChords(progressionBars))}`;
+    } catch (error) {
+        progressionBars = [];
+        progressionKeyLabel.textContent = '';
+    }
+    
+    document.getElementById('capoSuggestions').innerHTML = '';
+    renderProgressionBars(1);
+}
+
+/**
+ * Транспонирование прогрессии на полтона вверх (1) или вниз (-1)
+ */
+function handleTransposeClick(semitones) {
+    transposeProgressionInput(semitones, {});
+}
+
+/**
+ * Транспонирование прогрессии в выбранную тональность
+ */
+function handleTransposeKeyChange(event) {
+    const toKey = event.target.value;
+    if (!toKey) return;
+    
+    try {
+        const progressionText = document.getElementById('progressionInput').value;
+        const fromKey = ChordParser.detectKey(Progression.getProgressionChords(Progression.parseProgression(progressionText)));
+        transposeProgressionInput(ChordParser.getTranspositionInterval(fromKey, toKey), { fromKey, toKey });
+    } catch (error) {
+        addLogEntry(`Ошибка транспонирования: ${error.message}`, 'error');
+    }
+    
+    event.target.value = '';
+}
+
+/**
+ * Транспонирует текст прогрессии в поле ввода (см. Progression.transposeProgressionText)
+ */
+function transposeProgressionInput(semitones, options) {
+    const progressionInput = document.getElementById('progressionInput');
+    
+    try {
+        const result = Progression.transposeProgressionText(progressionInput.value, semitones, options);
+        progressionInput.value = result.text;
+        handleProgressionInputChange();
+        
+        const sign = result.semitones > 0 ? '+' : '';
+        addLogEntry(`Прогрессия транспонирована: ${result.fromKey} → ${result.toKey} (${sign}${result.semitones})`, 'success');
+    } catch (error) {
+        addLogEntry(`Ошибка транспонирования: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Подбор каподастра для прогрессии: показываем лучшие варианты, клик ставит каподастр
+ */
+function handleSuggestCapoClick() {
+    const capoSuggestions = document.getElementById('capoSuggestions');
+    capoSuggestions.innerHTML = '';
+    
+    try {
+        const progressionText = document.getElementById('progressionInput').value;
+        const chordNames = Progression.getProgressionChords(Progression.parseProgression(progressionText));
+        const suggestions = ChordOptimizer.suggestCapo(chordNames).slice(0, 3);
+        
+        suggestions.forEach(suggestion => {
+            const item = document.createElement('button');
+            item.className = 'capo-suggestion';
+            item.textContent = `${suggestion.capo === 0 ? 'Без каподастра' : `Каподастр на ${suggestion.capo} ладу`}: ` +
+                `формы ${suggestion.shapes.map(shape => shape.shape).join(' ')} (${suggestion.shapeKey}), ` +
+                `открытых аккордов ${suggestion.openChords} из ${chordNames.length}`;
+            item.addEventListener('click', () => applyCapoSuggestion(suggestion));
+            capoSuggestions.appendChild(item);
+        });
+        
+        addLogEntry(`Подобран каподастр для ${suggestions[0].key}: ${suggestions[0].capo} лад`, 'success');
+    } catch (error) {
+        addLogEntry(`Ошибка подбора каподастра: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Ставит предложенный каподастр: аккорды прогрессии остаются прежними, гриф показывает формы от каподастра
+ */
+function applyCapoSuggestion(suggestion) {
+    const capoSelect = document.getElementById('capoSelect');
+    capoSelect.value = suggestion.capo;
+    handleCapoChange({ target: capoSelect });
+    addLogEntry(`Каподастр: ${suggestion.capo} лад, формы в ${suggestion.shapeKey}`, 'info');
+}
+
+/**
+ * Обработка клика по кнопке Play прогрессии
+ */
+async function handleProgressionPlayClick() {
+    if (progressionPlayback) {
+        addLogEntry('Прогрессия уже воспроизводится', 'error');
+        return;
+    }
+    
+    // Прогрессия прерывает одиночный аккорд
+    if (isPlaying) {
+        handleStopButtonClick();
+    }
+    
+    try {
+        const startBar = parseInt(document.getElementById('startBarInput').value) || 1;
+        const loop = document.getElementById('loopCheckbox').checked;
+        const countIn = document.getElementById('countInCheckbox').checked;
+        
+        updateStatus('playing', 'Подготовка прогрессии...');
+        const { timeline, strum } = await arrangeProgression({
+            startBar: startBar,
+            countInBars: countIn ? PROGRESSION_COUNT_IN_BARS : 0,
+            loadSamples: true
+        });
+        renderProgressionBars(startBar);
+        
+        // Ноты для MIDI-выхода готовятся заранее: время - от начала аккорда
+        if (getMidiOutput()) {
+            timeline.events.forEach(event => {
+                event.midiNotes = MidiExport.buildMidiNotes([{ ...event, time: 0 }], {
+                    strumDuration: strum ? strum.strumDuration : undefined
+                });
+            });
+        }
+        
+        progressionPlayback = await SynchronousPlayback.startSequencer(audioContext, timeline, {
+            loop: loop,
+            volume: 0.7,
+            strumDuration: strum ? strum.strumDuration : undefined,
+            onEvent: handleProgressionEvent,
+            onEnd: () => {
+                finishProgressionPlayback();
+                addLogEntry('Прогрессия воспроизведена', 'success');
+            }
+        });
+        
+        document.getElementById('progressionPlayButton').disabled = true;
+        document.getElementById('progressionStopButton').disabled = false;
+        
+        addLogEntry(`Воспроизведение прогрессии с такта ${startBar}${loop ? ' по кругу' : ''}`, 'success');
+        
+    } catch (error) {
+        updateStatus('error', `Ошибка прогрессии: ${error.message}`);
+        addLogEntry(`Ошибка при воспроизведении прогрессии: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Разбирает прогрессию из полей ввода и готовит ее события: время, аппликатуры, удары боя или щипки перебора
+ * @param {Object} options - {startBar, countInBars, loadSamples}: loadSamples - загрузить сэмплы для воспроизведения
+ * @returns {Promise<Object>} - {timeline, bpm, timeSignature, strum, picking}; timeline - см. Progression.buildTimeline
+ */
+async function arrangeProgression(options) {
+    const { startBar = 1, countInBars = 0, loadSamples = true } = options;
+    const timeSignature = document.getElementById('timeSignatureSelect').value;
+    const bpm = parseFloat(document.getElementById('bpmInput').value);
+    
+    // Разбираем прогрессию и раскладываем ее по времени
+    const { beatsPerBar } = Progression.parseTimeSignature(timeSignature);
+    progressionBars = Progression.parseProgression(document.getElementById('progressionInput').value, beatsPerBar);
+    const timeline = Progression.buildTimeline(progressionBars, {
+        bpm: bpm,
+        beatsPerBar: beatsPerBar,
+        startBar: startBar,
+        countInBars: countInBars
+    });
+    
+    addLogEntry(`Прогрессия: ${progressionBars.length} тактов, ${bpm} BPM, размер ${timeSignature}`, 'info');
+    
+    // Подбираем аппликатуры и сэмплы заранее, чтобы планировщик только ставил буферы на часы
+    const voiceLeading = document.getElementById('voiceLeadingCheckbox').checked;
+    const positionWeight = voiceLeading ? parseInt(document.getElementById('voiceLeadingInput').value) / 100 : null;
+    await prepareProgressionEvents(timeline.events, positionWeight, loadSamples);
+    if (voiceLeading) {
+        addLogEntry(`Голосоведение: ${timeline.events.map(event => `${event.chord} ${formatFingering(event.fingering)}`).join(' → ')}`, 'info');
+    }
+    
+    const { picking, strum } = applyRhythmToEvents(timeline.events, timeline.secondsPerBeat);
+    
+    return { timeline, bpm, timeSignature, strum, picking };
+}
+
+/**
+ * Раскладывает на каждый аккорд щипки перебора или удары боя из настроек
+ * @param {Array} events - События с аппликатурами {duration, beat, fingering}; дополняются полями plucks или strokes
+ * @param {number} secondsPerBeat - Длительность доли (в секундах)
+ * @returns {Object} - {picking, strum}: настройки, по которым разложены события (null - не используются)
+ */
+function applyRhythmToEvents(events, secondsPerBeat) {
+    const picking = getPickingSettings();
+    const strum = picking ? null : getStrumSettings();
+    
+    if (picking) {
+        events.forEach(event => {
+            const roleStrings = Fingerpicking.resolvePickingRoles(event.fingering);
+            event.plucks = Fingerpicking.buildPlucks(picking.steps, roleStrings, {
+                duration: event.duration,
+                secondsPerBeat: secondsPerBeat,
+                stepsPerBeat: picking.stepsPerBeat,
+                startBeat: event.beat - 1
+            });
+        });
+        addLogEntry(`Перебор: ${Fingerpicking.formatPickingPattern(picking.steps)}`, 'info');
+    } else if (strum) {
+        events.forEach(event => {
+            event.strokes = Strumming.buildStrokes(strum.steps, {
+                duration: event.duration,
+                secondsPerBeat: secondsPerBeat,
+                stepsPerBeat: strum.stepsPerBeat,
+                startBeat: event.beat - 1,
+                swing: strum.swing
+            });
+        });
+        addLogEntry(`Бой: ${Strumming.formatStrumPattern(strum.steps)}, свинг ${Math.round(strum.swing * 100)}%`, 'info');
+    }
+    
+    return { picking, strum };
+}
+
+/**
+ * Экспорт прогрессии в MIDI-файл: аппликатуры, бой или перебор, темп и размер - как при воспроизведении
+ */
+async function handleExportProgressionMidiClick() {
+    try {
+        const { timeline, bpm, timeSignature, strum } = await arrangeProgression({ loadSamples: false });
+        const notes = MidiExport.buildMidiNotes(timeline.events, {
+            strumDuration: strum ? strum.strumDuration : undefined
+        });
+        
+        saveMidiFile(notes, {
+            bpm: bpm,
+            timeSignature: timeSignature,
+            markers: timeline.events.map(event => ({ time: event.time, text: event.chord }))
+        }, 'chordsplayer-progression.mid');
+    } catch (error) {
+        addLogEntry(`Ошибка экспорта прогрессии в MIDI: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Экспорт текущего аккорда в MIDI-файл: выбранная аппликатура звучит один такт
+ * (с боем или перебором из настроек прогрессии, если они заданы)
+ */
+function handleExportChordMidiClick() {
+    if (!currentChord || !currentFingering) {
+        addLogEntry('Сначала выберите аккорд', 'error');
+        return;
+    }
+    
+    try {
+        const { event, bpm, timeSignature, strum } = createCurrentChordEvent();
+        const notes = MidiExport.buildMidiNotes([event], {
+            strumDuration: strum ? strum.strumDuration : undefined
+        });
+        
+        saveMidiFile(notes, {
+            bpm: bpm,
+            timeSignature: timeSignature,
+            markers: [{ time: 0, text: currentChord }]
+        }, getSafeFileName(`chordsplayer-${currentChord}.mid`));
+    } catch (error) {
+        addLogEntry(`Ошибка экспорта аккорда в MIDI: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Экспорт прогрессии в MusicXML: нотная запись, табулатура и диаграммы аккордов
+ * с теми же аппликатурами, что и при воспроизведении
+ */
+async function handleExportProgressionMusicXmlClick() {
+    try {
+        const { timeline, bpm, timeSignature } = await arrangeProgression({ loadSamples: false });
+        const { beatsPerBar, beatUnit } = Progression.parseTimeSignature(timeSignature);
+        const key = ChordParser.detectKey(Progression.getProgressionChords(progressionBars));
+        
+        const xml = MusicXmlExport.createMusicXml(progressionBars, timeline.events.map(event => event.fingering), {
+            title: 'ChordsPlayer',
+            bpm: bpm,
+            beatsPerBar: beatsPerBar,
+            beatUnit: beatUnit,
+            key: key
+        });
+        
+        const fileName = 'chordsplayer-progression.musicxml';
+        downloadFile(xml, fileName, 'application/vnd.recordare.musicxml+xml');
+        addLogEntry(`MusicXML-файл ${fileName}: ${progressionBars.length} тактов, тональность ${key}`, 'success');
+    } catch (error) {
+        addLogEntry(`Ошибка экспорта прогрессии в MusicXML: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Записывает прогрессию текстовой табулатурой: удары боя или щипки перебора из настроек,
+ * без ритма - по аккорду на первую долю
+ */
+async function handleProgressionTabClick() {
+    try {
+        const { timeline, timeSignature, strum, picking } = await arrangeProgression({ loadSamples: false });
+        const { beatsPerBar } = Progression.parseTimeSignature(timeSignature);
+        const rhythm = picking || strum;
+        
+        const text = AsciiTab.formatProgressionTab(timeline.events, {
+            beatsPerBar: beatsPerBar,
+            stepsPerBeat: rhythm ? rhythm.stepsPerBeat : 1,
+            secondsPerBeat: timeline.secondsPerBeat,
+            barCount: progressionBars.length
+        });
+        
+        document.getElementById('progressionTabText').textContent = text;
+        document.getElementById('progressionTabOutput').hidden = false;
+    } catch (error) {
+        addLogEntry(`Ошибка записи табулатуры: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Копирует текст элемента (диаграммы или табулатуры) в буфер обмена
+ */
+async function handleCopyTextClick(elementId) {
+    try {
+        await copyToClipboard(document.getElementById(elementId).textContent);
+        addLogEntry('Текст скопирован в буфер обмена', 'success');
+    } catch (error) {
+        addLogEntry(`Не удалось скопировать текст: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Создает событие текущего аккорда длиной в один такт (темп и размер - из настроек прогрессии)
+ * с боем или перебором из настроек, если они заданы
+ * @returns {Object} - {event, bpm, timeSignature, strum, picking}
+ */
+function createCurrentChordEvent() {
+    const timeSignature = document.getElementById('timeSignatureSelect').value;
+    const bpm = parseFloat(document.getElementById('bpmInput').value);
+    const { beatsPerBar } = Progression.parseTimeSignature(timeSignature);
+    const secondsPerBeat = 60 / bpm;
+    
+    const event = {
+        type: 'chord',
+        chord: currentChord,
+        time: 0,
+        beat: 1,
+        duration: beatsPerBar * secondsPerBeat,
+        fingering: currentFingering,
+        activeStrings: currentFingering.map(pos => pos.fret !== -1),
+        // Без боя и перебора аккорд звучит так же, как по кнопке Play
+        playbackOptions: { fadeInDuration: 0.05 }
+    };
+    const { strum, picking } = applyRhythmToEvents([event], secondsPerBeat);
+    
+    return { event, bpm, timeSignature, strum, picking };
+}
+
+/**
+ * Запись прогрессии в WAV: та же раскладка и тот же звуковой граф, что при воспроизведении, но без реального времени
+ * Отсчет записывается, если он включен
+ */
+async function handleExportProgressionWavClick() {
+    try {
+        const includeCountIn = document.getElementById('countInCheckbox').checked;
+        
+        updateStatus('playing', 'Запись прогрессии в WAV...');
+        const { timeline, strum } = await arrangeProgression({
+            countInBars: includeCountIn ? PROGRESSION_COUNT_IN_BARS : 0,
+            loadSamples: true
+        });
+        
+        const audioBuffer = await SynchronousPlayback.renderSequence(timeline, {
+            sampleRate: audioContext.sampleRate,
+            volume: 0.7,
+            strumDuration: strum ? strum.strumDuration : undefined,
+            includeCountIn: includeCountIn
+        });
+        
+        saveWavFile(audioBuffer, 'chordsplayer-progression.wav');
+        updateStatus('ready', 'Готов к работе');
+    } catch (error) {
+        updateStatus('error', `Ошибка записи WAV: ${error.message}`);
+        addLogEntry(`Ошибка записи прогрессии в WAV: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Запись текущего аккорда в WAV: один такт с выбранной аппликатурой (с боем или перебором, если они заданы)
+ */
+async function handleExportChordWavClick() {
+    if (!currentChord || !currentFingering) {
+        addLogEntry('Сначала выберите аккорд', 'error');
+        return;
+    }
+    
+    try {
+        updateStatus('playing', `Запись аккорда ${currentChord} в WAV...`);
+        const { event, strum } = createCurrentChordEvent();
+        
+        const mappingResult = await AudioMapper.mapFingeringToSamples(currentFingering, audioContext);
+        if (!mappingResult.success) {
+            throw new Error(`Не удалось сопоставить аппликатуру аккорда ${currentChord} с аудиофайлами`);
+        }
+        reportSilentStrings(currentChord, mappingResult);
+        event.audioBuffers = mappingResult.audioBuffers;
+        event.sampleZones = mappingResult.sampleZones;
+        
+        const audioBuffer = await SynchronousPlayback.renderSequence({ events: [event], duration: event.duration }, {
+            sampleRate: audioContext.sampleRate,
+            volume: 0.7,
+            strumDuration: strum ? strum.strumDuration : undefined
+        });
+        
+        saveWavFile(audioBuffer, getSafeFileName(`chordsplayer-${currentChord}.wav`));
+        updateStatus('ready', 'Готов к работе');
+    } catch (error) {
+        updateStatus('error', `Ошибка записи WAV: ${error.message}`);
+        addLogEntry(`Ошибка записи аккорда в WAV: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Кодирует отрисованный звук в WAV с выбранной разрядностью и сохраняет файл
+ * @param {AudioBuffer} audioBuffer - Отрисованный звук
+ * @param {string} fileName - Имя файла
+ */
+function saveWavFile(audioBuffer, fileName) {
+    const bitDepth = parseInt(document.getElementById('wavBitDepthSelect').value);
+    const peak = WavExport.getPeakLevel(audioBuffer);
+    
+    downloadFile(WavExport.encodeWav(audioBuffer, { bitDepth: bitDepth }), fileName, 'audio/wav');
+    addLogEntry(`WAV-файл ${fileName}: ${audioBuffer.duration.toFixed(1)} сек, ${bitDepth} бит, ${audioBuffer.sampleRate} Гц`, 'success');
+    
+    if (peak > 1) {
+        addLogEntry(`Перегрузка при записи: пик ${(20 * Math.log10(peak)).toFixed(1)} дБ, отсчеты обрезаны`, 'error');
+    }
+}
+
+/**
+ * Записывает ноты в MIDI-файл с выбранной раскладкой по струнам и сохраняет его
+ * @param {Array} notes - Ноты из MidiExport.buildMidiNotes
+ * @param {Object} options - {bpm, timeSignature, markers}
+ * @param {string} fileName - Имя файла
+ */
+function saveMidiFile(notes, options, fileName) {
+    const { beatsPerBar, beatUnit } = Progression.parseTimeSignature(options.timeSignature);
+    const layout = document.getElementById('midiLayoutSelect').value;
+    
+    const midiData = MidiExport.createMidiFile(notes, {
+        bpm: options.bpm,
+        beatsPerBar: beatsPerBar,
+        beatUnit: beatUnit,
+        markers: options.markers,
+        layout: layout,
+        stringLabels: NoteUtils.getStringLabels()
+    });
+    
+    downloadFile(midiData, fileName, 'audio/midi');
+    addLogEntry(`MIDI-файл ${fileName}: ${notes.length} нот, ${MidiExport.MIDI_LAYOUTS[layout].toLowerCase()}`, 'success');
+}
+
+/**
+ * Подбирает аппликатуру и сэмплы для каждого аккорда прогрессии
+ * Без голосоведения каждый аккорд играется запомненным игроком или лучшим вариантом,
+ * с голосоведением варианты выбираются для всей прогрессии сразу (см. ChordOptimizer.optimizeProgressionVoicings)
+ * @param {Array} events - События прогрессии (см. Progression.buildTimeline); дополняются полями
+ *                         {notes, voicings, voicingIndex, fingering, audioBuffers, sampleZones, activeStrings}
+ * @param {number|null} positionWeight - Компромисс голосоведения (0 - форма, 1 - позиция), null - без голосоведения
+ * @param {boolean} loadSamples - Сопоставить аппликатуры с сэмплами (не нужно, например, для экспорта в MIDI)
+ */
+async function prepareProgressionEvents(events, positionWeight, loadSamples = true) {
+    // Варианты каждого аккорда ищутся один раз
+    const candidates = {};
+    events.forEach(event => {
+        if (candidates[event.chord]) return;
+        
+        const notes = ChordParser.parseChord(event.chord);
+        const optimizeResult = ChordOptimizer.findOptimalFingering(notes, event.chord, { topN: VOICING_BROWSER_LIMIT });
+        
+        if (!optimizeResult.bestFingering) {
+            throw new Error(`Не найдена подходящая аппликатура для аккорда ${event.chord}`);
+        }
+        candidates[event.chord] = { notes: notes, voicings: optimizeResult.topFingerings };
+    });
+    
+    const voicingIndexes = positionWeight === null
+        ? events.map(event => getInitialVoicingIndex(event.chord, candidates[event.chord].voicings))
+        : ChordOptimizer.optimizeProgressionVoicings(events.map(event => ({
+            chordName: event.chord,
+            notes: candidates[event.chord].notes,
+            topFingerings: candidates[event.chord].voicings
+        })), { positionWeight: positionWeight }).selectedIndexes;
+    
+    // Сэмплы одной и той же аппликатуры загружаются один раз
+    const mappedFingerings = {};
+    
+    for (let i = 0; i < events.length; i++) {
+        const event = events[i];
+        const { notes, voicings } = candidates[event.chord];
+        const fingering = voicings[voicingIndexes[i]].fingering;
+        const mappingKey = `${event.chord}|${getFingeringKey(fingering)}`;
+        
+        if (loadSamples && !mappedFingerings[mappingKey]) {
+            const mappingResult = await AudioMapper.mapFingeringToSamples(fingering, audioContext);
+            if (!mappingResult.success) {
+                throw new Error(`Не удалось сопоставить аппликатуру аккорда ${event.chord} с аудиофайлами`);
+            }
+            reportSilentStrings(event.chord, mappingResult);
+            mappedFingerings[mappingKey] = mappingResult;
+        }
+        
+        const mapping = mappedFingerings[mappingKey] || {};
+        Object.assign(event, {
+            notes: notes,
+            voicings: voicings,
+            voicingIndex: voicingIndexes[i],
+            fingering: fingering,
+            audioBuffers: mapping.audioBuffers,
+            sampleZones: mapping.sampleZones,
+            activeStrings: fingering.map(pos => pos.fret !== -1)
+        });
+    }
+}
+
+/**
+ * Выбор готового рисунка боя
+ */
+function handleStrumPatternSelect(event) {
+    const strumPatternInput = document.getElementById('strumPatternInput');
+    const preset = Strumming.STRUM_PATTERNS.find(item => item.key === event.target.value);
+    
+    if (preset) {
+        strumPatternInput.value = preset.pattern;
+        document.getElementById('strumStepSelect').value = preset.stepsPerBeat;
+    } else if (!event.target.value) {
+        strumPatternInput.value = '';
+    }
+    
+    handleStrumPatternInput();
+}
+
+/**
+ * Разбор рисунка боя при вводе; ошибочный рисунок подсвечивается, сетка остается прежней
+ */
+function handleStrumPatternInput() {
+    const strumPatternInput = document.getElementById('strumPatternInput');
+    const strumPatternSelect = document.getElementById('strumPatternSelect');
+    const pattern = strumPatternInput.value.trim();
+    
+    const preset = Strumming.STRUM_PATTERNS.find(item => item.pattern === pattern);
+    strumPatternSelect.value = preset ? preset.key : pattern ? 'custom' : '';
+    
+    // Бой и перебор взаимоисключающие
+    if (pattern) {
+        clearPickingPattern();
+    }
+    
+    if (!pattern) {
+        strumSteps = null;
+        strumPatternInput.classList.remove('invalid');
+        renderStrumGrid();
+        return;
+    }
+    
+    try {
+        strumSteps = Strumming.parseStrumPattern(pattern);
+        strumPatternInput.classList.remove('invalid');
+        strumPatternInput.title = '';
+        renderStrumGrid();
+    } catch (error) {
+        strumPatternInput.classList.add('invalid');
+        strumPatternInput.title = error.message;
+    }
+}
+
+/**
+ * Отрисовывает сетку рисунка боя: один шаг - одна кнопка, начало доли отмечено чертой
+ */
+function renderStrumGrid() {
+    const strumGrid = document.getElementById('strumGrid');
+    const stepsPerBeat = parseInt(document.getElementById('strumStepSelect').value);
+    strumGrid.innerHTML = '';
+    
+    if (!strumSteps) return;
+    
+    strumSteps.forEach((step, index) => {
+        const cell = document.createElement('button');
+        cell.className = 'strum-step';
+        cell.textContent = !step ? '·' : step.direction === 'down' ? '↓' : '↑';
+        
+        if (index % stepsPerBeat === 0) {
+            cell.classList.add('beat-start');
+        }
+        if (step && step.accent) {
+            cell.classList.add('accent');
+        }
+        if (step && step.ghost) {
+            cell.classList.add('ghost');
+        }
+        
+        cell.addEventListener('click', () => handleStrumStepClick(index));
+        strumGrid.appendChild(cell);
+    });
+}
+
+/**
+ * Клик по шагу сетки: следующий удар из STRUM_GRID_CYCLE
+ */
+function handleStrumStepClick(index) {
+    const symbol = Strumming.formatStrumPattern([strumSteps[index]]);
+    const nextSymbol = STRUM_GRID_CYCLE[(STRUM_GRID_CYCLE.indexOf(symbol) + 1) % STRUM_GRID_CYCLE.length];
+    const steps = strumSteps.slice();
+    
+    steps[index] = nextSymbol === '-' ? null : Strumming.parseStrumPattern(nextSymbol)[0];
+    document.getElementById('strumPatternInput').value = Strumming.formatStrumPattern(steps);
+    
+    // Рисунок из одних пауз не разбирается, но сетка должна остаться, чтобы его можно было исправить
+    strumSteps = steps;
+    handleStrumPatternInput();
+    renderStrumGrid();
+}
+
+/**
+ * Возвращает настройки боя или null, если аккорды играются целиком
+ */
+function getStrumSettings() {
+    const pattern = document.getElementById('strumPatternInput').value.trim();
+    if (!pattern) return null;
+    
+    return {
+        steps: Strumming.parseStrumPattern(pattern),
+        stepsPerBeat: parseInt(document.getElementById('strumStepSelect').value),
+        strumDuration: (parseFloat(document.getElementById('strumSpeedInput').value) || 0) / 1000,
+        swing: parseInt(document.getElementById('swingInput').value) / 100
+    };
+}
+
+/**
+ * Заполняет список рисунков перебора: готовые, сохраненные игроком и свой
+ */
+function fillPickingPatternOptions(selectedKey) {
+    const pickingPatternSelect = document.getElementById('pickingPatternSelect');
+    pickingPatternSelect.innerHTML = '';
+    
+    pickingPatternSelect.add(new Option('Без перебора', ''));
+    Fingerpicking.PICKING_PATTERNS.forEach(preset => {
+        pickingPatternSelect.add(new Option(preset.name, preset.key));
+    });
+    
+    const savedPatterns = loadPickingPatterns();
+    if (savedPatterns.length > 0) {
+        const group = document.createElement('optgroup');
+        group.label = 'Мои рисунки';
+        savedPatterns.forEach(saved => {
+            group.appendChild(new Option(saved.name, `saved:${saved.name}`));
+        });
+        pickingPatternSelect.appendChild(group);
+    }
+    
+    pickingPatternSelect.add(new Option('Свой рисунок', 'custom'));
+    pickingPatternSelect.value = selectedKey;
+    document.getElementById('deletePickingPatternButton').disabled = !selectedKey.startsWith('saved:');
+}
+
+/**
+ * Находит готовый или сохраненный рисунок перебора по ключу из списка
+ */
+function findPickingPattern(key) {
+    if (key.startsWith('saved:')) {
+        return loadPickingPatterns().find(saved => `saved:${saved.name}` === key) || null;
+    }
+    return Fingerpicking.PICKING_PATTERNS.find(preset => preset.key === key) || null;
+}
+
+/**
+ * Выбор рисунка перебора из списка
+ */
+function handlePickingPatternSelect(event) {
+    const key = event.target.value;
+    const pickingPattern = findPickingPattern(key);
+    const pickingPatternInput = document.getElementById('pickingPatternInput');
+    
+    if (pickingPattern) {
+        pickingPatternInput.value = pickingPattern.pattern;
+        document.getElementById('pickingStepSelect').value = pickingPattern.stepsPerBeat;
+    } else if (!key) {
+        pickingPatternInput.value = '';
+    }
+    
+    handlePickingPatternInput();
+    event.target.value = key;
+    document.getElementById('deletePickingPatternButton').disabled = !key.startsWith('saved:');
+}
+
+/**
+ * Разбор рисунка перебора при вводе; ошибочный рисунок подсвечивается
+ */
+function handlePickingPatternInput() {
+    const pickingPatternInput = document.getElementById('pickingPatternInput');
+    const pickingPatternSelect = document.getElementById('pickingPatternSelect');
+    const pattern = pickingPatternInput.value.trim();
+    
+    const preset = Fingerpicking.PICKING_PATTERNS.find(item => item.pattern === pattern);
+    const saved = loadPickingPatterns().find(item => item.pattern === pattern);
+    pickingPatternSelect.value = preset ? preset.key : saved ? `saved:${saved.name}` : pattern ? 'custom' : '';
+    document.getElementById('deletePickingPatternButton').disabled = !pickingPatternSelect.value.startsWith('saved:');
+    
+    pickingPatternInput.classList.remove('invalid');
+    pickingPatternInput.title = '';
+    if (!pattern) return;
+    
+    // Бой и перебор взаимоисключающие
+    const strumPatternInput = document.getElementById('strumPatternInput');
+    if (strumPatternInput.value) {
+        strumPatternInput.value = '';
+        handleStrumPatternInput();
+    }
+    
+    try {
+        Fingerpicking.parsePickingPattern(pattern);
+    } catch (error) {
+        pickingPatternInput.classList.add('invalid');
+        pickingPatternInput.title = error.message;
+    }
+}
+
+/**
+ * Сбрасывает рисунок перебора (при выборе боя)
+ */
+function clearPickingPattern() {
+    document.getElementById('pickingPatternInput').value = '';
+    document.getElementById('pickingPatternInput').classList.remove('invalid');
+    document.getElementById('pickingPatternSelect').value = '';
+    document.getElementById('deletePickingPatternButton').disabled = true;
+}
+
+/**
+ * Сохраняет введенный рисунок перебора под названием; рисунок с тем же названием заменяется
+ */
+function handleSavePickingPatternClick() {
+    const nameInput = document.getElementById('pickingPatternNameInput');
+    const name = nameInput.value.trim();
+    const pattern = document.getElementById('pickingPatternInput').value.trim();
+    
+    try {
+        if (!name) {
+            throw new Error('Введите название рисунка');
+        }
+        
+        const steps = Fingerpicking.parsePickingPattern(pattern);
+        const savedPatterns = loadPickingPatterns().filter(saved => saved.name !== name);
+        savedPatterns.push({
+            name: name,
+            pattern: Fingerpicking.formatPickingPattern(steps),
+            stepsPerBeat: parseInt(document.getElementById('pickingStepSelect').value)
+        });
+        savePickingPatterns(savedPatterns);
+        
+        document.getElementById('pickingPatternInput').value = Fingerpicking.formatPickingPattern(steps);
+        fillPickingPatternOptions(`saved:${name}`);
+        nameInput.value = '';
+        addLogEntry(`Рисунок перебора "${name}" сохранен`, 'success');
+    } catch (error) {
+        addLogEntry(`Не удалось сохранить рисунок перебора: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Удаляет выбранный сохраненный рисунок перебора
+ */
+function handleDeletePickingPatternClick() {
+    const key = document.getElementById('pickingPatternSelect').value;
+    const name = key.replace(/^saved:/, '');
+    
+    savePickingPatterns(loadPickingPatterns().filter(saved => saved.name !== name));
+    fillPickingPatternOptions(document.getElementById('pickingPatternInput').value.trim() ? 'custom' : '');
+    addLogEntry(`Рисунок перебора "${name}" удален`, 'info');
+}
+
+/**
+ * Загружает сохраненные рисунки перебора
+ */
+function loadPickingPatterns() {
+    try {
+        return JSON.parse(localStorage.getItem(PICKING_PATTERNS_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.warn('Не удалось прочитать сохраненные рисунки перебора:', error);
+        return [];
+    }
+}
+
+/**
+ * Сохраняет рисунки перебора
+ */
+function savePickingPatterns(patterns) {
+    try {
+        localStorage.setItem(PICKING_PATTERNS_STORAGE_KEY, JSON.stringify(patterns));
+    } catch (error) {
+        addLogEntry(`Не удалось сохранить рисунки перебора: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Возвращает настройки перебора или null, если перебор не выбран
+ */
+function getPickingSettings() {
+    const pattern = document.getElementById('pickingPatternInput').value.trim();
+    if (!pattern) return null;
+    
+    return {
+        steps: Fingerpicking.parsePickingPattern(pattern),
+        stepsPerBeat: parseInt(document.getElementById('pickingStepSelect').value)
+    };
+}
+
+/**
+ * Подключение к MIDI-устройствам
+ */
+async function handleMidiConnectClick() {
+    try {
+        midiAccess = await MidiDevices.requestMidiAccess();
+        midiAccess.onstatechange = () => fillMidiPortOptions();
+        fillMidiPortOptions();
+        
+        const ports = MidiDevices.getMidiPorts(midiAccess);
+        addLogEntry(`MIDI подключен: ${ports.inputs.length} входов, ${ports.outputs.length} выходов`, 'success');
+    } catch (error) {
+        addLogEntry(`Не удалось подключиться к MIDI: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Заполняет списки MIDI-портов, сохраняя выбранные порты, если они еще подключены
+ */
+function fillMidiPortOptions() {
+    const ports = midiAccess ? MidiDevices.getMidiPorts(midiAccess) : { inputs: [], outputs: [] };
+    
+    [['midiOutputSelect', ports.outputs], ['midiInputSelect', ports.inputs]].forEach(([selectId, list]) => {
+        const select = document.getElementById(selectId);
+        const selectedId = select.value;
+        
+        select.innerHTML = '';
+        select.add(new Option('Нет', ''));
+        list.forEach(port => select.add(new Option(port.name, port.id)));
+        select.value = list.some(port => port.id === selectedId) ? selectedId : '';
+        select.disabled = !midiAccess;
+    });
+    
+    document.getElementById('midiSendButton').disabled = !getMidiOutput();
+    
+    // Вход мог отключиться - отслеживание переподключается к тому, что выбрано теперь
+    if (midiAccess) {
+        handleMidiInputChange();
+    }
+}
+
+/**
+ * Возвращает выбранный MIDI-выход или null
+ */
+function getMidiOutput() {
+    const outputId = document.getElementById('midiOutputSelect').value;
+    return midiAccess && outputId ? midiAccess.outputs.get(outputId) || null : null;
+}
+
+/**
+ * Выбор MIDI-выхода
+ */
+function handleMidiOutputChange() {
+    const midiOutput = getMidiOutput();
+    document.getElementById('midiSendButton').disabled = !midiOutput;
+    
+    if (midiOutput) {
+        addLogEntry(`MIDI-выход: ${midiOutput.name}`, 'info');
+    }
+}
+
+/**
+ * Отправка текущей аппликатуры на MIDI-выход
+ */
+function handleMidiSendClick() {
+    if (!currentChord || !currentFingering) {
+        addLogEntry('Сначала выберите аккорд', 'error');
+        return;
+    }
+    
+    sendFingeringToMidi(currentFingering, 3);
+    addLogEntry(`Аккорд ${currentChord} отправлен на MIDI-выход`, 'info');
+}
+
+/**
+ * Отправляет аппликатуру на выбранный MIDI-выход: по ноте на каждую звучащую струну
+ * @param {Array} fingering - Аппликатура
+ * @param {number} duration - Длительность звучания (в секундах)
+ */
+function sendFingeringToMidi(fingering, duration) {
+    const midiOutput = getMidiOutput();
+    if (!midiOutput) return;
+    
+    try {
+        const notes = MidiExport.buildMidiNotes([{ time: 0, duration: duration, fingering: fingering }]);
+        MidiDevices.sendMidiNotes(midiOutput, notes, {
+            channelMode: document.getElementById('midiChannelModeSelect').value
+        });
+    } catch (error) {
+        addLogEntry(`Ошибка отправки на MIDI-выход: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Глушит ноты на MIDI-выходе
+ */
+function stopMidiNotes() {
+    const midiOutput = getMidiOutput();
+    if (midiOutput) {
+        MidiDevices.stopMidiOutput(midiOutput);
+    }
+}
+
+/**
+ * Выбор MIDI-входа: нажатые ноты определяются как аккорд и показываются на грифе
+ */
+function handleMidiInputChange() {
+    const inputId = document.getElementById('midiInputSelect').value;
+    
+    midiAccess.inputs.forEach(input => {
+        input.onmidimessage = null;
+    });
+    midiInputTracker = null;
+    document.getElementById('midiInputNotes').textContent = '';
+    
+    const input = inputId ? midiAccess.inputs.get(inputId) : null;
+    if (!input) return;
+    
+    midiInputTracker = MidiDevices.createMidiInputTracker(handleMidiInputNotes);
+    input.onmidimessage = message => midiInputTracker.handleMessage(message.data);
+}
+
+/**
+ * Изменился набор нажатых нот MIDI-входа
+ * Аккорд определяется, когда набор перестает меняться: ноты аккорда на клавиатуре нажимаются не одновременно
+ */
+function handleMidiInputNotes(midiNotes) {
+    // Ноты подписываются в принятой в проекте нотации октав (6-я струна - E1)
+    document.getElementById('midiInputNotes').textContent = midiNotes
+        .map(midi => NoteUtils.getNoteByMidiNumber(midi - MidiExport.MIDI_OCTAVE_OFFSET))
+        .join(' ');
+    
+    clearTimeout(midiInputTimer);
+    midiInputTimer = setTimeout(() => identifyMidiInputChord(midiNotes), MIDI_INPUT_SETTLE_MS);
+}
+
+/**
+ * Определяет аккорд по нотам MIDI-входа и показывает его аппликатуру
+ * Из вариантов аппликатуры выбирается тот, в котором больше всего нот звучат в той же октаве, что на клавиатуре
+ */
+function identifyMidiInputChord(midiNotes) {
+    const { notes, candidates } = MidiDevices.identifyMidiNotes(midiNotes);
+    if (notes.length < 2) return;
+    
+    if (candidates.length === 0) {
+        addLogEntry(`MIDI: не удалось определить аккорд для нот [${notes.join(', ')}]`, 'error');
+        return;
+    }
+    
+    const chordName = candidates[0].name;
+    document.getElementById('chordInput').value = chordName;
+    processChordInput();
+    if (currentChord !== chordName) return;
+    
+    const matchCounts = currentVoicings.map(voicing => MidiExport.getFingeringMidiNotes(voicing.fingering)
+        .filter(midi => midi !== null && midiNotes.includes(midi)).length);
+    const bestIndex = matchCounts.indexOf(Math.max(...matchCounts));
+    if (bestIndex !== currentVoicingIndex && matchCounts[bestIndex] > matchCounts[currentVoicingIndex]) {
+        showVoicing(bestIndex);
+    }
+    
+    displayIdentifyResults(candidates, currentFingering);
+    addLogEntry(`MIDI: ноты [${notes.join(', ')}] определены как ${chordName}`, 'success');
+}
+
+/**
+ * Разбор ChordPro из поля ввода и отрисовка песни
+ */
+function handleRenderSongClick() {
+    const chordProInput = document.getElementById('chordProInput');
+    
+    currentSong = ChordPro.parseChordPro(chordProInput.value);
+    renderSongSheet();
+    
+    const title = currentSong.metadata.title || 'без названия';
+    addLogEntry(`Песня "${title}": ${currentSong.chords.length} аккордов, ${currentSong.sections.length} частей`, 'success');
+    currentSong.errors.forEach(error => {
+        addLogEntry(`Песня, строка ${error.line}: аккорд [${error.chord}] не распознан: ${error.message}`, 'error');
+    });
+    
+    // Аккорды песни с каподастром записаны формами от каподастра: ставим его на гриф
+    const capo = parseInt(currentSong.metadata.capo) || 0;
+    const capoSelect = document.getElementById('capoSelect');
+    if (capo !== NoteUtils.getCapo() && capo <= NoteUtils.MAX_CAPO_FRET) {
+        capoSelect.value = capo;
+        handleCapoChange({ target: capoSelect });
+    }
+}
+
+/**
+ * Загрузка песни из файла ChordPro
+ */
+async function handleChordProFileChange(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+        const text = await file.text();
+        
+        // Текст с аккордами над строками сразу преобразуется в ChordPro
+        if (ChordSheet.isChordSheet(text)) {
+            const title = file.name.replace(/\.[^.]*$/, '');
+            document.getElementById('chordProInput').value = ChordSheet.convertChordSheetToChordPro(text, { title });
+            addLogEntry(`Файл ${file.name} импортирован из текста с аккордами`, 'info');
+        } else {
+            document.getElementById('chordProInput').value = text;
+        }
+        handleRenderSongClick();
+    } catch (error) {
+        addLogEntry(`Не удалось прочитать файл ${file.name}: ${error.message}`, 'error');
+    }
+    
+    event.target.value = '';
+}
+
+/**
+ * Преобразование текста с аккордами над строками в ChordPro
+ */
+function handleImportChordSheetClick() {
+    const chordProInput = document.getElementById('chordProInput');
+    
+    if (!ChordSheet.isChordSheet(chordProInput.value)) {
+        addLogEntry('В тексте нет строк с аккордами над текстом (или он уже в формате ChordPro)', 'error');
+        return;
+    }
+    
+    chordProInput.value = ChordSheet.convertChordSheetToChordPro(chordProInput.value);
+    addLogEntry('Текст с аккордами преобразован в ChordPro', 'info');
+    handleRenderSongClick();
+}
+
+/**
+ * Транспонирование песни: меняются аккорды и тональность в тексте ChordPro
+ */
+function handleSongTransposeClick(semitones) {
+    const chordProInput = document.getElementById('chordProInput');
+    
+    try {
+        const song = ChordPro.transposeChordPro(ChordPro.parseChordPro(chordProInput.value), semitones);
+        chordProInput.value = ChordPro.formatChordPro(song);
+        currentSong = song;
+        renderSongSheet();
+        addLogEntry(`Песня транспонирована на ${semitones > 0 ? '+' : ''}${semitones}${song.metadata.key ? `, тональность ${song.metadata.key}` : ''}`, 'info');
+    } catch (error) {
+        addLogEntry(`Ошибка транспонирования песни: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Экспорт песни из поля ввода (со всеми правками) в файл ChordPro
+ */
+function handleExportChordProClick() {
+    const song = ChordPro.parseChordPro(document.getElementById('chordProInput').value);
+    const fileName = getSafeFileName(`${song.metadata.title || 'song'}.cho`);
+    
+    downloadFile(ChordPro.formatChordPro(song), fileName, 'text/plain');
+    addLogEntry(`Песня экспортирована в ${fileName}`, 'info');
+}
+
+/**
+ * Отрисовывает песню: заголовок, части и строки с аккордами над текстом; аккорды кликабельны
+ */
+function renderSongSheet() {
+    const songSheet = document.getElementById('songSheet');
+    const songErrors = document.getElementById('songErrors');
+    songSheet.innerHTML = '';
+    songErrors.textContent = currentSong.errors
+        .map(error => `Строка ${error.line}: [${error.chord}] - ${error.message}`)
+        .join('; ');
+    
+    const { metadata } = currentSong;
+    if (metadata.title) {
+        const title = document.createElement('h3');
+        title.className = 'song-title';
+        title.textContent = metadata.title;
+        songSheet.appendChild(title);
+    }
+    
+    const meta = [
+        metadata.subtitle,
+        metadata.artist,
+        metadata.key && `Тональность: ${metadata.key}`,
+        metadata.capo && `Каподастр: ${metadata.capo} лад`,
+        metadata.tempo && `Темп: ${metadata.tempo}`,
+        metadata.time && `Размер: ${metadata.time}`
+    ].filter(Boolean);
+    if (meta.length > 0) {
+        const metaElement = document.createElement('div');
+        metaElement.className = 'song-meta';
+        metaElement.textContent = meta.join(' · ');
+        songSheet.appendChild(metaElement);
+    }
+    
+    currentSong.sections.forEach(section => {
+        const part = document.createElement('div');
+        part.className = `song-part ${section.type}`;
+        
+        if (section.label) {
+            const label = document.createElement('div');
+            label.className = 'song-part-label';
+            label.textContent = section.label;
+            part.appendChild(label);
+        }
+        
+        section.lines.forEach(line => part.appendChild(createSongLine(line)));
+        songSheet.appendChild(part);
+    });
+}
+
+/**
+ * Создает элемент строки песни
+ */
+function createSongLine(line) {
+    if (line.type === 'tab') {
+        const tab = document.createElement('pre');
+        tab.className = 'song-tab';
+        tab.textContent = line.text;
+        return tab;
+    }
+    
+    const lineElement = document.createElement('div');
+    lineElement.className = 'song-line';
+    
+    if (line.type === 'comment' || line.type === 'chorusRepeat') {
+        lineElement.classList.add('song-comment');
+        lineElement.textContent = line.type === 'comment' ? line.text : (line.label || 'Припев');
+        return lineElement;
+    }
+    if (line.type !== 'lyrics') {
+        return lineElement;
+    }
+    
+    line.segments.forEach(segment => {
+        const segmentElement = document.createElement('span');
+        segmentElement.className = 'song-segment';
+        
+        const chordElement = document.createElement('span');
+        chordElement.className = 'song-chord';
+        if (segment.chord !== null) {
+            chordElement.textContent = segment.chord;
+            if (segment.valid) {
+                chordElement.classList.add('playable');
+                chordElement.title = 'Сыграть аккорд';
+                chordElement.addEventListener('click', () => handleSongChordClick(segment.chord, chordElement));
+            } else {
+                chordElement.classList.add('invalid');
+                chordElement.title = segment.error;
+            }
+        }
+        
+        const lyricsElement = document.createElement('span');
+        lyricsElement.className = 'song-lyrics';
+        lyricsElement.textContent = segment.lyrics;
+        
+        segmentElement.appendChild(chordElement);
+        segmentElement.appendChild(lyricsElement);
+        lineElement.appendChild(segmentElement);
+    });
+    
+    return lineElement;
+}
+
+/**
+ * Клик по аккорду песни: аккорд показывается на грифе и звучит
+ * С каподастром аккорд песни - это форма, поэтому играется аккорд, который она дает с каподастром
+ */
+async function handleSongChordClick(chord, chordElement) {
+    document.querySelectorAll('.song-chord.active').forEach(element => element.classList.remove('active'));
+    chordElement.classList.add('active');
+    
+    const capo = parseInt(currentSong.metadata.capo) || 0;
+    const soundingKey = currentSong.metadata.key ? ChordParser.transposeKey(currentSong.metadata.key, capo) : null;
+    const soundingChord = capo > 0 ? ChordParser.transposeChord(chord, capo, soundingKey) : chord;
+    
+    if (isPlaying) {
+        handleStopButtonClick();
+    }
+    
+    document.getElementById('chordInput').value = soundingChord;
+    processChordInput();
+    await handlePlayButtonClick();
+}
+
+/**
+ * Событие прогрессии зазвучало: гриф и такты следуют за текущим аккордом
+ * @param {Object} event - Событие прогрессии
+ * @param {number} time - Время события по часам audioContext (в секундах)
+ */
+function handleProgressionEvent(event, time) {
+    if (event.type === 'click') {
+        updateStatus('playing', `Отсчет: ${event.beat}`);
+        return;
+    }
+    
+    // На MIDI-выход уходят те же удары или щипки, что звучат в браузере
+    const midiOutput = getMidiOutput();
+    if (midiOutput && event.midiNotes) {
+        MidiDevices.sendMidiNotes(midiOutput, event.midiNotes, {
+            startTime: performance.now() + Math.max(0, time - audioContext.currentTime) * 1000,
+            channelMode: document.getElementById('midiChannelModeSelect').value
+        });
+    }
+    
+    currentChord = event.chord;
+    currentNotes = event.notes;
+    currentVoicings = event.voicings;
+    showVoicing(event.voicingIndex);
+    highlightFingering(true);
+    
+    highlightProgressionBar(event.bar);
+    updateStatus('playing', `Такт ${event.bar}: ${event.chord}`);
+}
+
+/**
+ * Обработка клика по кнопке Stop прогрессии
+ */
+function handleProgressionStopClick() {
+    if (!progressionPlayback) {
+        return;
+    }
+    
+    progressionPlayback.stop();
+    stopMidiNotes();
+    finishProgressionPlayback();
+    addLogEntry('Воспроизведение прогрессии остановлено', 'info');
+}
+
+/**
+ * Возвращает интерфейс в исходное состояние после окончания прогрессии
+ */
+function finishProgressionPlayback() {
+    progressionPlayback = null;
+    
+    document.getElementById('progressionPlayButton').disabled = false;
+    document.getElementById('progressionStopButton').disabled = true;
+    
+    highlightFingering(false);
+    highlightProgressionBar(null);
+    updateStatus('ready', 'Готов к работе');
+}
+
+/**
+ * Отрисовывает такты прогрессии; такты до начального отмечаются как пропущенные
+ */
+function renderProgressionBars(startBar) {
+    const container = document.getElementById('progressionBars');
+    container.innerHTML = '';
+    
+    progressionBars.forEach((bar, index) => {
+        const barElement = document.createElement('div');
+        barElement.className = 'progression-bar';
+        barElement.dataset.bar = index + 1;
+        barElement.textContent = bar.map(entry => entry.tied ? '/' : entry.chord).join(' ');
+        barElement.title = `Такт ${index + 1}`;
+        
+        if (index + 1 < startBar) {
+            barElement.classList.add('skipped');
+        }
+        
+        container.appendChild(barElement);
+    });
+}
+
+/**
+ * Подсвечивает звучащий такт (null - снимает подсветку)
+ */
+function highlightProgressionBar(barNumber) {
+    document.querySelectorAll('.progression-bar').forEach(barElement => {
+        barElement.classList.toggle('active', parseInt(barElement.dataset.bar) === barNumber);
+    });
+}
+
+/**
+ * Подсветка позиций на грифе
+ */
+function highlightFingering(highlight) {
+    const positions = document.querySelectorAll('.finger-position:not(.muted)');
+    
+    positions.forEach(position => {
+        if (highlight) {
+            position.classList.add('active');
+        } else {
+            position.classList.remove('active');
+        }
+    });
+}
+
+/**
+ * Обновление статуса приложения
  */
 function updateStatus(status, message) {
     const statusIndicator = document.getElementById('statusIndicator');
@@ -744,19 +2923,64 @@ function handleExportLogClick() {
         `[${entry.timestamp}] [${entry.type.toUpperCase()}] ${entry.message}`
     ).join('\n');
     
-    const blob = new Blob([logText], { type: 'text/plain' });
+    downloadFile(logText, `chordsplayer-log-${new Date().toISOString().slice(0, 10)}.txt`, 'text/plain');
+    
+    addLogEntry('Лог экспортирован в файл', 'info');
+}
+
+/**
+ * Заменяет в имени файла символы, недопустимые в файловых системах
+ */
+function getSafeFileName(fileName) {
+    return fileName.replace(/[\\/:*?"<>|]/g, '_');
+}
+
+/**
+ * Сохраняет данные в файл через временную ссылку
+ * @param {string|ArrayBuffer|Blob} content - Содержимое файла
+ * @param {string} fileName - Имя файла
+ * @param {string} mimeType - MIME-тип содержимого
+ */
+function downloadFile(content, fileName, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     
     const a = document.createElement('a');
     a.href = url;
-    a.download = `chordsplayer-log-${new Date().toISOString().slice(0, 10)}.txt`;
+    a.download = fileName;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     
     URL.revokeObjectURL(url);
+}
+
+/**
+ * Копирует текст в буфер обмена
+ * Без Clipboard API (например, на странице, открытой из файла) - через выделение временного поля
+ * @param {string} text - Текст
+ */
+async function copyToClipboard(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
     
-    addLogEntry('Лог экспортирован в файл', 'info');
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    
+    try {
+        if (!document.execCommand('copy')) {
+            throw new Error('буфер обмена недоступен');
+        }
+    } finally {
+        document.body.removeChild(textarea);
+    }
 }
 
 /**
@@ -0,0 +1,248 @@
+/**
+ * Модуль текстовой записи аппликатур (для форумов, чатов и заметок)
+ * - Короткая запись аккорда: "x32010" (с ладами от 10 - через дефис: "x-10-12-12-11-x")
+ * - Диаграмма аккорда псевдографикой: вертикальные струны, пометки "o"/"x" над порожком, номера пальцев
+ * - Табулатура прогрессии: строки струн с ладами ударов боя или щипков перебора по сетке такта
+ * Аппликатура - массив {string, fret, finger} от нижней струны к верхней, как в ChordOptimizer.findOptimalFingering
+ */
+
+// Минимальное количество ладов в диаграмме аккорда
+const TEXT_DIAGRAM_MIN_FRETS = 4;
+
+// Количество тактов в строке табулатуры
+const TEXT_TAB_BARS_PER_LINE = 4;
+
+/**
+ * Записывает аппликатуру одной строкой от нижней струны к верхней
+ * @param {Array} fingering - Аппликатура
+ * @returns {string} - Например, "x32010" или "x-10-12-12-11-x"
+ */
+function formatFingeringText(fingering) {
+  const frets = fingering.map(pos => pos.fret === -1 ? 'x' : String(pos.fret));
+  return frets.some(fret => fret.length > 1) ? frets.join('-') : frets.join('');
+}
+
+/**
+ * Рисует диаграмму аккорда псевдографикой
+ *
+ *   Am x02210
+ *   x o       o
+ *   ===========
+ *   | | | | 1 |
+ *   | | 2 3 | |
+ *   | | | | | |
+ *   | | | | | |
+ *   E A D G B e
+ *
+ * @param {Array} fingering - Аппликатура
+ * @param {Object} options - Опции {title, stringLabels}
+ * @returns {string} - Многострочный текст диаграммы
+ */
+function formatChordDiagram(fingering, options = {}) {
+  const {
+    title = null,                                          // Название аккорда над диаграммой
+    stringLabels = window.NoteUtils.getStringLabels()      // Названия струн от нижней к верхней
+  } = options;
+  
+  const cellWidth = Math.max(1, ...stringLabels.map(label => label.length));
+  const formatRow = cells => cells.map(cell => cell.padEnd(cellWidth)).join(' ').replace(/\s+$/, '');
+  
+  // Окно ладов: от порожка, если аккорд в него помещается, иначе от самого нижнего прижатого лада
+  const frets = fingering.map(pos => pos.fret).filter(fret => fret > 0);
+  const minFret = frets.length > 0 ? Math.min(...frets) : 1;
+  const maxFret = frets.length > 0 ? Math.max(...frets) : 1;
+  const startFret = maxFret <= TEXT_DIAGRAM_MIN_FRETS ? 1 : minFret;
+  const rowCount = Math.max(TEXT_DIAGRAM_MIN_FRETS, maxFret - startFret + 1);
+  const width = fingering.length * (cellWidth + 1) - 1;
+  
+  const lines = [];
+  lines.push(title ? `${title} ${formatFingeringText(fingering)}` : formatFingeringText(fingering));
+  lines.push(formatRow(fingering.map(pos => pos.fret === -1 ? 'x' : pos.fret === 0 ? 'o' : '')));
+  lines.push(startFret === 1 ? '='.repeat(width) : `${'-'.repeat(width)} ${startFret}fr`);
+  
+  const barres = (window.ChordOptimizer.findBarres(fingering) || []).map(barre => ({
+    fret: barre.fret,
+    finger: String(barre.finger),
+    from: fingering.findIndex(pos => pos.string === barre.fromString),
+    to: fingering.findIndex(pos => pos.string === barre.toString)
+  }));
+  const fingerLabel = pos => pos.finger !== null && pos.finger !== undefined ? String(pos.finger) : '*';
+  
+  for (let fret = startFret; fret < startFret + rowCount; fret++) {
+    // Баррэ - палец поперек всех струн от первой до последней прижатой им струны: "1-1-1-1-1-1"
+    const rowBarres = barres.filter(barre => barre.fret === fret);
+    const cells = fingering.map((pos, index) => {
+      const barre = rowBarres.find(item => index >= item.from && index <= item.to);
+      if (barre) return barre.finger;
+      return pos.fret === fret ? fingerLabel(pos) : '|';
+    });
+    
+    lines.push(cells.map((cell, index) => {
+      if (index === cells.length - 1) return cell;
+      const inBarre = rowBarres.some(barre => index >= barre.from && index < barre.to);
+      return inBarre ? `${cell.padEnd(cellWidth, '-')}-` : `${cell.padEnd(cellWidth)} `;
+    }).join('').replace(/\s+$/, ''));
+  }
+  
+  lines.push(formatRow(stringLabels));
+  
+  return lines.join('\n');
+}
+
+/**
+ * Раскладывает события прогрессии по сетке шагов: какие струны и на каком ладу звучат в каждом шаге
+ * @returns {Map} - Номер шага -> {step, frets: {индекс струны: лад}, direction, chord}
+ */
+function collectTabSteps(events, options) {
+  const { beatsPerBar, stepsPerBeat, secondsPerBeat, firstBar } = options;
+  const slots = new Map();
+  const getSlot = step => {
+    if (!slots.has(step)) {
+      slots.set(step, { step: step, frets: {}, direction: null, chord: null });
+    }
+    return slots.get(step);
+  };
+  const toSteps = seconds => Math.round(seconds / secondsPerBeat * stepsPerBeat);
+  
+  events.forEach(event => {
+    const startStep = Math.round(((event.bar - firstBar) * beatsPerBar + event.beat - 1) * stepsPerBeat);
+    const soundingStrings = event.fingering
+      .map((pos, index) => index)
+      .filter(index => event.fingering[index].fret !== -1);
+    
+    getSlot(startStep).chord = event.chord;
+    
+    if (event.plucks) {
+      event.plucks.forEach(pluck => {
+        getSlot(startStep + toSteps(pluck.time)).frets[pluck.string] = event.fingering[pluck.string].fret;
+      });
+    } else if (event.strokes) {
+      // Струны удара - как при воспроизведении (см. MidiExport.buildMidiNotes)
+      event.strokes.forEach(stroke => {
+        let strings = stroke.direction === 'up' ? [...soundingStrings].reverse() : soundingStrings;
+        if (stroke.stringLimit !== null && stroke.stringLimit !== undefined) {
+          strings = strings.slice(0, stroke.stringLimit);
+        }
+        
+        const slot = getSlot(startStep + toSteps(stroke.time));
+        strings.forEach(string => {
+          slot.frets[string] = event.fingering[string].fret;
+        });
+        const symbol = stroke.direction === 'down' ? 'D' : 'U';
+        slot.direction = stroke.ghost ? symbol.toLowerCase() : symbol;
+      });
+    } else {
+      const slot = getSlot(startStep);
+      soundingStrings.forEach(string => {
+        slot.frets[string] = event.fingering[string].fret;
+      });
+    }
+  });
+  
+  return slots;
+}
+
+/**
+ * Записывает прогрессию текстовой табулатурой
+ *
+ *     C               Am
+ *   e|-0---0-0-0-0---|-0---0-0-0-0---|
+ *   B|-1---1-1-1-1---|-1---1-1-1-1---|
+ *   ...
+ *      D   D U U D     D   D U U D
+ *
+ * @param {Array} events - События прогрессии с аппликатурами {chord, bar, beat, fingering, strokes, plucks}
+ *                         (см. Progression.buildTimeline); время ударов и щипков - в секундах от начала аккорда
+ * @param {Object} options - Опции записи
+ * @returns {string} - Многострочный текст табулатуры
+ */
+function formatProgressionTab(events, options = {}) {
+  const {
+    beatsPerBar = 4,                                       // Количество долей в такте
+    stepsPerBeat = 2,                                      // Количество шагов сетки на долю
+    secondsPerBeat = 60 / 90,                              // Длительность доли (в секундах)
+    stringLabels = window.NoteUtils.getStringLabels(),     // Названия струн от нижней к верхней
+    barsPerLine = TEXT_TAB_BARS_PER_LINE                   // Количество тактов в строке
+  } = options;
+  
+  if (events.length === 0) {
+    throw new Error('Нет аккордов для табулатуры');
+  }
+  
+  const firstBar = options.firstBar || Math.min(...events.map(event => event.bar));
+  const barCount = options.barCount || Math.max(...events.map(event => event.bar)) - firstBar + 1;
+  const stepsPerBar = Math.round(beatsPerBar * stepsPerBeat);
+  const slots = collectTabSteps(events, { beatsPerBar, stepsPerBeat, secondsPerBeat, firstBar });
+  
+  // Ширина клетки - по самому длинному номеру лада плюс разделитель
+  const allFrets = Array.from(slots.values()).flatMap(slot => Object.values(slot.frets));
+  const cellWidth = Math.max(1, ...allFrets.map(fret => String(fret).length)) + 1;
+  const labelWidth = Math.max(...stringLabels.map(label => label.length));
+  const hasDirections = Array.from(slots.values()).some(slot => slot.direction);
+  
+  // Строки табулатуры идут сверху вниз: первая - верхняя (самая высокая) струна
+  const stringIndexes = stringLabels.map((label, index) => index).reverse();
+  const blocks = [];
+  
+  for (let blockStart = 0; blockStart < barCount; blockStart += barsPerLine) {
+    const blockBars = Math.min(barsPerLine, barCount - blockStart);
+    const prefix = ' '.repeat(labelWidth + 1);
+    const stringLines = stringIndexes.map(index => `${stringLabels[index].padEnd(labelWidth)}|`);
+    let chordLine = prefix;
+    let directionLine = prefix;
+    
+    for (let bar = blockStart; bar < blockStart + blockBars; bar++) {
+      stringLines.forEach((line, order) => {
+        stringLines[order] += '-';
+      });
+      chordLine = chordLine.padEnd(stringLines[0].length);
+      directionLine = directionLine.padEnd(stringLines[0].length);
+      
+      for (let step = bar * stepsPerBar; step < (bar + 1) * stepsPerBar; step++) {
+        const slot = slots.get(step);
+        const column = stringLines[0].length;
+        
+        stringIndexes.forEach((string, order) => {
+          const fret = slot && slot.frets[string] !== undefined ? String(slot.frets[string]) : '';
+          stringLines[order] += fret.padEnd(cellWidth, '-');
+        });
+        
+        // Название аккорда над его первым шагом; если не помещается - сдвигается вправо
+        if (slot && slot.chord) {
+          chordLine = `${chordLine.padEnd(column)}${chordLine.length > column ? ' ' : ''}${slot.chord}`;
+        }
+        if (slot && slot.direction) {
+          directionLine = `${directionLine.padEnd(column)}${slot.direction}`;
+        }
+      }
+      
+      stringLines.forEach((line, order) => {
+        stringLines[order] += '|';
+      });
+    }
+    
+    const lines = [chordLine.replace(/\s+$/, ''), ...stringLines];
+    if (hasDirections) {
+      lines.push(directionLine.replace(/\s+$/, ''));
+    }
+    blocks.push(lines.join('\n'));
+  }
+  
+  return blocks.join('\n\n');
+}
+
+// Экспортируем функции для использования в других модулях
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    formatFingeringText,
+    formatChordDiagram,
+    formatProgressionTab
+  };
+} else {
+  // Для использования в браузере
+  window.AsciiTab = {
+    formatFingeringText,
+    formatChordDiagram,
+    formatProgressionTab
+  };
+}
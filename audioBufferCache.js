@@ -73,63 +73,35 @@ async function loadAlternativeFile(audioContext, originalFilePath) {
     throw new Error(`Невозможно найти альтернативу для беззвучного буфера`);
   }
   
-  // Извлекаем информацию о струне и ладе из пути
-  const pathParts = originalFilePath.split('/');
-  const stringFolder = pathParts[pathParts.length - 2];
-  const fileName = pathParts[pathParts.length - 1];
+  // Струна и нота файла - из манифеста библиотеки сэмплов
+  const library = await window.SampleLibrary.loadSampleLibrary();
+  const original = library.samples.find(sample => sample.path === originalFilePath);
   
-  // Проверяем, что stringFolder определен
-  if (!stringFolder || stringFolder === 'undefined') {
-    throw new Error(`Некорректный путь к файлу: ${originalFilePath}`);
+  if (!original) {
+    throw new Error(`Файл ${originalFilePath} не описан в манифесте сэмплов`);
   }
   
-  // Пробуем загрузить файл с той же струны, но с другого лада
-  // Сначала пробуем открытую струну (fret0)
-  const openStringPath = `samples/${stringFolder}/fret0.mp3`;
+  // Пробуем другие сэмплы той же струны: сначала той же ноты (другие слои и повторы), затем ближайшие по высоте
+  const alternatives = library.samples
+    .filter(sample => sample.string === original.string && sample.path !== originalFilePath)
+    .sort((a, b) => Math.abs(a.midi - original.midi) - Math.abs(b.midi - original.midi));
   
-  try {
-    console.log(`Пробуем загрузить открытую струну: ${openStringPath}`);
-    return await loadAudioFileWithTimeout(audioContext, openStringPath);
-  } catch (error) {
-    console.warn(`Не удалось загрузить открытую струну: ${error.message}`);
-  }
-  
-  // Если открытая струна не сработала, пробуем другие лады
-  for (let fret = 1; fret <= 7; fret++) {
-    const alternativePath = `samples/${stringFolder}/fret${fret}.mp3`;
-    
-    // Пропускаем оригинальный файл
-    if (alternativePath === originalFilePath) {
-      continue;
-    }
-    
+  for (const sample of alternatives) {
     try {
-      console.log(`Пробуем альтернативный лад ${fret}: ${alternativePath}`);
-      return await loadAudioFileWithTimeout(audioContext, alternativePath);
+      console.log(`Пробуем альтернативный сэмпл (лад ${sample.fret}): ${sample.path}`);
+      return await loadAudioFileWithTimeout(audioContext, sample.path);
     } catch (error) {
-      console.warn(`Не удалось загрузить альтернативный лад ${fret}: ${error.message}`);
+      console.warn(`Не удалось загрузить альтернативный сэмпл ${sample.path}: ${error.message}`);
     }
   }
   
-  // Если ничего не помогло, пробуем загрузить из папки NotesMP3
+  // Если ничего не помогло, пробуем загрузить ноту из папки NotesMP3
+  // (сэмплы записаны в своем строе, поэтому нота берется из манифеста, а не из текущего строя)
   try {
-    // Извлекаем ноту из имени файла
-    const noteMatch = fileName.match(/fret(\d+)\.mp3/);
-    if (noteMatch) {
-      const fretNumber = parseInt(noteMatch[1]);
-      
-      // Пробуем найти соответствующую ноту в NotesMP3
-      const notesResponse = await fetch('notes.json');
-      const notesData = await notesResponse.json();
-      
-      if (notesData[stringFolder] && notesData[stringFolder][fretNumber]) {
-        const noteName = notesData[stringFolder][fretNumber];
-        const notePath = `NotesMP3/${noteName}.mp3`;
-        
-        console.log(`Пробуем ноту из NotesMP3: ${notePath}`);
-        return await loadAudioFileWithTimeout(audioContext, notePath);
-      }
-    }
+    const notePath = `NotesMP3/${window.NoteUtils.getNoteByMidiNumber(original.midi)}.mp3`;
+    
+    console.log(`Пробуем ноту из NotesMP3: ${notePath}`);
+    return await loadAudioFileWithTimeout(audioContext, notePath);
   } catch (error) {
     console.warn(`Не удалось загрузить ноту из NotesMP3: ${error.message}`);
   }
@@ -313,7 +285,7 @@ function getCacheInfo() {
 }
 
 /**
- * Предзагружает все аудиофайлы из структуры samples/ (оптимизированная версия)
+ * Предзагружает аудиофайлы библиотеки сэмплов (все слои громкости и повторы из манифеста)
  * @param {AudioContext} audioContext - Контекст аудио
  * @param {Object} options - Опции загрузки
  * @returns {Promise<Object>} - Результат загрузки
@@ -325,28 +297,13 @@ async function preloadAllSamples(audioContext, options = {}) {
     priorityStrings = ["1e", "6E", "5A"] // Приоритетные струны для быстрой загрузки
   } = options;
   
-  // Формируем список файлов с приоритетом
-  const priorityFilePaths = [];
-  const otherFilePaths = [];
-  
-  // Струны гитары
-  const strings = ["6E", "5A", "4D", "3G", "2B", "1e"];
-  
-  // Добавляем файлы для приоритетных струн
-  priorityStrings.forEach(string => {
-    for (let fret = 0; fret <= maxFret; fret++) {
-      priorityFilePaths.push(`samples/${string}/fret${fret}.mp3`);
-    }
-  });
+  // Сэмплы текущего инструмента до заданного лада (в строе записи)
+  const library = await window.SampleLibrary.loadSampleLibrary();
+  const samples = library.samples.filter(sample => sample.fret <= maxFret);
   
-  // Добавляем файлы для остальных струн
-  strings.forEach(string => {
-    if (!priorityStrings.includes(string)) {
-      for (let fret = 0; fret <= maxFret; fret++) {
-        otherFilePaths.push(`samples/${string}/fret${fret}.mp3`);
-      }
-    }
-  });
+  // Сначала файлы приоритетных струн (если они есть в наборе сэмплов), затем остальные
+  const priorityFilePaths = samples.filter(sample => priorityStrings.includes(sample.string)).map(sample => sample.path);
+  const otherFilePaths = samples.filter(sample => !priorityStrings.includes(sample.string)).map(sample => sample.path);
   
   // Сначала загружаем приоритетные файлы
   console.log(`Предзагрузка ${priorityFilePaths.length} приоритетных аудиофайлов...`);
@@ -3,14 +3,18 @@
  * Выполняет шаг 6 из roadmap.md: map to samples
  */
 
-// Базовый путь к аудиофайлам
-const SAMPLES_PATH = 'samples';
+// Максимальное количество полутонов для транспонирования
+const MAX_PITCH_SHIFT_SEMITONES = 5;
 
-// Расширение аудиофайлов
-const AUDIO_EXTENSION = '.mp3';
+// Наибольшее число октав, на которое сэмпл звучит ниже или выше записи (высокие лады гитары, бас, мандолина)
+const MAX_OCTAVE_SHIFT = 2;
 
-// Максимальное количество полутонов для транспонирования
-const MAX_PITCH_SHIFT_SEMITONES = 2;
+// Допустимое отклонение строя сэмпла от ноты (в центах) при проверке библиотеки
+const SAMPLE_TUNING_TOLERANCE_CENTS = 10;
+
+// Транспонированные сэмплы: "путь|полутоны" -> {measured, result}, result - Promise результата транспонирования
+// (фазовый вокодер считает секунды, поэтому каждый сэмпл сдвигается на каждую величину один раз)
+let shiftedSampleCache = {};
 
 // Импортируем данные и функции из общего модуля
 // Используем доступ через объект NoteUtils, чтобы избежать конфликтов имен
@@ -27,20 +31,6 @@ function createSilentBuffer(audioContext, duration = 3.0) {
   return buffer;
 }
 
-/**
- * Проверяет существование аудиофайла
- * @param {string} filePath - Путь к файлу
- * @returns {Promise<boolean>} - true, если файл существует
- */
-async function checkFileExists(filePath) {
-  try {
-    const response = await fetch(filePath, { method: 'HEAD' });
-    return response.ok;
-  } catch (error) {
-    return false;
-  }
-}
-
 /**
  * Загружает аудиофайл и декодирует его в AudioBuffer
  * @param {AudioContext} audioContext - Контекст аудио
@@ -65,31 +55,240 @@ async function loadAudioFile(audioContext, filePath) {
 }
 
 /**
- * Находит ближайший доступный лад для данной струны
+ * Возвращает набор сэмплов текущего инструмента: манифест библиотеки и строй записи
+ * @returns {Object} - Набор сэмплов {manifest, folder, tuning, maxFret}
+ */
+function getSampleSet() {
+  return window.NoteUtils.getInstrument().samples;
+}
+
+/**
+ * Возвращает MIDI номер открытой струны в строе, в котором записаны сэмплы
+ * Сэмплы записаны в своем строе без каподастра, поэтому лад сэмпла может не совпадать с ладом аппликатуры
+ * @param {string} sampleString - Записанная струна (папка в наборе сэмплов)
+ * @returns {number} - MIDI номер открытой струны
+ */
+function getRecordedOpenMidi(sampleString) {
+  return window.NoteUtils.calculateMidiNumber(getSampleSet().tuning[sampleString]);
+}
+
+/**
+ * Возвращает записанные струны, упорядоченные по близости к струне инструмента
+ * Близость считается по высоте открытых струн: у той же струны в родном строе она нулевая,
+ * а 7-я струна гитары или струны укулеле получают ближайшие по высоте гитарные записи
+ * @param {string} string - Струна текущего инструмента
+ * @param {number} octaves - На сколько октав звук будет сдвинут скоростью воспроизведения (см. findPlayableSample)
+ * @returns {Array} - Записанные струны, от самой близкой
+ */
+function getSampleStringsByDistance(string, octaves = 0) {
+  const openMidi = window.NoteUtils.calculateMidiNumber(window.NoteUtils.getTuning()[string]) - octaves * 12;
+  
+  return Object.keys(getSampleSet().tuning).sort((a, b) =>
+    Math.abs(getRecordedOpenMidi(a) - openMidi) - Math.abs(getRecordedOpenMidi(b) - openMidi)
+  );
+}
+
+/**
+ * Находит записанные сэмплы нужной высоты: сначала на той же струне, затем на соседних
+ * (например, 6E лад 12 = 4D лад 2)
+ * @param {Object} library - Библиотека сэмплов (см. SampleLibrary.loadSampleLibrary)
+ * @param {string} string - Струна
+ * @param {number} targetMidi - MIDI номер звучащей ноты
+ * @param {number} octaves - Октавный сдвиг скоростью воспроизведения (targetMidi - уже нота записи)
+ * @returns {Object|null} - {string, midi, zones}: записанная струна, нота и ее сэмплы (слои и повторы) или null
+ */
+function findRecordedSample(library, string, targetMidi, octaves = 0) {
+  // Ближе по строю струны - ближе по тембру
+  for (const candidate of getSampleStringsByDistance(string, octaves)) {
+    const zones = window.SampleLibrary.findSampleZones(library, candidate, targetMidi);
+    
+    if (zones.length > 0) {
+      return { string: candidate, midi: targetMidi, zones: zones };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Находит ближайшую по высоте записанную ноту для транспонирования
+ * Берется самая близкая по строю записанная струна, на которой есть сэмплы;
+ * при равном расстоянии предпочитается нота ниже (транспонирование вверх)
+ * @param {Object} library - Библиотека сэмплов
+ * @param {string} string - Струна
+ * @param {number} targetMidi - MIDI номер звучащей ноты
+ * @param {number} octaves - Октавный сдвиг скоростью воспроизведения (targetMidi - уже нота записи)
+ * @returns {Object|null} - {string, midi, zones} или null
+ */
+function findClosestRecordedSample(library, string, targetMidi, octaves = 0) {
+  for (const candidate of getSampleStringsByDistance(string, octaves)) {
+    const notes = window.SampleLibrary.getRecordedNotes(library, candidate);
+    if (notes.length === 0) continue;
+    
+    const closestMidi = notes.reduce((best, midi) =>
+      Math.abs(midi - targetMidi) < Math.abs(best - targetMidi) ? midi : best
+    );
+    
+    return { string: candidate, midi: closestMidi, zones: window.SampleLibrary.findSampleZones(library, candidate, closestMidi) };
+  }
+  
+  return null;
+}
+
+/**
+ * Подбирает записанную ноту для звучащей: той же высоты, иначе - ближайшую в пределах лимита транспонирования
+ * Нота вне диапазона записи звучит на целые октавы ниже или выше записанной: октава дается скоростью воспроизведения
+ * (без вокодера), поэтому верхние лады гитары играются сэмплами нижних ладов на октаву выше, а низ баса - на октаву ниже
+ * @param {Object} library - Библиотека сэмплов
  * @param {string} string - Струна
- * @param {number} targetFret - Целевой лад
- * @param {number} maxFret - Максимальный доступный лад
- * @returns {number|null} - Ближайший доступный лад или null
+ * @param {number} targetMidi - MIDI номер звучащей ноты
+ * @param {Object} options - Опции {enablePitchShift, maxPitchShiftSemitones}
+ * @returns {Object|null} - {string, midi, zones, semitones, octaves}: semitones - транспонирование записи,
+ *                          octaves - сдвиг скоростью воспроизведения (-1 - на октаву ниже); null, если нота недостижима
  */
-function findClosestFret(string, targetFret, maxFret = 7) {
-  // Проверяем доступные лады от 0 до maxFret
-  for (let distance = 0; distance <= maxFret; distance++) {
-    // Проверяем лад выше
-    const higherFret = targetFret + distance;
-    if (higherFret <= maxFret) {
-      return higherFret;
+function findPlayableSample(library, string, targetMidi, options = {}) {
+  const { enablePitchShift = true, maxPitchShiftSemitones = MAX_PITCH_SHIFT_SEMITONES } = options;
+  
+  // Сначала родная высота, затем ближайшие октавы (вниз раньше вверх)
+  const octaveOrder = [0];
+  for (let octave = 1; octave <= MAX_OCTAVE_SHIFT; octave++) {
+    octaveOrder.push(-octave, octave);
+  }
+  
+  for (const octaves of octaveOrder) {
+    const recordedMidi = targetMidi - octaves * 12;
+    
+    const exactSample = findRecordedSample(library, string, recordedMidi, octaves);
+    if (exactSample) {
+      return { ...exactSample, semitones: 0, octaves: octaves };
     }
     
-    // Проверяем лад ниже
-    const lowerFret = targetFret - distance;
-    if (lowerFret >= 0) {
-      return lowerFret;
+    const closestSample = enablePitchShift ? findClosestRecordedSample(library, string, recordedMidi, octaves) : null;
+    if (closestSample && Math.abs(recordedMidi - closestSample.midi) <= maxPitchShiftSemitones) {
+      return { ...closestSample, semitones: recordedMidi - closestSample.midi, octaves: octaves };
     }
   }
   
   return null;
 }
 
+/**
+ * Загружает сэмпл и транспонирует его (один раз на файл и величину сдвига, см. shiftedSampleCache);
+ * сэмпл, сдвинутый без измерения качества, пересчитывается, только если измерение запрошено
+ * @param {AudioContext} audioContext - Контекст аудио
+ * @param {string} filePath - Путь к файлу сэмпла
+ * @param {number} semitones - Транспонирование (в полутонах, может быть дробным)
+ * @param {Object} options - Опции транспонирования (см. pitchShift)
+ * @returns {Promise<Object|null>} - Результат транспонирования { buffer, quality, transformation } или null, если файл не загрузился
+ */
+function loadShiftedSample(audioContext, filePath, semitones, options = {}) {
+  const key = `${filePath}|${semitones}`;
+  const measured = options.measureQuality !== false;
+  const cached = shiftedSampleCache[key];
+  
+  if (!cached || (measured && !cached.measured)) {
+    const entry = { measured: measured, result: null };
+    entry.result = (async () => {
+      const sourceBuffer = await loadAudioFile(audioContext, filePath);
+      const result = sourceBuffer ? await pitchShift(audioContext, sourceBuffer, semitones, options) : null;
+      
+      // Неудачи не кэшируем: файл может появиться, а ошибка транспонирования - не повториться
+      if ((!result || !result.transformation.applied) && shiftedSampleCache[key] === entry) {
+        delete shiftedSampleCache[key];
+      }
+      return result;
+    })();
+    shiftedSampleCache[key] = entry;
+  }
+  
+  return shiftedSampleCache[key].result;
+}
+
+/**
+ * Загружает сэмплы ноты и приводит их к высоте звучащей ноты
+ * Записанная нота загружается со всеми слоями громкости и повторами. При транспонировании сразу сдвигается только
+ * сэмпл для силы удара по умолчанию: вокодер считает секунды на каждый сэмпл, поэтому остальные слои и повторы
+ * сдвигаются, когда их выберут удары (см. prepareSampleZones), а до того несут {pitchShift} вместо буфера
+ * Отклонение строя записи (tuneCents) без транспонирования исправляется подстройкой при воспроизведении (detune),
+ * а при транспонировании входит в его величину
+ * @param {AudioContext} audioContext - Контекст аудио
+ * @param {Array} zones - Сэмплы ноты из библиотеки
+ * @param {number} semitones - Транспонирование (в полутонах)
+ * @param {string} expectedNote - Звучащая нота (для проверки точности транспонирования)
+ * @param {boolean} measureQuality - Измерять высоту транспонированных сэмплов (долгий анализ, нужен для проверки библиотеки)
+ * @returns {Promise<Array>} - Сэмплы {...сэмпл, buffer, detune, quality, transformation, pitchShift};
+ *                             пустой массив, если сэмпл по умолчанию не загрузился
+ */
+async function loadSampleZones(audioContext, zones, semitones, expectedNote, measureQuality = false) {
+  if (semitones === 0) {
+    const loadedZones = [];
+    for (const zone of zones) {
+      const sourceBuffer = await loadAudioFile(audioContext, zone.path);
+      if (sourceBuffer) {
+        loadedZones.push({ ...zone, buffer: sourceBuffer, detune: -zone.tuneCents, quality: null, transformation: null });
+      }
+    }
+    
+    return loadedZones;
+  }
+  
+  const shiftedZones = zones.map(zone => ({
+    ...zone,
+    buffer: null,
+    detune: 0,
+    quality: null,
+    transformation: null,
+    pitchShift: { semitones: semitones - zone.tuneCents / 100, expectedNote: expectedNote }
+  }));
+  
+  const defaultZone = window.SampleLibrary.selectSampleZone(shiftedZones, window.SampleLibrary.DEFAULT_SAMPLE_VELOCITY, false);
+  await shiftSampleZone(audioContext, defaultZone, measureQuality);
+  
+  return defaultZone.buffer ? shiftedZones : [];
+}
+
+/**
+ * Транспонирует сэмпл, загруженный без буфера (см. loadSampleZones); результат кэшируется на файл и величину сдвига
+ * @param {AudioContext} audioContext - Контекст аудио
+ * @param {Object} zone - Сэмпл с {pitchShift}; буфер, качество и преобразование записываются в него
+ * @param {boolean} measureQuality - Измерять высоту транспонированного сэмпла
+ * @returns {Promise<boolean>} - true, если буфер получен
+ */
+async function shiftSampleZone(audioContext, zone, measureQuality = false) {
+  const pitchShiftResult = await loadShiftedSample(audioContext, zone.path, zone.pitchShift.semitones, {
+    enableQualityCheck: false,
+    measureQuality: measureQuality,
+    logTransformations: false,
+    expectedNote: zone.pitchShift.expectedNote
+  });
+  
+  if (pitchShiftResult) {
+    zone.buffer = pitchShiftResult.buffer;
+    zone.quality = pitchShiftResult.quality;
+    zone.transformation = pitchShiftResult.transformation;
+  }
+  
+  return Boolean(pitchShiftResult);
+}
+
+/**
+ * Транспонирует сэмплы ноты, которые выберут удары с заданной силой: все повторы их слоев громкости
+ * (повторы чередуются, см. SampleLibrary.selectSampleZone); уже готовые сэмплы не пересчитываются
+ * @param {AudioContext} audioContext - Контекст аудио
+ * @param {Array} zones - Сэмплы ноты (см. loadSampleZones)
+ * @param {Array<number>} velocities - Силы ударов (undefined - сила по умолчанию)
+ * @returns {Promise<void>}
+ */
+async function prepareSampleZones(audioContext, zones, velocities) {
+  const pendingZones = new Set(velocities
+    .flatMap(velocity => window.SampleLibrary.getSampleLayer(zones, velocity))
+    .filter(zone => !zone.buffer && zone.pitchShift));
+  
+  for (const zone of pendingZones) {
+    await shiftSampleZone(audioContext, zone);
+  }
+}
+
 /**
  * Транспонирует аудиобуфер с изменением высоты тона
  * @param {AudioContext} audioContext - Контекст аудио
@@ -108,11 +307,7 @@ async function pitchShift(audioContext, sourceBuffer, semitones, options = {}) {
     return {
       buffer: result.buffer,
       quality: result.quality,
-      transformation: result.transformation,
-      // Для обратной совместимости возвращаем только буфер
-      then: function(onFulfilled) {
-        return Promise.resolve(result.buffer).then(onFulfilled);
-      }
+      transformation: result.transformation
     };
   } else {
     // Резервный вариант: используем базовую реализацию
@@ -166,17 +361,16 @@ async function pitchShift(audioContext, sourceBuffer, semitones, options = {}) {
     return {
       buffer: renderedBuffer,
       quality: qualityInfo,
-      transformation: transformation,
-      // Для обратной совместимости возвращаем только буфер
-      then: function(onFulfilled) {
-        return Promise.resolve(renderedBuffer).then(onFulfilled);
-      }
+      transformation: transformation
     };
   }
 }
 
 /**
  * Сопоставляет аппликатуру с аудиофайлами
+ * Сэмплы берутся из манифеста библиотеки (см. SampleLibrary), без проверочных запросов к серверу;
+ * для каждой струны загружаются все слои громкости и повторы нужной ноты (sampleZones; у транспонированной ноты -
+ * только сэмпл для силы удара по умолчанию), а audioBuffers содержит сэмплы для силы удара по умолчанию
  * @param {Array} fingering - Аппликатура (массив объектов {string, fret, note})
  * @param {AudioContext} audioContext - Контекст аудио
  * @param {Object} options - Опции сопоставления
@@ -186,6 +380,7 @@ async function mapFingeringToSamples(fingering, audioContext, options = {}) {
   const {
     enablePitchShift = true,
     maxPitchShiftSemitones = MAX_PITCH_SHIFT_SEMITONES,
+    measurePitchShiftQuality = false,   // Измерять высоту транспонированных сэмплов (при воспроизведении не нужно)
     silentBufferDuration = 3.0
   } = options;
   
@@ -193,35 +388,33 @@ async function mapFingeringToSamples(fingering, audioContext, options = {}) {
     fingering: fingering,
     audioFiles: [],
     audioBuffers: [],
+    sampleZones: [],
     pitchShifted: [],
     errors: [],
     success: false
   };
   
+  const stringCount = window.NoteUtils.STRINGS_ORDER.length;
+  
   try {
-    // Проверяем, что аппликатура содержит все 6 струн
-    if (fingering.length !== 6) {
-      throw new Error(`Аппликатура должна содержать 6 струн, получено: ${fingering.length}`);
+    // Проверяем, что аппликатура содержит все струны инструмента
+    if (fingering.length !== stringCount) {
+      throw new Error(`Аппликатура должна содержать ${stringCount} струн, получено: ${fingering.length}`);
     }
     
+    const library = await window.SampleLibrary.loadSampleLibrary(getSampleSet());
+    
     // Обрабатываем каждую струну
     for (let i = 0; i < fingering.length; i++) {
       const position = fingering[i];
-      const { string, fret, note } = position;
+      const { string, fret } = position;
       
       try {
-        let audioBuffer = null;
-        let filePath = null;
-        let wasPitchShifted = false;
-        let pitchShiftSemitones = 0;
-        
         // Если струна немая (fret === -1), создаем беззвучный буфер
         if (fret === -1) {
-          audioBuffer = createSilentBuffer(audioContext, silentBufferDuration);
-          filePath = 'silent';
-          
-          result.audioFiles.push(filePath);
-          result.audioBuffers.push(audioBuffer);
+          result.audioFiles.push('silent');
+          result.audioBuffers.push(createSilentBuffer(audioContext, silentBufferDuration));
+          result.sampleZones.push(null);
           result.pitchShifted.push({
             string: string,
             wasPitchShifted: false,
@@ -232,95 +425,68 @@ async function mapFingeringToSamples(fingering, audioContext, options = {}) {
           continue;
         }
         
-        // Формируем путь к файлу
-        const targetFilePath = `${SAMPLES_PATH}/${string}/fret${fret}${AUDIO_EXTENSION}`;
+        // Высота звучащей ноты с учетом строя и каподастра
+        const targetNote = window.NoteUtils.NOTES_DATA[string][fret];
+        const targetMidi = window.NoteUtils.calculateMidiNumber(targetNote);
         
-        // Проверяем существование файла
-        const fileExists = await checkFileExists(targetFilePath);
+        // Ищем записанный сэмпл той же высоты, иначе - ближайшую записанную ноту для транспонирования
+        // (нота записи может быть и выше, например для 6-й струны в Drop D)
+        const recordedSample = findPlayableSample(library, string, targetMidi, { enablePitchShift, maxPitchShiftSemitones });
         
-        if (fileExists) {
-          // Файл существует, загружаем его
-          audioBuffer = await loadAudioFile(audioContext, targetFilePath);
-          filePath = targetFilePath;
-          
-          if (audioBuffer) {
-            console.log(`Струна ${string}, лад ${fret}: загружен файл ${targetFilePath}`);
-          } else {
-            throw new Error(`Не удалось загрузить файл ${targetFilePath}`);
+        if (!recordedSample) {
+          if (!enablePitchShift) {
+            throw new Error(`Сэмпл для струны ${string}, лад ${fret} не найден и транспонирование отключено`);
           }
-        } else if (enablePitchShift) {
-          // Файл не существует, пробуем найти ближайший и транспонировать
-          const closestFret = findClosestFret(string, fret, 7);
           
-          if (closestFret !== null) {
-            const closestFilePath = `${SAMPLES_PATH}/${string}/fret${closestFret}${AUDIO_EXTENSION}`;
-            const closestFileExists = await checkFileExists(closestFilePath);
-            
-            if (closestFileExists) {
-              // Загружаем ближайший файл
-              const closestBuffer = await loadAudioFile(audioContext, closestFilePath);
-              
-              if (closestBuffer) {
-                // Вычисляем количество полутонов для транспонирования
-                pitchShiftSemitones = fret - closestFret;
-                
-                // Проверяем, не превышает ли количество полутонов лимит
-                if (Math.abs(pitchShiftSemitones) <= maxPitchShiftSemitones) {
-                  // Транспонируем буфер с использованием улучшенного алгоритма
-                  const pitchShiftResult = await pitchShift(audioContext, closestBuffer, pitchShiftSemitones, {
-                    enableQualityCheck: true,
-                    logTransformations: true
-                  });
-                  
-                  audioBuffer = pitchShiftResult.buffer;
-                  filePath = closestFilePath;
-                  wasPitchShifted = true;
-                  
-                  // Добавляем информацию о качестве трансформации
-                  const qualityInfo = pitchShiftResult.quality;
-                  const transformationInfo = pitchShiftResult.transformation;
-                  
-                  console.log(`Струна ${string}, лад ${fret}: загружен файл ${closestFilePath} и транспонирован на ${pitchShiftSemitones} полутонов`);
-                  console.log(`  - Качество: ${qualityInfo.quality} (${qualityInfo.isHighQuality ? 'высокое' : 'низкое'})`);
-                  console.log(`  - Алгоритм: ${transformationInfo.algorithm}`);
-                  console.log(`  - Точность: ${Math.abs(qualityInfo.cents)} центов от целевой ноты`);
-                  
-                  // Проверяем, соответствует ли результат требованиям к качеству
-                  if (!qualityInfo.isHighQuality) {
-                    console.warn(`  ⚠️ Транспонирование превышает порог высокого качества (±${MAX_PITCH_SHIFT_SEMITONES} полутона)`);
-                    console.warn(`  ⚠️ Рекомендуется записать нужный сэмпл для лучшего качества`);
-                  }
-                } else {
-                  throw new Error(`Требуемое транспонирование (${pitchShiftSemitones} полутонов) превышает лимит (${maxPitchShiftSemitones})`);
-                }
-              } else {
-                throw new Error(`Не удалось загрузить файл ${closestFilePath}`);
-              }
-            } else {
-              throw new Error(`Ближайший файл ${closestFilePath} не найден`);
-            }
-          } else {
-            throw new Error(`Не найден подходящий лад для струны ${string}`);
+          const closestSample = findClosestRecordedSample(library, string, targetMidi);
+          if (!closestSample) {
+            throw new Error(`Не найдена записанная нота для струны ${string}`);
           }
+          
+          throw new Error(`Требуемое транспонирование (${targetMidi - closestSample.midi} полутонов) превышает лимит (${maxPitchShiftSemitones})`);
+        }
+        
+        // Транспонируется запись, а октава добавляется скоростью воспроизведения
+        const pitchShiftSemitones = recordedSample.semitones;
+        const playbackRate = Math.pow(2, recordedSample.octaves);
+        const shiftedNote = window.NoteUtils.getNoteByMidiNumber(targetMidi - recordedSample.octaves * 12);
+        
+        const zones = (await loadSampleZones(audioContext, recordedSample.zones, pitchShiftSemitones, shiftedNote, measurePitchShiftQuality))
+          .map(zone => ({ ...zone, playbackRate: playbackRate }));
+        if (zones.length === 0) {
+          throw new Error(`Не удалось загрузить файлы ноты ${window.NoteUtils.getNoteByMidiNumber(recordedSample.midi)} струны ${recordedSample.string}`);
+        }
+        
+        const defaultZone = window.SampleLibrary.selectSampleZone(zones, window.SampleLibrary.DEFAULT_SAMPLE_VELOCITY, false);
+        const wasPitchShifted = pitchShiftSemitones !== 0;
+        
+        const quality = wasPitchShifted ? defaultZone.quality : null;
+        const accuracy = quality && quality.cents !== null ? `, отклонение ${quality.cents} центов` : '';
+        const octaveNote = playbackRate !== 1 ? `, скорость воспроизведения x${playbackRate}` : '';
+        const summary = `Струна ${string}, лад ${fret}: ${defaultZone.path}${wasPitchShifted ? ` (транспонирован на ${pitchShiftSemitones} полутонов${accuracy})` : ''}${octaveNote}, сэмплов ноты: ${zones.length}`;
+        if (quality && quality.quality === 'low') {
+          console.warn(`⚠️ ${summary} - звук заметно отклоняется от ноты ${targetNote}, лучше записать этот сэмпл`);
         } else {
-          throw new Error(`Файл ${targetFilePath} не найден и транспонирование отключено`);
+          console.log(summary);
         }
         
         // Добавляем результаты
-        result.audioFiles.push(filePath);
-        result.audioBuffers.push(audioBuffer);
+        result.audioFiles.push(defaultZone.path);
+        result.audioBuffers.push(defaultZone.buffer);
+        result.sampleZones.push(zones);
         
         // Расширенная информация о транспонировании
         const pitchShiftInfo = {
           string: string,
           wasPitchShifted: wasPitchShifted,
-          semitones: pitchShiftSemitones
+          semitones: pitchShiftSemitones,
+          octaves: recordedSample.octaves
         };
         
         // Добавляем информацию о качестве, если было транспонирование
-        if (wasPitchShifted && audioBuffer && audioBuffer.quality) {
-          pitchShiftInfo.quality = audioBuffer.quality;
-          pitchShiftInfo.transformation = audioBuffer.transformation;
+        if (wasPitchShifted) {
+          pitchShiftInfo.quality = defaultZone.quality;
+          pitchShiftInfo.transformation = defaultZone.transformation;
         }
         
         result.pitchShifted.push(pitchShiftInfo);
@@ -331,6 +497,7 @@ async function mapFingeringToSamples(fingering, audioContext, options = {}) {
         
         result.audioFiles.push('silent');
         result.audioBuffers.push(silentBuffer);
+        result.sampleZones.push(null);
         result.pitchShifted.push({
           string: string,
           wasPitchShifted: false,
@@ -348,7 +515,7 @@ async function mapFingeringToSamples(fingering, audioContext, options = {}) {
     }
     
     // Проверяем, что все струны обработаны
-    if (result.audioBuffers.length === 6) {
+    if (result.audioBuffers.length === stringCount) {
       result.success = true;
       console.log('Все струны успешно сопоставлены с аудиофайлами');
     } else {
@@ -414,6 +581,87 @@ async function getMappingInfo(fingering, options = {}) {
   }
 }
 
+/**
+ * Проверяет строй библиотеки сэмплов текущего инструмента
+ * Файлы из манифеста декодируются и сводятся в моно в OfflineAudioContext (без запущенного AudioContext и без вывода звука),
+ * высота каждого сэмпла измеряется PitchDetector и сравнивается с его нотой с учетом указанного в манифесте
+ * отклонения tuneCents: расстроенный сэмпл - тот, у которого tuneCents не совпадает с измеренным
+ * @param {Object} options - Опции проверки
+ * @returns {Promise<Object>} - {entries, summary}: entries - сэмплы {string, fret, filePath, expectedNote, roundRobin,
+ *                              velocityMin, velocityMax, tuneCents, frequency, note, cents, confidence, status};
+ *                              status - 'ok', 'out-of-tune', 'unclear' (высоту измерить не удалось)
+ *                              или 'missing' (файл не загружен)
+ */
+async function auditSampleLibrary(options = {}) {
+  const {
+    toleranceCents = SAMPLE_TUNING_TOLERANCE_CENTS,  // Допустимое отклонение (в центах)
+    sampleRate = 44100,                              // Частота дискретизации анализа
+    analysisDuration = 2.0,                          // Анализируемое начало сэмпла (в секундах)
+    onProgress = null                                // Вызывается после каждого сэмпла: onProgress(entry, index, total)
+  } = options;
+  
+  const library = await window.SampleLibrary.loadSampleLibrary(getSampleSet());
+  const decodeContext = new OfflineAudioContext(1, 1, sampleRate);
+  const entries = [];
+  
+  for (const sample of library.samples) {
+    const expectedNote = window.NoteUtils.getNoteByMidiNumber(sample.midi);
+    const entry = {
+      string: sample.string,
+      fret: sample.fret,
+      filePath: sample.path,
+      expectedNote: expectedNote,
+      roundRobin: sample.roundRobin,
+      velocityMin: sample.velocityMin,
+      velocityMax: sample.velocityMax,
+      tuneCents: sample.tuneCents,
+      frequency: null,
+      note: null,
+      cents: null,
+      confidence: 0,
+      status: 'missing'
+    };
+    
+    const audioBuffer = await loadAudioFile(decodeContext, sample.path);
+    if (audioBuffer) {
+      // Сведение в моно - рендерингом в оффлайн-контексте (декодированный буфер уже в частоте sampleRate)
+      const length = Math.min(audioBuffer.length, Math.round(analysisDuration * sampleRate));
+      const renderContext = new OfflineAudioContext(1, Math.max(1, length), sampleRate);
+      const source = renderContext.createBufferSource();
+      source.buffer = audioBuffer;
+      source.connect(renderContext.destination);
+      source.start(0);
+      const renderedBuffer = await renderContext.startRendering();
+      
+      const analysis = window.PitchDetector.analyzeAudioBuffer(renderedBuffer, { expectedNote: expectedNote });
+      entry.frequency = analysis.frequency;
+      entry.note = analysis.note;
+      entry.cents = analysis.cents;
+      entry.confidence = analysis.confidence;
+      entry.status = analysis.frequency === null ? 'unclear'
+        : Math.abs(analysis.cents - sample.tuneCents) > toleranceCents ? 'out-of-tune' : 'ok';
+    }
+    
+    entries.push(entry);
+    if (onProgress) {
+      onProgress(entry, entries.length, library.samples.length);
+    }
+  }
+  
+  const countStatus = status => entries.filter(entry => entry.status === status).length;
+  
+  return {
+    entries: entries,
+    summary: {
+      total: entries.length,
+      ok: countStatus('ok'),
+      outOfTune: countStatus('out-of-tune'),
+      unclear: countStatus('unclear'),
+      missing: countStatus('missing')
+    }
+  };
+}
+
 /**
  * Выводит информацию о сопоставлении в консоль
  * @param {Object} mappingResult - Результат функции mapFingeringToSamples
@@ -452,7 +700,7 @@ function logMappingResult(mappingResult) {
           if (pitchShiftInfo.transformation && pitchShiftInfo.transformation.algorithm) {
             info += `, алгоритм: ${pitchShiftInfo.transformation.algorithm}`;
           }
-          info += `, ${Math.abs(pitchShiftInfo.quality.cents)} центов]`;
+          info += pitchShiftInfo.quality.cents !== null ? `, ${Math.abs(pitchShiftInfo.quality.cents)} центов]` : ']';
         }
       }
       
@@ -469,10 +717,14 @@ if (typeof module !== 'undefined' && module.exports) {
     getMappingInfo,
     logMappingResult,
     createSilentBuffer,
-    checkFileExists,
     loadAudioFile,
-    findClosestFret,
-    pitchShift
+    findRecordedSample,
+    findClosestRecordedSample,
+    findPlayableSample,
+    loadSampleZones,
+    prepareSampleZones,
+    pitchShift,
+    auditSampleLibrary
   };
 } else {
   // Для использования в браузере
@@ -482,9 +734,13 @@ if (typeof module !== 'undefined' && module.exports) {
     getMappingInfo,
     logMappingResult,
     createSilentBuffer,
-    checkFileExists,
     loadAudioFile,
-    findClosestFret,
-    pitchShift
+    findRecordedSample,
+    findClosestRecordedSample,
+    findPlayableSample,
+    loadSampleZones,
+    prepareSampleZones,
+    pitchShift,
+    auditSampleLibrary
   };
 }
\ No newline at end of file
@@ -59,9 +59,8 @@ const CHORD_SHAPES = {
  * @returns {number} - Ступень ноты в аккорде
  */
 function getNoteDegree(note, rootNote, chordNotes) {
-  const chromaticScale = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  const rootIndex = chromaticScale.indexOf(rootNote);
-  const noteIndex = chromaticScale.indexOf(note);
+  const rootIndex = window.NoteUtils.getPitchClass(rootNote);
+  const noteIndex = window.NoteUtils.getPitchClass(note);
   
   if (rootIndex === -1 || noteIndex === -1) {
     return -1;
@@ -91,12 +90,11 @@ function getNoteDegree(note, rootNote, chordNotes) {
  * @returns {boolean} - true для мажорного, false для минорного
  */
 function isChordMajor(chordNotes, rootNote) {
-  const chromaticScale = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  const rootIndex = chromaticScale.indexOf(rootNote);
+  const rootIndex = window.NoteUtils.getPitchClass(rootNote);
   
   // Ищем терцию в аккорде
   for (const note of chordNotes) {
-    const noteIndex = chromaticScale.indexOf(note);
+    const noteIndex = window.NoteUtils.getPitchClass(note);
     if (noteIndex === -1) continue;
     
     const interval = (noteIndex - rootIndex + 12) % 12;
@@ -126,14 +124,15 @@ function findLowestRootNote(chordNotes) {
       const noteName = window.NoteUtils.extractNoteName(noteWithOctave);
       
       // Проверяем, является ли нота частью аккорда
-      if (chordNotes.includes(noteName)) {
+      const chordNote = chordNotes.find(note => window.NoteUtils.isSameNote(note, noteName));
+      if (chordNote) {
         const midiNumber = window.NoteUtils.calculateMidiNumber(noteWithOctave);
         
         // Ищем самую низкую ноту
         if (midiNumber < lowestMidi) {
           lowestMidi = midiNumber;
           lowestNote = {
-            note: noteName,
+            note: chordNote,
             string: string,
             fret: fret,
             midi: midiNumber,
@@ -157,10 +156,10 @@ function findLowestRootNote(chordNotes) {
  * @returns {Object|null} - Информация о корневой ноте на открытой струне или null
  */
 function findRootNoteOnOpenString(chordNotes) {
-  const rootNote = chordNotes[0];
+  const rootNote = chordNotes.root || chordNotes[0];
   
   // Проверяем каждую открытую струну (лад 0)
-  const openStrings = ["6E", "5A", "4D", "3G", "2B", "1e"];
+  const openStrings = window.NoteUtils.STRINGS_ORDER;
   
   console.log(`Проверяем наличие корневой ноты "${rootNote}" на открытых струнах...`);
   
@@ -171,10 +170,10 @@ function findRootNoteOnOpenString(chordNotes) {
     const noteName = window.NoteUtils.extractNoteName(openNote);
     
     // Если на открытой струне есть корневая нота
-    if (noteName === rootNote) {
+    if (window.NoteUtils.isSameNote(noteName, rootNote)) {
       console.log(`Найдена корневая нота "${rootNote}" на открытой струне ${string}`);
       return {
-        note: noteName,
+        note: rootNote,
         string: string,
         fret: 0,
         midi: window.NoteUtils.calculateMidiNumber(openNote),
@@ -195,7 +194,7 @@ function findRootNoteOnOpenString(chordNotes) {
  */
 function findChordShape(chordNotes, chordName) {
   // Определяем тонику аккорда (первая нота в массиве)
-  const rootNote = chordNotes[0];
+  const rootNote = chordNotes.root || chordNotes[0];
   
   // Определяем, является ли аккорд мажорным или минорным
   const isMajor = isChordMajor(chordNotes, rootNote);
@@ -249,6 +248,11 @@ function findChordShape(chordNotes, chordName) {
     ];
   }
   
+  // Формы рассчитаны на шестиструнную гитару: пропускаем те, чьих струн нет у текущего инструмента
+  possibleShapes = possibleShapes.filter(shape =>
+    shape.strings.every(string => window.NoteUtils.NOTES_DATA[string])
+  );
+  
   // Пробуем найти подходящую аппликатуру
   for (const shape of possibleShapes) {
     const fingering = tryShape(chordNotes, rootNote, shape, rootPosition);
@@ -306,16 +310,16 @@ function tryShape(chordNotes, rootNote, shape, rootPosition) {
     // Ищем позицию для этой ноты на струне
     let foundPosition = null;
     
-    for (let fret = 0; fret <= 7; fret++) {
+    for (let fret = 0; fret <= window.NoteUtils.getFretCount(); fret++) {
       const noteWithOctave = window.NoteUtils.NOTES_DATA[string][fret];
       if (!noteWithOctave) continue;
       
       const noteName = window.NoteUtils.extractNoteName(noteWithOctave);
-      if (noteName === targetNote) {
+      if (window.NoteUtils.isSameNote(noteName, targetNote)) {
         foundPosition = {
           string: string,
           fret: fret,
-          note: noteName,
+          note: targetNote,
           midi: window.NoteUtils.calculateMidiNumber(noteWithOctave),
           octave: window.NoteUtils.extractOctave(noteWithOctave)
         };
@@ -332,11 +336,11 @@ function tryShape(chordNotes, rootNote, shape, rootPosition) {
           if (!noteWithOctave) continue;
           
           const noteName = window.NoteUtils.extractNoteName(noteWithOctave);
-          if (noteName === targetNote) {
+          if (window.NoteUtils.isSameNote(noteName, targetNote)) {
             foundPosition = {
               string: nextString,
               fret: fret,
-              note: noteName,
+              note: targetNote,
               midi: window.NoteUtils.calculateMidiNumber(noteWithOctave),
               octave: window.NoteUtils.extractOctave(noteWithOctave)
             };
@@ -427,19 +431,20 @@ function findAllPossiblePositions(chordNotes) {
   
   // Проходим по каждой струне
   Object.keys(window.NoteUtils.NOTES_DATA).forEach(string => {
-    // Проходим по каждому ладу от 0 до 7
-    for (let fret = 0; fret <= 7; fret++) {
+    // Проходим по всем ладам грифа
+    for (let fret = 0; fret <= window.NoteUtils.getFretCount(); fret++) {
       const noteWithOctave = window.NoteUtils.NOTES_DATA[string][fret];
       if (!noteWithOctave) continue;
       const noteName = window.NoteUtils.extractNoteName(noteWithOctave);
       
       // Проверяем, является ли нота частью аккорда
-      if (chordNotes.includes(noteName)) {
+      const chordNote = chordNotes.find(note => window.NoteUtils.isSameNote(note, noteName));
+      if (chordNote) {
         const octave = window.NoteUtils.extractOctave(noteWithOctave);
         const midiNumber = window.NoteUtils.calculateMidiNumber(noteWithOctave);
         
         // Добавляем позицию в результат
-        result[noteName].push({
+        result[chordNote].push({
           string: string,
           fret: fret,
           midi: midiNumber,
@@ -453,7 +458,7 @@ function findAllPossiblePositions(chordNotes) {
   chordNotes.forEach(note => {
     if (result[note].length === 0) {
       missingNotes.push(note);
-      console.warn(`Предупреждение: для ноты "${note}" не найдено позиций в пределах ладов 0-7`);
+      console.warn(`Предупреждение: для ноты "${note}" не найдено позиций в пределах ладов 0-${window.NoteUtils.getFretCount()}`);
     }
   });
   
@@ -461,7 +466,7 @@ function findAllPossiblePositions(chordNotes) {
   if (missingNotes.length > 0) {
     console.warn(`Отсутствующие соответствия для нот: ${missingNotes.join(', ')}`);
   } else {
-    console.log(`Для всех нот аккорда найдены позиции в пределах ладов 0-7`);
+    console.log(`Для всех нот аккорда найдены позиции в пределах ладов 0-${window.NoteUtils.getFretCount()}`);
   }
   
   return result;
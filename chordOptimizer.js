@@ -1,457 +1,412 @@
 /**
- * Модуль для поиска оптимальной аппликатуры аккорда на гитаре
- * Реализует эвристический алгоритм с учетом ограничений:
- * - Максимум растяжения между ладами (рекомендовано: 4)
- * - Минимальное количество пальцев
- * - Приоритет открытых струн
+ * Модуль для поиска оптимальной аппликатуры аккорда на грифе
+ * Перебирает все аппликатуры в окнах по 4 лада (с открытыми и заглушенными струнами)
+ * и ранжирует сыграбельные с учетом ограничений:
+ * - Все обязательные ноты аккорда звучат, тоника (или бас слэш-аккорда) - самая низкая нота
+ * - Максимум растяжения между ладами: 4 лада
+ * - Не больше 4 пальцев, при необходимости - баррэ
+ * - Приоритет открытых струн и первой позиции
  */
 
 // Импортируем данные и функции из общего модуля
 // Используем доступ через объект NoteUtils, чтобы избежать конфликтов имен
 
+// Максимальное растяжение руки: все зажатые ноты укладываются в 4 соседних лада
+const MAX_FRET_SPAN = 4;
 
-/**
- * Генерирует все возможные комбинации позиций для аккорда
- * @param {Object} positionsByNote - Словарь: note -> [ {string, fret, note} ]
- * @param {Array} chordNotes - Ноты аккорда
- * @returns {Array} - Массив всех возможных аппликатур
- */
-function generateAllCombinations(positionsByNote, chordNotes) {
-  const combinations = [];
-  
-  // Рекурсивная функция для генерации комбинаций
-  function generateCombination(currentCombination, remainingNotes) {
-    if (remainingNotes.length === 0) {
-      // Создаем полную аппликатуру для всех 6 струн
-      const fullFingering = createFullFingering(currentCombination);
-      combinations.push(fullFingering);
-      return;
-    }
-    
-    const currentNote = remainingNotes[0];
-    const positions = positionsByNote[currentNote];
-    
-    // Пробуем каждую позицию для текущей ноты
-    for (const position of positions) {
-      // Проверяем, не занята ли уже струна
-      const stringAlreadyUsed = currentCombination.some(pos => pos.string === position.string);
-      
-      if (!stringAlreadyUsed) {
-        generateCombination([...currentCombination, position], remainingNotes.slice(1));
-      }
-    }
-  }
-  
-  generateCombination([], chordNotes);
-  return combinations;
-}
+// Количество пальцев, которыми зажимаются струны (без большого)
+const MAX_FINGERS = 4;
 
-/**
- * Создает полную аппликатуру для всех 6 струн на основе выбранных позиций
- * @param {Array} selectedPositions - Выбранные позиции для нот аккорда
- * @returns {Array} - Полная аппликатура для всех 6 струн
- */
-function createFullFingering(selectedPositions) {
-  const fingering = [];
-  
-  // Проходим по всем струнам в порядке от 6-й к 1-й
-  for (const string of window.NoteUtils.STRINGS_ORDER) {
-    const position = selectedPositions.find(pos => pos.string === string);
-    
-    if (position) {
-      fingering.push(position);
-    } else {
-      // Если струна не используется в аккорде, помечаем как немую
-      fingering.push({
-        string: string,
-        fret: -1, // -1 означает, что струна не играет (mute)
-        note: null
-      });
-    }
-  }
-  
-  return fingering;
-}
+// Штрафы при выборе расстановки пальцев для одной аппликатуры
+// (за каждый лад отклонения от "палец на лад" - 1)
+const FINGER_ASSIGNMENT_COSTS = {
+  indexBarre: 1,         // Баррэ указательным пальцем
+  barre: 2.5,            // Частичное баррэ другим пальцем
+  thumb: 3               // Большой палец - крайний случай
+};
 
+// Минимальное количество звучащих струн и максимум заглушенных струн в аппликатуре
+const MIN_SOUNDING_STRINGS = 3;
+const MAX_MUTED_STRINGS = 2;
+
+// Веса оценки аппликатуры: оценка начинается с 10 и уменьшается за каждое неудобство
+const VOICING_SCORE_WEIGHTS = {
+  missingNote: 0.4,      // Опущенная необязательная нота
+  inversion: 3,          // В басе не тоника (для обычного, не слэш-аккорда)
+  stretch: 0.25,         // Растяжка: умножается на квадрат числа ладов сверх одного
+  finger: 0.2,           // Каждый занятый палец
+  fingerAwkwardness: 0.3, // Неудобство расстановки пальцев (FINGER_ASSIGNMENT_COSTS)
+  mutedString: 0.4,      // Заглушенная струна (нижние струны под басом просто не задевают)
+  innerMutedString: 1.8, // Дополнительно за заглушенную струну внутри аккорда
+  trebleMutedString: 0.8, // Дополнительно за заглушенную струну выше звучащих (ее труднее погасить)
+  unison: 0.25,          // Одна и та же нота на двух струнах
+  position: 0.15,        // Каждый лад позиции выше первого
+  openString: 0.2,       // Бонус за открытую струну в первой позиции
+  distantOpenString: 0.5, // Открытая струна, когда рука стоит далеко от порожка
+  stretchedOpenString: 0.8 // Открытая струна между зажатыми, лады которых расходятся на 2 и больше (x20402)
+};
+
+// Штрафы за переход между аппликатурами соседних аккордов прогрессии
+const VOICE_LEADING_WEIGHTS = {
+  handMovement: 0.5,     // Каждый лад смещения руки (среднего зажатого лада)
+  commonToneChange: 0.6  // Общая для двух аккордов нота, которая не остается на своей струне и ладу
+};
 
 /**
- * Определяет ступени нот в аккорде относительно тоники
+ * Возвращает варианты для одной струны в пределах окна ладов:
+ * заглушенная струна, открытая струна и лады окна, на которых звучит нота аккорда
+ * @param {string} string - Струна
  * @param {Array} chordNotes - Ноты аккорда
- * @param {string} rootNote - Тоника аккорда
- * @returns {Object} - Объект: нота -> ступень (1, 2, 3, 4, 5, 6, 7, 8 и т.д.)
+ * @param {Object} range - Окно ладов {minFret, maxFret, allowOpen}
+ * @returns {Array} - Позиции {string, fret, note}
  */
-function determineNoteDegrees(chordNotes, rootNote) {
-  const chromaticScale = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  const rootIndex = chromaticScale.indexOf(rootNote);
-  
-  const noteDegrees = {};
+function getStringCandidates(string, chordNotes, range) {
+  const candidates = [{ string: string, fret: -1, note: null }];
+  const frets = window.NoteUtils.NOTES_DATA[string];
   
-  chordNotes.forEach(note => {
-    const noteIndex = chromaticScale.indexOf(note);
-    if (noteIndex === -1) return;
+  const addFret = fret => {
+    if (!frets[fret]) return;
     
-    // Вычисляем интервал в полутонах от тоники
-    let interval = (noteIndex - rootIndex + 12) % 12;
-    
-    // Определяем ступень на основе интервала
-    let degree;
-    switch (interval) {
-      case 0: degree = 1; break;   // Тоника
-      case 1: degree = 2; break;   // Малая секунда
-      case 2: degree = 2; break;   // Большая секунда
-      case 3: degree = 3; break;   // Малая терция
-      case 4: degree = 3; break;   // Большая терция
-      case 5: degree = 4; break;   // Чистая кварта
-      case 6: degree = 4; break;   // Увеличенная кварта/уменьшенная квинта
-      case 7: degree = 5; break;   // Чистая квинта
-      case 8: degree = 6; break;   // Малая секста
-      case 9: degree = 6; break;   // Большая секста
-      case 10: degree = 7; break;  // Малая септима
-      case 11: degree = 7; break;  // Большая септима
-      default: degree = -1; break;  // Неопределенная ступень
+    // Нота позиции записывается так, как она названа в аккорде (Bb, а не A#)
+    const noteName = window.NoteUtils.extractNoteName(frets[fret]);
+    const chordNote = chordNotes.find(note => window.NoteUtils.isSameNote(note, noteName));
+    if (chordNote) {
+      candidates.push({ string: string, fret: fret, note: chordNote });
     }
-    
-    noteDegrees[note] = degree;
-  });
+  };
+  
+  if (range.allowOpen) {
+    addFret(0);
+  }
+  for (let fret = range.minFret; fret <= range.maxFret; fret++) {
+    addFret(fret);
+  }
   
-  return noteDegrees;
+  return candidates;
 }
 
 /**
- * Находит самую низкую корневую ноту на грифе
- * @param {string} rootNote - Тоника аккорда
- * @returns {Object} - Информация о самой низкой коревой ноте {string, fret, note}
+ * Проверяет, есть ли в строе струна ниже предыдущей (возвратный строй, как G на укулеле)
+ * @returns {boolean} - true, если открытые струны не идут по возрастанию высоты
  */
-function findLowestRootNote(rootNote) {
-  let lowestRoot = null;
-  let lowestMidi = Infinity;
-  
-  // Проходим по всем струнам и ладам
-  Object.keys(window.NoteUtils.NOTES_DATA).forEach(string => {
-    window.NoteUtils.NOTES_DATA[string].forEach((noteWithOctave, fret) => {
-      const noteName = window.NoteUtils.extractNoteName(noteWithOctave);
-      
-      // Проверяем, является ли нота корневой
-      if (noteName === rootNote) {
-        const midiNumber = window.NoteUtils.calculateMidiNumber(noteWithOctave);
-        
-        // Ищем самую низкую ноту
-        if (midiNumber < lowestMidi) {
-          lowestMidi = midiNumber;
-          lowestRoot = {
-            note: noteName,
-            string: string,
-            fret: fret
-          };
-        }
-      }
-    });
-  });
-  
-  return lowestRoot;
+function isReentrantTuning() {
+  const openMidi = window.NoteUtils.STRINGS_ORDER.map(string =>
+    window.NoteUtils.calculateMidiNumber(window.NoteUtils.NOTES_DATA[string][0])
+  );
+  return openMidi.some((midi, index) => index > 0 && midi < openMidi[index - 1]);
 }
 
 /**
- * Находит самую низкую первую ступень (тонику) в пределах от нулевого до четвёртого лада
- * Искать только на шестой, пятой и четвёртой струнах
- * @param {string} rootNote - Тоника аккорда
- * @returns {Object|null} - Информация о самой низкой первой ступени или null
+ * Возвращает окна ладов, в которых перебираются аппликатуры
+ * @param {number|null} position - Первый лад позиции или null для всего грифа
+ * @returns {Array} - Окна {minFret, maxFret, allowOpen}
  */
-function findLowestFirstDegree(rootNote) {
-  // Проверяем только 6-ю, 5-ю и 4-ю струны
-  const targetStrings = ["6E", "5A", "4D"];
-  let lowestFirstDegree = null;
-  let lowestMidi = Infinity;
-  
-  console.log(`Ищем самую низкую первую ступень "${rootNote}" на струнах 6, 5, 4 в пределах ладов 0-4...`);
-  
-  for (const string of targetStrings) {
-    // Проверяем лады от 0 до 4
-    for (let fret = 0; fret <= 4; fret++) {
-      const noteWithOctave = window.NoteUtils.NOTES_DATA[string][fret];
-      if (!noteWithOctave) continue;
-      
-      const noteName = window.NoteUtils.extractNoteName(noteWithOctave);
-      
-      // Если на струне есть первая ступень (тоника)
-      if (noteName === rootNote) {
-        const midiNumber = window.NoteUtils.calculateMidiNumber(noteWithOctave);
-        
-        // Ищем самую низкую ноту
-        if (midiNumber < lowestMidi) {
-          lowestMidi = midiNumber;
-          lowestFirstDegree = {
-            note: noteName,
-            string: string,
-            fret: fret,
-            midi: midiNumber,
-            octave: window.NoteUtils.extractOctave(noteWithOctave)
-          };
-        }
-      }
-    }
-  }
+function getSearchWindows(position) {
+  const fretCount = window.NoteUtils.getFretCount();
+  const makeWindow = (minFret, allowOpen) => ({
+    minFret: minFret,
+    maxFret: Math.min(fretCount, minFret + MAX_FRET_SPAN - 1),
+    allowOpen: allowOpen
+  });
   
-  if (lowestFirstDegree) {
-    console.log(`Найдена самая низкая первая ступень "${rootNote}" на струне ${lowestFirstDegree.string}, лад ${lowestFirstDegree.fret}`);
-  } else {
-    console.log(`Первая ступень "${rootNote}" не найдена на струнах 6, 5, 4 в пределах ладов 0-4`);
+  // Заданная позиция: в первой позиции (0) участвуют открытые струны, выше по грифу - нет
+  if (position !== null && position !== undefined) {
+    return [makeWindow(Math.max(1, position), position === 0)];
   }
   
-  return lowestFirstDegree;
+  const windows = [];
+  for (let minFret = 1; minFret <= Math.max(1, fretCount - MAX_FRET_SPAN + 1); minFret++) {
+    windows.push(makeWindow(minFret, true));
+  }
+  return windows;
 }
 
 /**
- * Находит корневую ноту на открытой струне
- * @param {string} rootNote - Тоника аккорда
- * @returns {Object|null} - Информация о корневой ноте на открытой струне или null
+ * Находит баррэ в аппликатуре с назначенными пальцами: один палец на нескольких струнах одного лада
+ * Баррэ прижимает все струны между крайними, поэтому открытых, заглушенных
+ * и зажатых ниже струн между ними быть не должно
+ * @param {Array} fingering - Аппликатура для всех струн
+ * @param {Array} fingers - Пальцы по струнам (по умолчанию из поля finger позиций)
+ * @returns {Array|null} - Баррэ [{finger, fret, fromString, toString}] или null, если баррэ невозможно
  */
-function findRootNoteOnOpenString(rootNote) {
-  // Проверяем каждую открытую струну (лад 0)
-  const openStrings = ["6E", "5A", "4D", "3G", "2B", "1e"];
+function findBarres(fingering, fingers = fingering.map(pos => pos.finger)) {
+  const barres = [];
   
-  for (const string of openStrings) {
-    const openNote = window.NoteUtils.NOTES_DATA[string][0];
-    if (!openNote) continue;
+  for (let finger = 1; finger <= MAX_FINGERS; finger++) {
+    const indexes = [];
+    fingers.forEach((assigned, index) => {
+      if (assigned === finger) indexes.push(index);
+    });
+    if (indexes.length < 2) continue;
     
-    const noteName = window.NoteUtils.extractNoteName(openNote);
+    const fret = fingering[indexes[0]].fret;
+    const from = indexes[0];
+    const to = indexes[indexes.length - 1];
+    if (indexes.some(index => fingering[index].fret !== fret)) return null;
+    if (fingering.slice(from, to + 1).some(pos => pos.fret < fret)) return null;
     
-    // Если на открытой струне есть корневая нота
-    if (noteName === rootNote) {
-      return {
-        note: noteName,
-        string: string,
-        fret: 0,
-        midi: window.NoteUtils.calculateMidiNumber(openNote),
-        octave: window.NoteUtils.extractOctave(openNote)
-      };
-    }
+    barres.push({
+      finger: finger,
+      fret: fret,
+      fromString: fingering[from].string,
+      toString: fingering[to].string
+    });
   }
   
-  return null;
+  return barres;
 }
 
-
 /**
- * Строит аппликатуру на основе положения корневой ноты и типа аккорда
- * @param {string} rootNote - Тоника аккорда
- * @param {Array} chordNotes - Ноты аккорда
- * @param {Object} rootPosition - Положение корневой ноты
- * @param {string} chordName - Название аккорда
- * @returns {Array} - Аппликатура или null
+ * Назначает пальцы левой руки зажатым нотам аппликатуры
+ * Пальцы 1-4 (указательный - мизинец) идут по ладам от порожка, один палец может лечь баррэ,
+ * большой палец (T) зажимает только самую нижнюю струну из-за грифа
+ * @param {Array} fingering - Аппликатура для всех струн
+ * @returns {Object|null} - {fingers, barres, usesThumb, fingersNeeded, fretRange, cost}
+ *                          или null, если пальцев не хватает
  */
-function buildChordFromRoot(rootNote, chordNotes, rootPosition, chordName) {
-  // Определяем ступени нот в аккорде
-  const noteDegrees = determineNoteDegrees(chordNotes, rootNote);
-  
-  // Определяем тип аппликатуры на основе положения корневой ноты
-  let chordShape;
-  if (rootPosition.string === "6E") {
-    // Аппликатура от 6-й струны
-    chordShape = {
-      strings: ["6E", "5A", "4D", "3G", "2B", "1e"],
-      degrees: [1, 5, 1, 3, 5, 1] // Базовая структура для мажора/минора
-    };
-  } else if (rootPosition.string === "5A") {
-    // Аппликатура от 5-й струны
-    chordShape = {
-      strings: ["5A", "4D", "3G", "2B", "1e"],
-      degrees: [1, 5, 1, 3, 5] // Базовая структура для мажора/минора
-    };
-  } else if (rootPosition.string === "4D") {
-    // Аппликатура от 4-й струны
-    chordShape = {
-      strings: ["4D", "3G", "2B", "1e"],
-      degrees: [1, 5, 1, 3] // Базовая структура для мажора/минора
-    };
-  } else {
-    // Для других струн используем упрощенный подход
-    chordShape = {
-      strings: window.NoteUtils.STRINGS_ORDER,
-      degrees: [1, 3, 5, 1, 3, 5] // Общая структура
-    };
+function assignFingers(fingering) {
+  const fretted = fingering
+    .map((pos, index) => ({ index: index, fret: pos.fret }))
+    .filter(note => note.fret > 0)
+    .sort((a, b) => a.fret - b.fret || a.index - b.index);
+  
+  if (fretted.length === 0) {
+    return { fingers: fingering.map(() => null), barres: [], usesThumb: false, fingersNeeded: 0, fretRange: 0, cost: 0 };
   }
   
-  // Определяем, является ли аккорд мажорным или минорным
-  const isMajor = chordName.includes('m') || chordName.includes('min') || chordName.includes('-') ? false : true;
-  
-  // Корректируем структуру в зависимости от типа аккорда
-  if (!isMajor && chordShape.degrees.includes(3)) {
-    // Для минорного аккорда заменяем большую терцию на малую
-    chordShape.degrees = chordShape.degrees.map(d => d === 3 ? 3 : d); // Оставляем как 3, но будем искать малую терцию
-  }
+  const fretRange = fretted[fretted.length - 1].fret - fretted[0].fret + 1;
+  if (fretRange > MAX_FRET_SPAN) return null;
   
-  // Строим аппликатуру
-  const fingering = [];
-  const rootFret = rootPosition.fret;
+  let best = null;
   
-  // Проходим по струнам в аппликатуре
-  for (let i = 0; i < chordShape.strings.length; i++) {
-    const string = chordShape.strings[i];
-    const degree = chordShape.degrees[i];
-    
-    // Определяем, какую ноту нужно найти на этой струне
-    let targetNote = null;
-    
-    if (degree === 1) {
-      targetNote = rootNote;
-    } else {
-      // Ищем ноту соответствующей ступени в аккорде
-      for (const note of chordNotes) {
-        if (noteDegrees[note] === degree) {
-          targetNote = note;
-          break;
-        }
-      }
-    }
-    
-    if (!targetNote) {
-      // Если нота не найдена, пропускаем струну
-      fingering.push({
-        string: string,
-        fret: -1,
-        note: null
-      });
-      continue;
-    }
-    
-    // Ищем позицию для этой ноты на струне
-    let foundPosition = null;
-    
-    // Сначала проверяем открытую струну (fret: 0) - она всегда должна рассматриваться
-    if (window.NoteUtils.NOTES_DATA[string][0]) {
-      const openNoteName = window.NoteUtils.extractNoteName(window.NoteUtils.NOTES_DATA[string][0]);
-      if (openNoteName === targetNote) {
-        foundPosition = {
-          string: string,
-          fret: 0,
-          note: openNoteName
-        };
-      }
-    }
+  // Перебирает неубывающие последовательности пальцев по нотам, отсортированным по ладам
+  const search = (notes, thumbNote) => {
+    const fingers = [];
+    const baseCost = thumbNote ? FINGER_ASSIGNMENT_COSTS.thumb : 0;
     
-    // Если не нашли на открытой струне, ищем в диапазоне вокруг корневой ноты
-    if (!foundPosition) {
-      for (let fret = Math.max(0, rootFret - 2); fret <= Math.min(7, rootFret + 2); fret++) {
-        // Пропускаем лад 0, так как уже проверили
-        if (fret === 0) continue;
+    const step = (noteIndex, cost) => {
+      if (best && cost >= best.cost) return;
+      
+      if (noteIndex === notes.length) {
+        const fingersByString = fingering.map(() => null);
+        notes.forEach((note, i) => { fingersByString[note.index] = fingers[i]; });
+        if (thumbNote) fingersByString[thumbNote.index] = 'T';
         
-        const noteWithOctave = window.NoteUtils.NOTES_DATA[string][fret];
-        if (!noteWithOctave) continue;
+        const barres = findBarres(fingering, fingersByString);
+        if (!barres) return;
         
-        const noteName = window.NoteUtils.extractNoteName(noteWithOctave);
-        if (noteName === targetNote) {
-          foundPosition = {
-            string: string,
-            fret: fret,
-            note: noteName
-          };
-          break;
-        }
-      }
-    }
-    
-    // Если не нашли рядом с корневой нотой, ищем по всем ладам
-    if (!foundPosition) {
-      // Сначала проверяем открытую струну (если еще не проверена)
-      if (window.NoteUtils.NOTES_DATA[string][0]) {
-        const openNoteName = window.NoteUtils.extractNoteName(window.NoteUtils.NOTES_DATA[string][0]);
-        if (openNoteName === targetNote) {
-          foundPosition = {
-            string: string,
-            fret: 0,
-            note: openNoteName
-          };
+        const total = barres.reduce((sum, barre) =>
+          sum + (barre.finger === 1 ? FINGER_ASSIGNMENT_COSTS.indexBarre : FINGER_ASSIGNMENT_COSTS.barre), cost);
+        if (!best || total < best.cost) {
+          best = { cost: total, fingers: fingersByString, barres: barres, usesThumb: !!thumbNote };
         }
+        return;
       }
       
-      // Если не нашли на открытой струне, ищем по остальным ладам
-      if (!foundPosition) {
-        for (let fret = 1; fret <= 7; fret++) {
-          const noteWithOctave = window.NoteUtils.NOTES_DATA[string][fret];
-          if (!noteWithOctave) continue;
+      const note = notes[noteIndex];
+      const prevNote = notes[noteIndex - 1];
+      const prevFinger = noteIndex > 0 ? fingers[noteIndex - 1] : 1;
+      
+      for (let finger = prevFinger; finger <= MAX_FINGERS; finger++) {
+        let stepCost;
+        if (!prevNote) {
+          // Аппликатуру удобнее начинать указательным пальцем
+          stepCost = finger - 1;
+        } else {
+          const fretStep = note.fret - prevNote.fret;
+          const fingerStep = finger - prevFinger;
+          
+          // Один палец не зажмет два лада, а соседние пальцы растягиваются не больше чем на лад
+          if (fingerStep === 0 && fretStep > 0) continue;
+          if (fretStep > fingerStep + 1) continue;
           
-          const noteName = window.NoteUtils.extractNoteName(noteWithOctave);
-          if (noteName === targetNote) {
-            foundPosition = {
-              string: string,
-              fret: fret,
-              note: noteName
-            };
-            break;
-          }
+          // Удобнее всего "палец на лад": отклонение от него считаем неудобством
+          stepCost = fretStep === 0 ? Math.max(0, fingerStep - 1) : Math.abs(fretStep - fingerStep);
         }
+        
+        fingers.push(finger);
+        step(noteIndex + 1, cost + stepCost);
+        fingers.pop();
       }
-    }
+    };
     
-    if (foundPosition) {
-      fingering.push(foundPosition);
-    } else {
-      // Если нота не найдена, помечаем струну как немую
-      fingering.push({
-        string: string,
-        fret: -1,
-        note: null
-      });
-    }
-  }
+    step(0, baseCost);
+  };
   
-  // Если аппликатура построена не на всех 6 струнах, дополняем
-  if (fingering.length < 6) {
-    const fullFingering = [];
-    
-    // Проходим по всем струнам в порядке от 6-й к 1-й
-    for (const string of window.NoteUtils.STRINGS_ORDER) {
-      const position = fingering.find(pos => pos.string === string);
-      
-      if (position) {
-        fullFingering.push(position);
-      } else {
-        // Если струна не используется в аккорде, помечаем как немую
-        fullFingering.push({
-          string: string,
-          fret: -1,
-          note: null
-        });
-      }
-    }
-    
-    return fullFingering;
+  search(fretted, null);
+  
+  // Большой палец берет ноту на самой нижней струне, если она не выше остальных зажатых нот
+  const lowestStringNote = fretted.find(note => note.index === 0);
+  if (lowestStringNote && lowestStringNote.fret === fretted[0].fret && fretted.length > 1) {
+    search(fretted.filter(note => note !== lowestStringNote), lowestStringNote);
   }
   
-  return fingering;
+  if (!best) return null;
+  
+  const usedFingers = new Set(best.fingers.filter(finger => finger !== null));
+  
+  return {
+    fingers: best.fingers,
+    barres: best.barres,
+    usesThumb: best.usesThumb,
+    fingersNeeded: usedFingers.size,
+    fretRange: fretRange,
+    cost: best.cost
+  };
 }
 
 /**
- * Вычисляет базовые метрики для аппликатуры
- * @param {Array} fingering - Аппликатура
- * @returns {Object} - Объект с метриками {score, fretRange, openStrings, barreRequirement}
+ * Проверяет аппликатуру и оценивает ее удобство
+ * @param {Array} fingering - Аппликатура для всех струн
+ * @param {Object} chordInfo - {notes, rootNote, bassNote, optionalNotes}
+ * @returns {Object|null} - Аппликатура с оценкой и метриками или null, если она не подходит
  */
-function calculateBasicMetrics(fingering) {
-  // Вычисляем диапазон ладов
-  const activeFrets = fingering
-    .filter(pos => pos.fret > 0)
-    .map(pos => pos.fret);
-  
-  const fretRange = activeFrets.length > 0
-    ? Math.max(...activeFrets) - Math.min(...activeFrets) + 1
-    : 0;
-  
-  // Подсчитываем открытые струны
-  const openStrings = fingering.filter(pos => pos.fret === 0).length;
-  
-  // Проверяем требование баррэ (упрощенная проверка)
-  const barreRequirement = activeFrets.length > 2 && fretRange > 2 ? 1 : 0;
-  
-  // Простая оценка (больше открытых струн - лучше, меньше диапазон - лучше)
-  const score = Math.max(0, 10 - fretRange * 0.5 + openStrings * 0.3 - barreRequirement * 0.2);
+function evaluateVoicing(fingering, chordInfo) {
+  const sounding = fingering.filter(pos => pos.fret !== -1);
+  if (sounding.length < Math.min(MIN_SOUNDING_STRINGS, fingering.length)) return null;
+  if (fingering.length - sounding.length > MAX_MUTED_STRINGS) return null;
+  
+  // Должны звучать все ноты аккорда, кроме необязательных
+  const missingNotes = chordInfo.notes.filter(note =>
+    !sounding.some(pos => window.NoteUtils.isSameNote(pos.note, note))
+  );
+  if (missingNotes.some(note => !chordInfo.optionalNotes.includes(note))) return null;
+  
+  // Заглушенная струна внутри аккорда допускается только одна
+  const firstSounding = fingering.findIndex(pos => pos.fret !== -1);
+  const lastSounding = fingering.length - 1 - [...fingering].reverse().findIndex(pos => pos.fret !== -1);
+  const innerMutedStrings = fingering
+    .slice(firstSounding, lastSounding + 1)
+    .filter(pos => pos.fret === -1).length;
+  if (innerMutedStrings > 1) return null;
+  
+  // Самая низкая по высоте нота (на укулеле это не обязательно нижняя струна)
+  const getMidi = pos => window.NoteUtils.calculateMidiNumber(window.NoteUtils.NOTES_DATA[pos.string][pos.fret]);
+  const lowest = sounding.reduce((low, pos) => getMidi(pos) < getMidi(low) ? pos : low);
+  if (chordInfo.bassNote && !window.NoteUtils.isSameNote(lowest.note, chordInfo.bassNote)) return null;
+  const rootInBass = window.NoteUtils.isSameNote(lowest.note, chordInfo.rootNote);
+  
+  const hand = assignFingers(fingering);
+  if (!hand) return null;
+  
+  const frettedFrets = sounding.filter(pos => pos.fret > 0).map(pos => pos.fret);
+  const position = frettedFrets.length > 0 ? Math.min(...frettedFrets) : 0;
+  const openStrings = sounding.length - frettedFrets.length;
+  const mutedStrings = fingering.length - sounding.length;
+  const trebleMutedStrings = fingering.length - 1 - lastSounding;
+  const soundingMidi = sounding.map(getMidi);
+  const unisons = soundingMidi.length - new Set(soundingMidi).size;
+  
+  // Открытые струны удобны, только когда рука стоит у порожка
+  const isFirstPosition = frettedFrets.every(fret => fret <= MAX_FRET_SPAN);
+  
+  // Открытая струна между зажатыми на разных ладах (через 1 и больше) не облегчает аккорд:
+  // пальцы тянутся через нее, и такая форма уступает баррэ (Bm x20402 против x24432)
+  const stretchedOpenStrings = fingering.filter((pos, index) => {
+    if (pos.fret !== 0) return false;
+    const below = fingering.slice(0, index).reverse().find(other => other.fret > 0);
+    const above = fingering.slice(index + 1).find(other => other.fret > 0);
+    return Boolean(below && above) && Math.abs(below.fret - above.fret) >= 2;
+  }).length;
+  
+  const weights = VOICING_SCORE_WEIGHTS;
+  let score = 10;
+  score -= missingNotes.length * weights.missingNote;
+  score -= chordInfo.rootInBassRequired && !chordInfo.bassNote && !rootInBass ? weights.inversion : 0;
+  score -= Math.pow(Math.max(0, hand.fretRange - 1), 2) * weights.stretch;
+  score -= hand.fingersNeeded * weights.finger;
+  score -= hand.cost * weights.fingerAwkwardness;
+  score -= mutedStrings * weights.mutedString;
+  score -= innerMutedStrings * weights.innerMutedString + trebleMutedStrings * weights.trebleMutedString;
+  score -= unisons * weights.unison;
+  score -= Math.max(0, position - 1) * weights.position;
+  score += (openStrings - stretchedOpenStrings) * (isFirstPosition ? weights.openString : -weights.distantOpenString);
+  score -= stretchedOpenStrings * weights.stretchedOpenString;
   
   return {
-    score: score,
-    fretRange: fretRange,
+    fingering: fingering.map((pos, index) => ({ ...pos, finger: hand.fingers[index] })),
+    score: Math.max(0, score),
+    fretRange: hand.fretRange,
     openStrings: openStrings,
-    barreRequirement: barreRequirement
+    mutedStrings: mutedStrings,
+    barreRequirement: hand.barres.length > 0 ? 1 : 0,
+    barres: hand.barres,
+    usesThumb: hand.usesThumb,
+    fingersNeeded: hand.fingersNeeded,
+    position: position,
+    rootInBass: rootInBass,
+    missingNotes: missingNotes
+  };
+}
+
+/**
+ * Перебирает все аппликатуры аккорда (с заглушенными струнами) в окнах ладов и оставляет сыграбельные
+ * @param {Object} chordInfo - {notes, rootNote, bassNote, optionalNotes}
+ * @param {Array} windows - Окна ладов из getSearchWindows
+ * @returns {Object} - {totalCombinations, voicings} - voicings отсортированы по убыванию оценки
+ */
+function searchVoicings(chordInfo, windows) {
+  const strings = window.NoteUtils.STRINGS_ORDER;
+  const voicings = [];
+  let totalCombinations = 0;
+  
+  // Битовая маска обязательных нот: по ней отсекаются ветки, в которых их уже не успеть сыграть
+  const noteBit = note => 1 << chordInfo.notes.indexOf(note);
+  const requiredMask = chordInfo.notes
+    .filter(note => !chordInfo.optionalNotes.includes(note))
+    .reduce((mask, note) => mask | noteBit(note), 0);
+  const countMissing = covered => {
+    let missing = requiredMask & ~covered;
+    let count = 0;
+    for (; missing; missing &= missing - 1) count++;
+    return count;
   };
+  
+  windows.forEach((range, windowIndex) => {
+    const candidatesByString = strings.map(string => getStringCandidates(string, chordInfo.notes, range));
+    const isFirstWindow = windowIndex === 0;
+    const isLastWindow = windowIndex === windows.length - 1;
+    const current = [];
+    
+    const collect = (stringIndex, mutedCount, lowestFret, covered) => {
+      // Аппликатуры с лишними заглушенными струнами или без нужных нот дальше не строим
+      if (mutedCount > MAX_MUTED_STRINGS) return;
+      if (countMissing(covered) > strings.length - stringIndex) return;
+      
+      if (stringIndex === strings.length) {
+        // Соседние окна пересекаются: аппликатура относится к окну, которое начинается с ее нижнего лада
+        // (без зажатых нот - к первому окну, у верхнего края грифа - к последнему)
+        const belongsToWindow = lowestFret === Infinity
+          ? isFirstWindow
+          : lowestFret === range.minFret || (isLastWindow && lowestFret > range.minFret);
+        if (!belongsToWindow) return;
+        totalCombinations++;
+        
+        const voicing = evaluateVoicing([...current], chordInfo);
+        if (voicing) {
+          voicings.push(voicing);
+        }
+        return;
+      }
+      
+      for (const candidate of candidatesByString[stringIndex]) {
+        current.push(candidate);
+        collect(
+          stringIndex + 1,
+          mutedCount + (candidate.fret === -1 ? 1 : 0),
+          candidate.fret > 0 ? Math.min(lowestFret, candidate.fret) : lowestFret,
+          candidate.note ? covered | noteBit(candidate.note) : covered
+        );
+        current.pop();
+      }
+    };
+    
+    collect(0, 0, Infinity, 0);
+  });
+  
+  voicings.sort((a, b) => b.score - a.score || a.position - b.position);
+  
+  return { totalCombinations: totalCombinations, voicings: voicings };
 }
 
 /**
@@ -463,103 +418,212 @@ function calculateBasicMetrics(fingering) {
  */
 function findOptimalFingering(chordNotes, chordName = '', options = {}) {
   const {
-    topN = 3            // Количество возвращаемых аппликатур
+    topN = 3,                              // Количество возвращаемых аппликатур
+    position = null,                       // Первый лад позиции (0 - у порожка, 5 - V позиция), null - весь гриф
+    bassNote = chordNotes.bass || null,    // Басовая нота слэш-аккорда (по умолчанию из ChordParser.parseChord)
+    optionalNotes = chordNotes.optional || [] // Ноты, которые можно опустить (в порядке приоритета)
   } = options;
   
-  // 1. Определяем корневую ноту аккорда (тоника)
-  const rootNote = chordNotes[0];
+  const chordInfo = {
+    notes: [...chordNotes],
+    rootNote: chordNotes.root || chordNotes[0],
+    bassNote: bassNote,
+    optionalNotes: optionalNotes,
+    // В возвратном строе (укулеле) самая низкая нота не на нижней струне и аккорды обычно звучат в обращении
+    rootInBassRequired: !isReentrantTuning()
+  };
   
-  // 2. Ищем самую низкую первую ступень (тонику) на струнах 6, 5, 4 в пределах ладов 0-4
-  const lowestFirstDegree = findLowestFirstDegree(rootNote);
+  // Басовая нота слэш-аккорда может не входить в аккорд (например, C/Bb)
+  if (bassNote && !chordInfo.notes.some(note => window.NoteUtils.isSameNote(note, bassNote))) {
+    chordInfo.notes.push(bassNote);
+  }
   
-  let rootPosition;
-  if (lowestFirstDegree) {
-    rootPosition = lowestFirstDegree;
-    console.log(`Самая низкая первая ступень "${rootNote}" найдена на струне ${rootPosition.string}, лад ${rootPosition.fret}`);
-  } else {
-    // Если не нашли на струнах 6, 5, 4 в пределах ладов 0-4, ищем самую низкую ноту (тонику) на грифе
-    rootPosition = findLowestRootNote(rootNote);
+  const { totalCombinations, voicings } = searchVoicings(chordInfo, getSearchWindows(position));
+  const topFingerings = voicings.slice(0, topN);
+  
+  return {
+    chordName: chordName,
+    notes: chordNotes,
+    bassNote: bassNote,
+    totalCombinations: totalCombinations,
+    validCombinations: voicings.length,
+    hasGoodFingering: topFingerings.length > 0,
+    topFingerings: topFingerings,
+    bestFingering: topFingerings.length > 0 ? topFingerings[0] : null
+  };
+}
+
+/**
+ * Возвращает положение руки для аппликатуры: средний зажатый лад (0 - только открытые струны)
+ * @param {Object} voicing - Вариант аппликатуры
+ * @returns {number} - Средний лад
+ */
+function getHandPosition(voicing) {
+  const frets = voicing.fingering.filter(pos => pos.fret > 0).map(pos => pos.fret);
+  return frets.length > 0 ? frets.reduce((sum, fret) => sum + fret, 0) / frets.length : 0;
+}
+
+/**
+ * Оценивает переход между аппликатурами соседних аккордов: смещение руки и смена общих нот
+ * @param {Object} fromVoicing - Аппликатура предыдущего аккорда
+ * @param {Object} toVoicing - Аппликатура следующего аккорда
+ * @returns {number} - Штраф перехода (0 - рука и общие ноты на месте)
+ */
+function getVoiceLeadingCost(fromVoicing, toVoicing) {
+  const pitchClass = pos => window.NoteUtils.calculateMidiNumber(pos.note) % 12;
+  const toPitchClasses = new Set(toVoicing.fingering.filter(pos => pos.fret !== -1).map(pitchClass));
+  
+  // Общая нота держится, если в следующей аппликатуре струна зажата там же
+  const commonToneChanges = fromVoicing.fingering.filter((pos, index) =>
+    pos.fret !== -1 && toPitchClasses.has(pitchClass(pos)) && toVoicing.fingering[index].fret !== pos.fret
+  ).length;
+  
+  const handMovement = Math.abs(getHandPosition(fromVoicing) - getHandPosition(toVoicing));
+  
+  return handMovement * VOICE_LEADING_WEIGHTS.handMovement +
+    commonToneChanges * VOICE_LEADING_WEIGHTS.commonToneChange;
+}
+
+/**
+ * Подбирает аппликатуры для всей прогрессии так, чтобы рука двигалась меньше, а общие ноты оставались на месте
+ * Варианты каждого аккорда берутся из findOptimalFingering, последовательность выбирается алгоритмом Витерби
+ * @param {Array} chords - Аккорды прогрессии по порядку: {chordName, notes} (notes - результат ChordParser.parseChord);
+ *                         можно передать уже найденные варианты topFingerings
+ * @param {Object} options - Опции подбора
+ * @returns {Object} - {voicings, selectedIndexes, totalCost, chords}: выбранная аппликатура и ее индекс в вариантах для каждого аккорда
+ */
+function optimizeProgressionVoicings(chords, options = {}) {
+  const {
+    topN = 30,               // Количество вариантов каждого аккорда, среди которых идет выбор
+    positionWeight = 0.5     // Компромисс: 0 - лучшая форма каждого аккорда, 1 - минимум движения между аккордами
+  } = options;
+  
+  const candidates = chords.map(chord => {
+    const voicings = chord.topFingerings ||
+      findOptimalFingering(chord.notes, chord.chordName, { topN: topN }).topFingerings;
     
-    if (!rootPosition) {
-      console.warn(`Не найдена тоника "${rootNote}" на грифе в пределах ладов 0-7`);
-      return {
-        chordName: chordName,
-        notes: chordNotes,
-        totalCombinations: 0,
-        validCombinations: 0,
-        hasGoodFingering: false,
-        topFingerings: [],
-        bestFingering: null
-      };
+    if (voicings.length === 0) {
+      throw new Error(`Не найдена подходящая аппликатура для аккорда ${chord.chordName}`);
     }
-    
-    console.log(`Тоника "${rootNote}" найдена на струне ${rootPosition.string}, лад ${rootPosition.fret}`);
-  }
+    return voicings;
+  });
   
-  // 3. Строим аппликатуру на основе положения корневой ноты
-  const primaryFingering = buildChordFromRoot(rootNote, chordNotes, rootPosition, chordName);
+  const shapeCost = voicing => (1 - positionWeight) * (10 - voicing.score);
   
-  // Если основная аппликатура построена, сразу возвращаем результат
-  if (primaryFingering) {
-    // Вычисляем базовые метрики для аппликатуры
-    const metrics = calculateBasicMetrics(primaryFingering);
-    
-    // Возвращаем основную аппликатуру с базовыми метриками
-    const primaryResult = {
-      fingering: primaryFingering,
-      score: metrics.score,
-      fretRange: metrics.fretRange,
-      openStrings: metrics.openStrings,
-      barreRequirement: metrics.barreRequirement
-    };
+  // costs[i][j] - наименьшая стоимость прогрессии до аккорда i с вариантом j; previous - откуда пришли
+  const costs = [candidates[0].map(shapeCost)];
+  const previous = [candidates[0].map(() => -1)];
+  
+  for (let i = 1; i < candidates.length; i++) {
+    costs.push([]);
+    previous.push([]);
     
-    return {
-      chordName: chordName,
-      notes: chordNotes,
-      totalCombinations: 1,
-      validCombinations: 1,
-      hasGoodFingering: true,
-      topFingerings: [primaryResult],
-      bestFingering: primaryResult
-    };
+    candidates[i].forEach(voicing => {
+      let bestCost = Infinity;
+      let bestPrevious = -1;
+      
+      candidates[i - 1].forEach((previousVoicing, k) => {
+        const cost = costs[i - 1][k] + positionWeight * getVoiceLeadingCost(previousVoicing, voicing);
+        if (cost < bestCost) {
+          bestCost = cost;
+          bestPrevious = k;
+        }
+      });
+      
+      costs[i].push(bestCost + shapeCost(voicing));
+      previous[i].push(bestPrevious);
+    });
   }
   
-  // Если основная аппликатура не построена, используем упрощенный поиск
-  // Находим все возможные позиции для каждой ноты
-  const positionsByNote = window.NoteUtils.findAllPossiblePositions(chordNotes);
-  
-  // Ограничиваем количество комбинаций для оптимизации
-  const maxCombinations = 50;
-  let allCombinations = generateAllCombinations(positionsByNote, chordNotes);
+  // Восстанавливаем лучшую последовательность с конца
+  const lastCosts = costs[costs.length - 1];
+  let index = lastCosts.indexOf(Math.min(...lastCosts));
+  const totalCost = lastCosts[index];
+  const selectedIndexes = [];
   
-  // Если комбинаций слишком много, просто берем первые maxCombinations
-  if (allCombinations.length > maxCombinations) {
-    allCombinations = allCombinations.slice(0, maxCombinations);
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    selectedIndexes.unshift(index);
+    index = previous[i][index];
   }
   
-  // Отбираем топ-N аппликатур с базовыми метриками
-  const topCombinations = allCombinations.slice(0, topN).map(fingering => {
-    const metrics = calculateBasicMetrics(fingering);
-    return {
-      fingering: fingering,
-      score: metrics.score,
-      fretRange: metrics.fretRange,
-      openStrings: metrics.openStrings,
-      barreRequirement: metrics.barreRequirement
-    };
-  });
+  console.log(`Голосоведение для ${chords.length} аккордов: стоимость ${totalCost.toFixed(2)}`);
   
   return {
-    chordName: chordName,
-    notes: chordNotes,
-    totalCombinations: allCombinations.length,
-    validCombinations: allCombinations.length,
-    hasGoodFingering: allCombinations.length > 0,
-    topFingerings: topCombinations,
-    bestFingering: topCombinations.length > 0 ? topCombinations[0] : null
+    voicings: selectedIndexes.map((selected, i) => candidates[i][selected]),
+    selectedIndexes: selectedIndexes,
+    totalCost: totalCost,
+    chords: chords.map((chord, i) => ({ chordName: chord.chordName, topFingerings: candidates[i] }))
   };
 }
 
+/**
+ * Проверяет, играется ли вариант в открытой позиции: звучат открытые струны, а рука стоит у порожка
+ * @param {Object} voicing - Вариант аппликатуры
+ * @returns {boolean} - true для открытого аккорда
+ */
+function isOpenPositionVoicing(voicing) {
+  return voicing.openStrings > 0 && voicing.fingering.every(pos => pos.fret <= MAX_FRET_SPAN);
+}
+
+/**
+ * Подбирает каподастр для прогрессии: положение, при котором больше всего аккордов играется открытыми формами
+ * Для каждого лада аккорды ищутся в первой позиции относительно каподастра; при равенстве открытых аккордов
+ * выше ставится положение с большей суммарной оценкой, затем - с каподастром ближе к порожку
+ * @param {Array} chordNames - Названия аккордов прогрессии (звучащие, без учета каподастра)
+ * @param {Object} options - Опции подбора
+ * @returns {Array} - Варианты по убыванию удобства: {capo, key, shapeKey, shapes, openChords, totalScore}
+ *                    shapes - формы аккордов, которые играются от каподастра
+ */
+function suggestCapo(chordNames, options = {}) {
+  const {
+    maxCapo = 7,             // Самый дальний лад каподастра
+    key = null               // Тональность прогрессии (null - определяется по аккордам)
+  } = options;
+  
+  const NoteUtils = window.NoteUtils;
+  const ChordParser = window.ChordParser;
+  const uniqueChords = chordNames.filter((chordName, index) => chordNames.indexOf(chordName) === index);
+  const progressionKey = key || ChordParser.detectKey(uniqueChords);
+  const originalCapo = NoteUtils.getCapo();
+  const suggestions = [];
+  
+  try {
+    for (let capo = 0; capo <= Math.min(maxCapo, NoteUtils.MAX_CAPO_FRET); capo++) {
+      NoteUtils.setCapo(capo);
+      
+      const shapeKey = ChordParser.transposeKey(progressionKey, -capo);
+      let openChords = 0;
+      let totalScore = 0;
+      
+      const shapes = uniqueChords.map(chordName => {
+        const notes = ChordParser.parseChord(chordName);
+        const voicing = findOptimalFingering(notes, chordName, { topN: 1, position: 0 }).bestFingering;
+        
+        if (voicing) {
+          totalScore += voicing.score;
+          if (isOpenPositionVoicing(voicing)) openChords++;
+        }
+        
+        return {
+          chordName: chordName,
+          shape: ChordParser.transposeChord(chordName, -capo, shapeKey),
+          voicing: voicing
+        };
+      });
+      
+      suggestions.push({ capo, key: progressionKey, shapeKey, shapes, openChords, totalScore });
+    }
+  } finally {
+    NoteUtils.setCapo(originalCapo);
+  }
+  
+  suggestions.sort((a, b) => b.openChords - a.openChords || b.totalScore - a.totalScore || a.capo - b.capo);
+  
+  console.log(`Каподастр для ${progressionKey}: лучший вариант - ${suggestions[0].capo} лад (${suggestions[0].openChords} из ${uniqueChords.length} аккордов открытые)`);
+  
+  return suggestions;
+}
+
 /**
  * Выводит информацию о найденной аппликатуре в консоль
  * @param {Object} result - Результат функции findOptimalFingering
@@ -567,6 +631,9 @@ function findOptimalFingering(chordNotes, chordName = '', options = {}) {
 function logOptimalFingering(result) {
   console.log(`\nОптимальная аппликатура для аккорда "${result.chordName}":`);
   console.log(`Ноты аккорда: [${result.notes.join(', ')}]`);
+  if (result.bassNote) {
+    console.log(`Басовая нота: ${result.bassNote}`);
+  }
   console.log(`Всего комбинаций: ${result.totalCombinations}`);
   console.log(`Валидных комбинаций: ${result.validCombinations}`);
   console.log(`Найдена хорошая аппликатура: ${result.hasGoodFingering ? 'Да' : 'Нет'}`);
@@ -589,18 +656,22 @@ function logOptimalFingering(result) {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     findOptimalFingering,
-    generateAllCombinations,
+    optimizeProgressionVoicings,
+    getVoiceLeadingCost,
+    suggestCapo,
     logOptimalFingering,
-    findRootNoteOnOpenString,
-    findLowestFirstDegree
+    assignFingers,
+    findBarres
   };
 } else {
   // Для использования в браузере
   window.ChordOptimizer = {
     findOptimalFingering,
-    generateAllCombinations,
+    optimizeProgressionVoicings,
+    getVoiceLeadingCost,
+    suggestCapo,
     logOptimalFingering,
-    findRootNoteOnOpenString,
-    findLowestFirstDegree
+    assignFingers,
+    findBarres
   };
 }
\ No newline at end of file
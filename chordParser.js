@@ -1,107 +1,357 @@
 /**
  * Модуль для парсинга аккордов в набор нот
- * Поддерживаемые типы аккордов: maj, m, dim, aug, 7, maj7, m7, sus2, sus4, add9, 6
+ * Тип аккорда разбирается по грамматике: качество (maj, m, dim, aug, ø, mMaj),
+ * расширение (6, 6/9, 7, 9, 11, 13) и модификаторы (b5, #5, b9, #9, #11, b13, alt, add, omit/no, sus)
+ * Поддерживаются слэш-аккорды и обращения (C/G, Am/E, D/F#)
  */
 
 // Определяем ноты в хроматической гамме для вычисления интервалов
 const CHROMATIC_SCALE = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 
-// Словарь для преобразования альтерированных нот
-const NOTE_ALIASES = {
-  'C♭': 'B',
-  'B#': 'C',
-  'E#': 'F',
-  'F♭': 'E',
-  'D♭': 'C#',
-  'E♭': 'D#',
-  'G♭': 'F#',
-  'A♭': 'G#',
-  'B♭': 'A#',
-  'Db': 'C#',
-  'Eb': 'D#',
-  'Gb': 'F#',
-  'Ab': 'G#',
-  'Bb': 'A#',
-  'cb': 'B',
-  'b#': 'C',
-  'e#': 'F',
-  'fb': 'E',
-  'db': 'C#',
-  'eb': 'D#',
-  'gb': 'F#',
-  'ab': 'G#',
-  'bb': 'A#'
+// Написание нот по умолчанию, когда нет тоники или тональности, от которых можно отталкиваться
+const DEFAULT_NOTE_SPELLINGS = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Написание хроматических нот в бемольных тональностях
+const FLAT_NOTE_SPELLINGS = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Буквенные названия нот и их высота относительно C (в полутонах)
+const NOTE_LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_SEMITONES = [0, 2, 4, 5, 7, 9, 11];
+
+// Мажорные тональности с диезами и бемолями при ключе
+const SHARP_KEYS = ['G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+const FLAT_KEYS = ['F', 'Bb', 'Eb', 'Ab', 'Db', 'Gb', 'Cb'];
+
+// Написание тоники тональности по высоте: из энгармонических пар выбрана тональность с меньшим числом знаков
+const MAJOR_KEY_TONICS = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MINOR_KEY_TONICS = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B'];
+
+// Ступени мажорной и натуральной минорной гаммы (в полутонах от тоники)
+const MAJOR_SCALE_STEPS = [0, 2, 4, 5, 7, 9, 11];
+const MINOR_SCALE_STEPS = [0, 2, 3, 5, 7, 8, 10];
+
+// Количество полутонов от тоники для натуральных ступеней аккорда
+const DEGREE_SEMITONES = {
+  1: 0, 2: 2, 3: 4, 4: 5, 5: 7, 6: 9, 7: 11, 9: 14, 11: 17, 13: 21
 };
 
-// Интервалы для различных типов аккордов (в полутонах от основной ноты)
-const CHORD_INTERVALS = {
-  // Мажорный трезвучие (1, 3, 5)
-  'maj': [0, 4, 7],
-  '': [0, 4, 7],  // Пустая строка для неявного мажора
-  
-  // Минорный трезвучие (1, b3, 5)
-  'm': [0, 3, 7],
-  'min': [0, 3, 7],
-  '-': [0, 3, 7],
-  
-  // Уменьшенный (1, b3, b5)
-  'dim': [0, 3, 6],
-  '°': [0, 3, 6],
-  
-  // Увеличенный (1, 3, #5)
-  'aug': [0, 4, 8],
-  '+': [0, 4, 8],
-  
-  // Доминантсепт (1, 3, 5, b7)
-  '7': [0, 4, 7, 10],
-  
-  // Мажорный септ (1, 3, 5, 7)
-  'maj7': [0, 4, 7, 11],
-  'M7': [0, 4, 7, 11],
-  'Δ': [0, 4, 7, 11],
-  
-  // Минорный септ (1, b3, 5, b7)
-  'm7': [0, 3, 7, 10],
-  'min7': [0, 3, 7, 10],
-  '-7': [0, 3, 7, 10],
-  
-  // Sus2 (1, 2, 5)
-  'sus2': [0, 2, 7],
-  
-  // Sus4 (1, 4, 5)
-  'sus4': [0, 5, 7],
-  'sus': [0, 5, 7],
-  
-  // Add9 (1, 3, 5, 9)
-  'add9': [0, 4, 7, 14],
-  '2': [0, 4, 7, 14],
-  
-  // Мажорный шестой (1, 3, 5, 6)
-  '6': [0, 4, 7, 9],
-  'maj6': [0, 4, 7, 9],
-  'M6': [0, 4, 7, 9]
+// Обозначения качества аккорда (проверяются по порядку, поэтому более длинные идут первыми)
+const CHORD_QUALITIES = [
+  // Минорный с большой септимой (mMaj7, m(maj7), -Δ7)
+  { pattern: /^(mmaj|mMaj|minmaj|minMaj|mM|-maj|-Maj|mΔ|-Δ)/, quality: 'minor', majorSeventh: true },
+  // Маркер большой септимы (maj7, M9, Δ); без цифры "maj" и "M" означают мажорное трезвучие
+  { pattern: /^(maj|Maj|MA|ma(?=\d)|M|Δ)/, quality: 'major', majorSeventh: true },
+  // Минорный (m, min, -)
+  { pattern: /^(min|mi|m|-)/, quality: 'minor' },
+  // Уменьшенный (dim, °, o); "omit" не путаем с "o"
+  { pattern: /^(dim|°|o(?!mit))/, quality: 'diminished' },
+  // Полууменьшенный (ø = m7b5)
+  { pattern: /^(ø|Ø)/, quality: 'halfDiminished' },
+  // Увеличенный (aug, +)
+  { pattern: /^(aug|\+)/, quality: 'augmented' }
+];
+
+// Терция и квинта для каждого качества аккорда (в полутонах от тоники)
+const QUALITY_TRIADS = {
+  major: { third: 4, fifth: 7 },
+  minor: { third: 3, fifth: 7 },
+  diminished: { third: 3, fifth: 6 },
+  halfDiminished: { third: 3, fifth: 6 },
+  augmented: { third: 4, fifth: 8 }
+};
+
+// Примеры поддерживаемых обозначений (грамматика допускает и их комбинации)
+const SUPPORTED_CHORD_TYPES = [
+  '', 'maj', 'm', 'min', '-', 'dim', '°', 'aug', '+', '5',
+  '6', 'm6', '6/9', 'm6/9', '7', 'maj7', 'M7', 'Δ', 'm7', 'min7', '-7', 'mMaj7', 'm(maj7)',
+  'dim7', 'm7b5', 'ø', '7b5', '7#5', 'aug7',
+  '9', 'maj9', 'm9', '7b9', '7#9', '11', 'm11', '7#11', 'maj7#11',
+  '13', 'maj13', 'm13', '7b13', '13b9', '7alt',
+  'sus2', 'sus4', 'sus', '7sus4', '9sus4', 'add9', '2', 'madd9', 'add11', 'add13',
+  'no3', 'omit3', 'no5', 'omit5'
+];
+
+// Типы аккордов, среди которых ищется название при обратном определении (от простых к сложным)
+const IDENTIFY_CHORD_TYPES = [
+  '', 'm', '5', 'sus4', 'sus2', 'dim', 'aug',
+  '7', 'm7', 'maj7', '6', 'm6', 'm7b5', 'dim7', 'mMaj7', '7sus4', 'add9', 'madd9',
+  '9', 'm9', 'maj9', '6/9', 'm6/9', '7b5', 'aug7', '7b9', '7#9', 'add11', 'maj7#11', '7#11',
+  '11', 'm11', '13', 'm13', 'maj13', '7b13', '7alt'
+];
+
+// Названия обращений по ступени, стоящей в басу
+const INVERSION_BY_DEGREE = {
+  '3': 1, 'b3': 1, '2': 1, '4': 1,
+  '5': 2, 'b5': 2, '#5': 2,
+  '7': 3, 'b7': 3, 'bb7': 3, '6': 3
 };
 
+// Кэш формул для обратного определения аккордов
+let identifyFormulasCache = null;
+
+/**
+ * Формирует обозначение ступени с альтерацией (например, "b3", "#11", "bb7")
+ * @param {number} degree - Ступень аккорда
+ * @param {number} semitones - Количество полутонов от тоники
+ * @returns {string} - Обозначение ступени
+ */
+function formatDegreeLabel(degree, semitones) {
+  const alteration = semitones - DEGREE_SEMITONES[degree];
+  const accidental = alteration > 0 ? '#'.repeat(alteration) : 'b'.repeat(-alteration);
+  return `${accidental}${degree}`;
+}
+
+/**
+ * Разбирает тип аккорда по грамматике: качество + расширение + модификаторы
+ * Модификаторы: альтерации (b5, #5, b9, #9, #11, b13), alt, add, omit/no, sus2/sus4
+ * @param {string} type - Тип аккорда без тоники и баса (например, "m7b5", "13#11", "7sus4")
+ * @returns {Object} - Формула аккорда { tones: [{degree, semitones, label}], optional: [label] }
+ */
+function parseChordType(type) {
+  // Скобки и запятые используются только для группировки: C7(b9,#11) == C7b9#11
+  let rest = type.replace(/[(),]/g, '');
+  
+  let quality = 'major';
+  let majorSeventh = false;
+  let extension = null;
+  let isPowerChord = false;
+  const modifiers = [];
+  
+  // Квинтаккорд (C5) - только тоника и квинта
+  if (rest === '5') {
+    isPowerChord = true;
+    rest = '';
+  }
+  
+  // 1. Качество аккорда
+  for (const entry of CHORD_QUALITIES) {
+    const match = rest.match(entry.pattern);
+    if (match) {
+      quality = entry.quality;
+      majorSeventh = Boolean(entry.majorSeventh);
+      rest = rest.slice(match[0].length);
+      break;
+    }
+  }
+  
+  // 2. Расширение (6, 6/9, 7, 9, 11, 13; "2" - устаревшее обозначение add9)
+  const extensionMatch = rest.match(/^(6\/9|69|6|7|9|11|13|2)/);
+  if (extensionMatch) {
+    extension = extensionMatch[1] === '69' ? '6/9' : extensionMatch[1];
+    rest = rest.slice(extensionMatch[0].length);
+  }
+  
+  // 3. Модификаторы в произвольном порядке
+  while (rest.length > 0) {
+    let match;
+    
+    if ((match = rest.match(/^sus([24])?/))) {
+      modifiers.push({ kind: 'sus', degree: match[1] === '2' ? 2 : 4 });
+    } else if ((match = rest.match(/^add([#b+-]?)(2|4|6|9|11|13)/))) {
+      modifiers.push({ kind: 'add', accidental: match[1], degree: parseInt(match[2]) });
+    } else if ((match = rest.match(/^(omit|no)(1|3|5)/))) {
+      modifiers.push({ kind: 'omit', degree: parseInt(match[2]) });
+    } else if ((match = rest.match(/^alt/))) {
+      modifiers.push({ kind: 'alt' });
+    } else if ((match = rest.match(/^([#b+-])(5|9|11|13)/))) {
+      modifiers.push({ kind: 'alter', accidental: match[1], degree: parseInt(match[2]) });
+    } else if (extension === null && (match = rest.match(/^(7|9|11|13)/))) {
+      // Расширение после sus: C7sus4 и Csus47 эквивалентны
+      extension = match[1];
+    } else if (!majorSeventh && (match = rest.match(/^(maj|M|Δ)7/))) {
+      // Большая септима в конце обозначения: Cm7 с большой септимой как "Cm/maj7"
+      majorSeventh = true;
+      extension = extension || '7';
+    } else {
+      throw new Error(`Неподдерживаемый тип аккорда: ${type}`);
+    }
+    
+    rest = rest.slice(match[0].length);
+  }
+  
+  if (isPowerChord && (extension || modifiers.length > 0)) {
+    throw new Error(`Неподдерживаемый тип аккорда: ${type}`);
+  }
+  
+  // Δ, mMaj и ø без цифры подразумевают септаккорд
+  const hasExplicitMaj = /^(maj|Maj|MA|ma|M)/.test(type);
+  if (extension === null && (quality === 'halfDiminished' || (majorSeventh && !hasExplicitMaj))) {
+    extension = '7';
+  }
+  if (modifiers.some(modifier => modifier.kind === 'alt') && extension === null) {
+    extension = '7';
+  }
+  
+  const triad = QUALITY_TRIADS[quality];
+  const tones = [{ degree: 1, semitones: 0 }];
+  const optional = [];
+  
+  if (!isPowerChord) {
+    tones.push({ degree: 3, semitones: triad.third });
+  }
+  tones.push({ degree: 5, semitones: triad.fifth });
+  
+  // Септима: большая для maj, уменьшенная для dim7, иначе малая
+  const seventh = majorSeventh ? 11 : (quality === 'diminished' ? 9 : 10);
+  const extensionNumber = ['7', '9', '11', '13'].includes(extension) ? parseInt(extension) : 0;
+  
+  if (extension === '6' || extension === '6/9') {
+    tones.push({ degree: 6, semitones: DEGREE_SEMITONES[6] });
+  }
+  if (extension === '6/9' || extension === '2') {
+    tones.push({ degree: 9, semitones: DEGREE_SEMITONES[9] });
+  }
+  if (extensionNumber >= 7) {
+    tones.push({ degree: 7, semitones: seventh });
+  }
+  if (extensionNumber >= 9) {
+    tones.push({ degree: 9, semitones: DEGREE_SEMITONES[9] });
+  }
+  if (extensionNumber === 11 || (extensionNumber === 13 && quality === 'minor')) {
+    // В мажорных и доминантовых 13-х аккордах ундецима не берется (конфликт с терцией)
+    tones.push({ degree: 11, semitones: DEGREE_SEMITONES[11] });
+  }
+  if (extensionNumber === 13) {
+    tones.push({ degree: 13, semitones: DEGREE_SEMITONES[13] });
+  }
+  
+  const findTone = degree => tones.findIndex(tone => tone.degree === degree);
+  const removeTone = degree => {
+    const index = findTone(degree);
+    if (index !== -1) tones.splice(index, 1);
+  };
+  
+  modifiers.forEach(modifier => {
+    const accidentalShift = modifier.accidental === '#' || modifier.accidental === '+' ? 1
+      : (modifier.accidental === 'b' || modifier.accidental === '-' ? -1 : 0);
+    
+    switch (modifier.kind) {
+      case 'sus':
+        removeTone(3);
+        tones.push({ degree: modifier.degree, semitones: DEGREE_SEMITONES[modifier.degree] });
+        break;
+        
+      case 'add':
+        tones.push({ degree: modifier.degree, semitones: DEGREE_SEMITONES[modifier.degree] + accidentalShift });
+        break;
+        
+      case 'omit':
+        removeTone(modifier.degree);
+        break;
+        
+      case 'alt':
+        // Альтерированный доминант: b9, #9, #11 (b5), b13 (#5), без чистой квинты
+        removeTone(5);
+        removeTone(9);
+        tones.push(
+          { degree: 9, semitones: 13 },
+          { degree: 9, semitones: 15 },
+          { degree: 11, semitones: 18 },
+          { degree: 13, semitones: 20 }
+        );
+        break;
+        
+      case 'alter': {
+        // Альтерация заменяет натуральную ступень, если она есть (C9b5, C13b9), иначе добавляется
+        const semitones = DEGREE_SEMITONES[modifier.degree] + accidentalShift;
+        const naturalIndex = tones.findIndex(tone =>
+          tone.degree === modifier.degree && (modifier.degree === 5 || tone.semitones === DEGREE_SEMITONES[tone.degree])
+        );
+        if (naturalIndex !== -1) {
+          tones.splice(naturalIndex, 1);
+        }
+        tones.push({ degree: modifier.degree, semitones });
+        break;
+      }
+    }
+  });
+  
+  // Ноты, которые можно опустить при игре на шести струнах (в порядке приоритета)
+  const hasTone = (degree, semitones) => tones.some(tone => tone.degree === degree && tone.semitones === semitones);
+  if (tones.length >= 4 && hasTone(5, 7)) {
+    optional.push('5');
+  }
+  if (extensionNumber === 13 && hasTone(11, DEGREE_SEMITONES[11])) {
+    optional.push('11');
+  }
+  if (extensionNumber === 13 && hasTone(9, DEGREE_SEMITONES[9])) {
+    optional.push('9');
+  }
+  if (extensionNumber === 11 && quality !== 'minor' && hasTone(3, 4)) {
+    // В доминантовом 11-м аккорде терция конфликтует с ундецимой
+    optional.push('3');
+  }
+  if (modifiers.some(modifier => modifier.kind === 'alt')) {
+    // В альтерированном аккорде достаточно одной альтерации ноны и одной альтерации квинты
+    optional.push('#11', 'b9');
+  }
+  
+  tones.sort((a, b) => a.semitones - b.semitones);
+  
+  return {
+    tones: tones.map(tone => ({
+      degree: tone.degree,
+      semitones: tone.semitones,
+      label: formatDegreeLabel(tone.degree, tone.semitones)
+    })),
+    optional
+  };
+}
+
 /**
- * Нормализует название ноты, преобразуя альтерации в стандартный формат
+ * Разбирает написание ноты на букву и альтерацию
+ * @param {string} note - Название ноты (например, "Eb", "F##", "C♯", "bb")
+ * @returns {Object|null} - { letterIndex, alteration } или null, если это не нота
+ */
+function splitNoteSpelling(note) {
+  const match = typeof note === 'string' && note.match(/^([A-Ga-g])((?:#|b|x|♯|♭)*)$/);
+  if (!match) return null;
+  
+  let alteration = 0;
+  for (const accidental of match[2]) {
+    if (accidental === '#' || accidental === '♯') alteration += 1;
+    else if (accidental === 'x') alteration += 2;
+    else alteration -= 1;
+  }
+  
+  return { letterIndex: NOTE_LETTERS.indexOf(match[1].toUpperCase()), alteration };
+}
+
+/**
+ * Формирует название ноты по букве и альтерации (двойные знаки записываются как "##" и "bb")
+ * @param {number} letterIndex - Индекс буквы в NOTE_LETTERS
+ * @param {number} alteration - Альтерация в полутонах (-2..2)
+ * @returns {string} - Название ноты
+ */
+function formatNoteSpelling(letterIndex, alteration) {
+  const accidentals = alteration > 0 ? '#'.repeat(alteration) : 'b'.repeat(-alteration);
+  return `${NOTE_LETTERS[letterIndex]}${accidentals}`;
+}
+
+/**
+ * Нормализует написание ноты (♯ -> #, ♭ -> b, заглавная буква), сохраняя энгармонизм: Eb остается Eb
  * @param {string} note - Название ноты
  * @returns {string} - Нормализованное название ноты
  */
 function normalizeNote(note) {
-  if (NOTE_ALIASES[note]) {
-    return NOTE_ALIASES[note];
+  const spelling = splitNoteSpelling(note);
+  if (!spelling) {
+    return note;
   }
-  return note;
+  return formatNoteSpelling(spelling.letterIndex, spelling.alteration);
 }
 
 /**
- * Находит индекс ноты в хроматической гамме
+ * Находит индекс ноты в хроматической гамме (энгармонически равные ноты дают один индекс)
  * @param {string} note - Название ноты
- * @returns {number} - Индекс ноты в гамме
+ * @returns {number} - Индекс ноты в гамме или -1
  */
 function getNoteIndex(note) {
-  const normalizedNote = normalizeNote(note);
-  return CHROMATIC_SCALE.indexOf(normalizedNote);
+  const spelling = splitNoteSpelling(note);
+  if (!spelling) {
+    return -1;
+  }
+  return (((LETTER_SEMITONES[spelling.letterIndex] + spelling.alteration) % 12) + 12) % 12;
 }
 
 /**
@@ -114,6 +364,70 @@ function getNoteByIndex(index) {
   return CHROMATIC_SCALE[normalizedIndex];
 }
 
+/**
+ * Записывает ступень аккорда от тоники с правильной буквой (терция от Bb - это Db, а не C#)
+ * @param {string} root - Тоника в нужном написании
+ * @param {number} degree - Ступень (1, 3, 5, 7, 9, 11, 13...)
+ * @param {number} semitones - Интервал от тоники в полутонах
+ * @returns {string} - Название ноты, при необходимости с двойными знаками альтерации
+ */
+function spellInterval(root, degree, semitones) {
+  const spelling = splitNoteSpelling(root);
+  const letterIndex = (spelling.letterIndex + degree - 1) % 7;
+  const pitchClass = getNoteIndex(root) + semitones;
+  
+  // Альтерация приводится к диапазону -6..5 относительно натуральной ноты с этой буквой
+  const alteration = ((((pitchClass - LETTER_SEMITONES[letterIndex]) % 12) + 12 + 6) % 12) - 6;
+  
+  return formatNoteSpelling(letterIndex, alteration);
+}
+
+/**
+ * Разбирает обозначение тональности (например, "Eb", "F#m", "Am")
+ * @param {string} key - Тональность
+ * @returns {Object|null} - { tonic, minor } или null
+ */
+function parseKey(key) {
+  const match = typeof key === 'string' && key.trim().match(/^([A-G][#b♯♭]?)(m|min|-)?$/);
+  if (!match) return null;
+  return { tonic: normalizeNote(match[1]), minor: Boolean(match[2]) };
+}
+
+/**
+ * Записывает ноту по высоте с учетом тональности:
+ * ноты гаммы получают буквы гаммы, хроматические - знаки ключа (диезы или бемоли)
+ * @param {number} pitchClass - Индекс ноты в хроматической гамме
+ * @param {string|null} key - Тональность (например, "Eb" или "C#m"); без нее используется написание по умолчанию
+ * @returns {string} - Название ноты
+ */
+function spellNote(pitchClass, key = null) {
+  const normalizedIndex = ((pitchClass % 12) + 12) % 12;
+  const parsedKey = parseKey(key);
+  
+  if (!parsedKey) {
+    return DEFAULT_NOTE_SPELLINGS[normalizedIndex];
+  }
+  
+  const steps = parsedKey.minor ? MINOR_SCALE_STEPS : MAJOR_SCALE_STEPS;
+  for (let i = 0; i < steps.length; i++) {
+    const scaleNote = spellInterval(parsedKey.tonic, i + 1, steps[i]);
+    if (getNoteIndex(scaleNote) === normalizedIndex) {
+      return scaleNote;
+    }
+  }
+  
+  // Для минора знаки ключа определяются по параллельному мажору
+  const majorTonic = parsedKey.minor ? spellInterval(parsedKey.tonic, 3, 3) : parsedKey.tonic;
+  
+  if (FLAT_KEYS.includes(majorTonic)) {
+    return FLAT_NOTE_SPELLINGS[normalizedIndex];
+  }
+  if (SHARP_KEYS.includes(majorTonic)) {
+    return CHROMATIC_SCALE[normalizedIndex];
+  }
+  return DEFAULT_NOTE_SPELLINGS[normalizedIndex];
+}
+
 /**
  * Нормализует ввод аккорда
  * @param {string} chordName - Название аккорда
@@ -124,15 +438,16 @@ function normalizeChordInput(chordName) {
 }
 
 /**
- * Разделяет аккорд на основную ноту и тип аккорда
- * @param {string} chordName - Название аккорда
- * @returns {Object} - Объект с полями root и type
+ * Разделяет аккорд на основную ноту, тип аккорда и басовую ноту
+ * @param {string} chordName - Название аккорда (например, "D/F#")
+ * @returns {Object} - Объект с полями root, type и bass (null, если бас не указан)
  */
 function parseChordName(chordName) {
   const normalized = normalizeChordInput(chordName);
   
-  // Регулярное выражение для извлечения основной ноты и типа аккорда
-  const match = normalized.match(/^([A-G][#b]?)(.*)$/);
+  // Регулярное выражение для извлечения основной ноты, типа аккорда и баса после "/"
+  // Бас распознается только если после "/" стоит название ноты, поэтому "6/9" остается частью типа
+  const match = normalized.match(/^([A-G][#b♯♭]?)(.*?)(?:\/([A-G][#b♯♭]?))?$/);
   
   if (!match) {
     throw new Error(`Неверный формат аккорда: ${chordName}`);
@@ -140,37 +455,67 @@ function parseChordName(chordName) {
   
   const root = normalizeNote(match[1]);
   const type = match[2] || '';  // Пустая строка для неявного мажора
+  const bass = match[3] ? normalizeNote(match[3]) : null;
   
-  return { root, type };
+  if (bass !== null && getNoteIndex(bass) === -1) {
+    throw new Error(`Неизвестная басовая нота: ${match[3]}`);
+  }
+  
+  return { root, type, bass };
 }
 
 /**
  * Основная функция парсинга аккорда
+ * Возвращает массив нот аккорда; по аналогии с результатом String.prototype.match
+ * массив дополнительно содержит поля:
+ * - root, type, bass - тоника, тип и басовая нота слэш-аккорда (или null)
+ * - intervals, degrees - интервалы в полутонах и обозначения ступеней для каждой ноты
+ * - optional - ноты, которые можно опустить при игре на шести струнах (в порядке приоритета)
  * @param {string} chordName - Название аккорда
- * @returns {Array} - Массив нот аккорда
+ * @returns {Array} - Массив нот аккорда с дополнительными полями
  */
 function parseChord(chordName) {
   try {
-    const { root, type } = parseChordName(chordName);
-    
-    // Проверяем, поддерживается ли тип аккорда
-    if (!CHORD_INTERVALS.hasOwnProperty(type)) {
-      throw new Error(`Неподдерживаемый тип аккорда: ${type}`);
-    }
-    
-    const intervals = CHORD_INTERVALS[type];
+    const { root, type, bass } = parseChordName(chordName);
+    const formula = parseChordType(type);
     const rootIndex = getNoteIndex(root);
     
     if (rootIndex === -1) {
       throw new Error(`Неизвестная нота: ${root}`);
     }
     
-    // Вычисляем ноты аккорда на основе интервалов
-    const notes = intervals.map(interval => {
-      const noteIndex = rootIndex + interval;
-      return getNoteByIndex(noteIndex);
+    const notes = [];
+    const intervals = [];
+    const degrees = [];
+    const optional = [];
+    
+    // Вычисляем ноты аккорда на основе интервалов с написанием от тоники
+    // (одинаковые ноты в разных октавах не дублируем)
+    const pitchClasses = [];
+    formula.tones.forEach(tone => {
+      const note = spellInterval(root, tone.degree, tone.semitones);
+      const pitchClass = getNoteIndex(note);
+      if (pitchClasses.includes(pitchClass)) return;
+      
+      pitchClasses.push(pitchClass);
+      notes.push(note);
+      intervals.push(tone.semitones);
+      degrees.push(tone.label);
+    });
+    
+    formula.optional.forEach(label => {
+      const index = degrees.indexOf(label);
+      if (index !== -1) optional.push(notes[index]);
     });
     
+    // Басовая нота не добавляется в ноты аккорда, а возвращается отдельным полем
+    notes.root = root;
+    notes.type = type;
+    notes.bass = bass;
+    notes.intervals = intervals;
+    notes.degrees = degrees;
+    notes.optional = optional;
+    
     return notes;
   } catch (error) {
     console.error(`Ошибка при парсинге аккорда ${chordName}:`, error.message);
@@ -178,6 +523,154 @@ function parseChord(chordName) {
   }
 }
 
+/**
+ * Возвращает формулы аккордов для обратного определения (вычисляются один раз)
+ * @returns {Array} - Массив { type, pitchClasses: [{semitones, label}], optionalLabels, order }
+ */
+function getIdentifyFormulas() {
+  if (!identifyFormulasCache) {
+    identifyFormulasCache = IDENTIFY_CHORD_TYPES.map((type, order) => {
+      const formula = parseChordType(type);
+      const pitchClasses = [];
+      
+      formula.tones.forEach(tone => {
+        const semitones = tone.semitones % 12;
+        if (!pitchClasses.some(pc => pc.semitones === semitones)) {
+          pitchClasses.push({ semitones, label: tone.label });
+        }
+      });
+      
+      return { type, pitchClasses, optionalLabels: formula.optional, order };
+    });
+  }
+  
+  return identifyFormulasCache;
+}
+
+/**
+ * Определяет название аккорда по набору нот (обратная задача к parseChord)
+ * Перебирает все возможные тоники и типы аккордов, учитывая обращения
+ * и бестониковые (rootless) трактовки
+ * @param {Array} notes - Ноты (без октав, порядок не важен, например ["E", "G", "C"])
+ * @param {string|null} bassNote - Самая низкая звучащая нота (для обращений и слэш-аккордов)
+ * @param {Object} options - Опции поиска
+ * @returns {Array} - Кандидаты, отсортированные по убыванию оценки:
+ *   { name, root, type, bass, score, degrees, missing, inversion, rootless }
+ */
+function identifyChord(notes, bassNote = null, options = {}) {
+  const {
+    maxResults = 10,        // Максимальное количество кандидатов
+    allowRootless = true,   // Рассматривать трактовки без тоники
+    key = null              // Тональность для написания тоники (например, "Eb")
+  } = options;
+  
+  // Басовая нота тоже звучит, даже если ее не передали в наборе нот
+  const allNotes = bassNote ? [...notes, bassNote] : notes;
+  const pitchClasses = [...new Set(allNotes.map(note => getNoteIndex(note)))];
+  
+  if (pitchClasses.includes(-1)) {
+    throw new Error(`Неизвестная нота в наборе: ${notes.join(', ')}`);
+  }
+  
+  if (pitchClasses.length === 0) {
+    return [];
+  }
+  
+  const bassIndex = bassNote ? getNoteIndex(bassNote) : -1;
+  const firstIndex = getNoteIndex(allNotes[0]);
+  const candidates = [];
+  
+  // Звучащая нота пишется так же, как во входном наборе (Cb, а не B), а с заданной тональностью - по ней
+  const spellSoundingNote = index => {
+    const inputNote = key ? null : allNotes.find(note => getNoteIndex(note) === index);
+    if (!inputNote) {
+      return spellNote(index, key);
+    }
+    const spelling = splitNoteSpelling(inputNote);
+    return formatNoteSpelling(spelling.letterIndex, spelling.alteration);
+  };
+  
+  for (let rootIndex = 0; rootIndex < 12; rootIndex++) {
+    const hasRoot = pitchClasses.includes(rootIndex);
+    
+    if (!hasRoot && (!allowRootless || pitchClasses.length < 3)) {
+      continue;
+    }
+    
+    getIdentifyFormulas().forEach(formula => {
+      const intervals = pitchClasses.map(pc => (pc - rootIndex + 12) % 12);
+      
+      // Все звучащие ноты должны входить в аккорд
+      const labels = intervals.map(interval => {
+        const tone = formula.pitchClasses.find(pc => pc.semitones === interval);
+        return tone ? tone.label : null;
+      });
+      if (labels.includes(null)) return;
+      
+      // Отсутствующие ноты допустимы, только если их можно опустить (или это тоника/квинта)
+      const missingTones = formula.pitchClasses.filter(pc => !intervals.includes(pc.semitones));
+      const missingRequired = missingTones.filter(pc =>
+        pc.label !== '1' && pc.label !== '5' && !formula.optionalLabels.includes(pc.label)
+      );
+      if (missingRequired.length > 0) return;
+      
+      // Бестониковая трактовка имеет смысл только для аккордов от четырех звуков
+      if (!hasRoot && formula.pitchClasses.length < 4) return;
+      
+      // Квинтаккорд без квинты - это просто одна нота
+      if (formula.type === '5' && missingTones.length > 0) return;
+      
+      let score = 100;
+      score -= missingTones.length * 8;
+      score -= formula.order * 0.5;
+      if (!hasRoot) score -= 25;
+      
+      // Без баса равные трактовки (Bm7b5 и Dm6, Csus2 и Gsus4) различает первая нота набора
+      if (!bassNote && rootIndex === firstIndex) score += 2;
+      
+      // Тоника записывается как во входном наборе (или по тональности), остальные ноты - от тоники
+      const root = hasRoot ? spellSoundingNote(rootIndex) : spellNote(rootIndex, key);
+      const spellTone = pc => spellInterval(root, parseInt(pc.label.replace(/[#b]/g, '')), pc.semitones);
+      let bass = null;
+      let inversion = 0;
+      
+      if (bassIndex !== -1 && bassIndex !== rootIndex) {
+        const bassLabel = labels[intervals.indexOf((bassIndex - rootIndex + 12) % 12)];
+        const bassTone = formula.pitchClasses.find(pc => pc.label === bassLabel);
+        bass = bassTone ? spellTone(bassTone) : spellSoundingNote(bassIndex);
+        inversion = bassLabel && INVERSION_BY_DEGREE[bassLabel] !== undefined ? INVERSION_BY_DEGREE[bassLabel] : null;
+        
+        // Обращение (бас из аккорда) предпочтительнее слэш-аккорда с чужим басом
+        score -= inversion === null ? 20 : 5 + inversion * 2;
+      }
+      
+      candidates.push({
+        name: `${root}${formula.type}${bass ? `/${bass}` : ''}`,
+        root,
+        type: formula.type,
+        bass,
+        score,
+        degrees: labels,
+        missing: missingTones.map(spellTone),
+        inversion,
+        rootless: !hasRoot
+      });
+    });
+  }
+  
+  // Оставляем лучшую трактовку для каждого названия и сортируем по оценке
+  const bestByName = {};
+  candidates.forEach(candidate => {
+    if (!bestByName[candidate.name] || bestByName[candidate.name].score < candidate.score) {
+      bestByName[candidate.name] = candidate;
+    }
+  });
+  
+  return Object.values(bestByName)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxResults);
+}
+
 /**
  * Проверяет, является ли аккорд поддерживаемым типом
  * @param {string} chordName - Название аккорда
@@ -186,36 +679,163 @@ function parseChord(chordName) {
 function isSupportedChord(chordName) {
   try {
     const { type } = parseChordName(chordName);
-    return CHORD_INTERVALS.hasOwnProperty(type);
+    parseChordType(type);
+    return true;
   } catch (error) {
     return false;
   }
 }
 
 /**
- * Возвращает список поддерживаемых типов аккордов
+ * Возвращает список примеров поддерживаемых типов аккордов
  * @returns {Array} - Массив поддерживаемых типов
  */
 function getSupportedChordTypes() {
-  return Object.keys(CHORD_INTERVALS);
+  return [...SUPPORTED_CHORD_TYPES];
+}
+
+/**
+ * Транспонирует тональность
+ * @param {string} key - Тональность (например, "Eb" или "F#m")
+ * @param {number} semitones - Сдвиг в полутонах (может быть отрицательным)
+ * @returns {string} - Новая тональность (например, "F" или "G#m")
+ */
+function transposeKey(key, semitones) {
+  const parsedKey = parseKey(key);
+  if (!parsedKey) {
+    throw new Error(`Неверная тональность: ${key}`);
+  }
+  
+  const pitchClass = (((getNoteIndex(parsedKey.tonic) + semitones) % 12) + 12) % 12;
+  return parsedKey.minor ? `${MINOR_KEY_TONICS[pitchClass]}m` : MAJOR_KEY_TONICS[pitchClass];
+}
+
+/**
+ * Вычисляет сдвиг между тональностями (кратчайший, от -5 до +6 полутонов)
+ * Мажор и минор сравниваются через параллельную тональность: из C в Em - как из G в Em, то есть +7 (-5)
+ * @param {string} fromKey - Исходная тональность
+ * @param {string} toKey - Целевая тональность
+ * @returns {number} - Сдвиг в полутонах
+ */
+function getTranspositionInterval(fromKey, toKey) {
+  const from = parseKey(fromKey);
+  const to = parseKey(toKey);
+  if (!from || !to) {
+    throw new Error(`Неверная тональность: ${!from ? fromKey : toKey}`);
+  }
+  
+  // Минор приводим к параллельному мажору (тоника на малую терцию выше)
+  const majorTonicIndex = key => getNoteIndex(key.tonic) + (key.minor ? 3 : 0);
+  const interval = (((majorTonicIndex(to) - majorTonicIndex(from)) % 12) + 12) % 12;
+  
+  return interval > 6 ? interval - 12 : interval;
+}
+
+/**
+ * Транспонирует аккорд, записывая тонику по знакам тональности
+ * Бас из нот аккорда записывается той же ступенью от новой тоники (D/F# -> E/G#, а не E/Ab),
+ * бас не из нот аккорда - по знакам тональности
+ * @param {string} chordName - Название аккорда (например, "F#m7/C#")
+ * @param {number} semitones - Сдвиг в полутонах
+ * @param {string|null} key - Тональность, в которой записывается результат (null - написание по умолчанию)
+ * @returns {string} - Транспонированный аккорд (например, "Abm7/Eb" для key = "Gb")
+ */
+function transposeChord(chordName, semitones, key = null) {
+  const { root, type, bass } = parseChordName(chordName);
+  const transposedRoot = spellNote(getNoteIndex(root) + semitones, key);
+  
+  if (bass === null) {
+    return `${transposedRoot}${type}`;
+  }
+  
+  const bassInterval = (((getNoteIndex(bass) - getNoteIndex(root)) % 12) + 12) % 12;
+  const bassTone = parseChordType(type).tones.find(tone => tone.semitones % 12 === bassInterval);
+  const transposedBass = bassTone
+    ? spellInterval(transposedRoot, bassTone.degree, bassTone.semitones)
+    : spellNote(getNoteIndex(bass) + semitones, key);
+  
+  return `${transposedRoot}${type}/${transposedBass}`;
+}
+
+/**
+ * Определяет тональность последовательности аккордов
+ * Тональность оценивается по доле нот аккордов, входящих в ее гамму, с бонусом,
+ * если первый или последний аккорд - тоническое трезвучие этой тональности
+ * @param {Array} chordNames - Названия аккордов
+ * @returns {string} - Тональность (например, "G" или "Em")
+ */
+function detectKey(chordNames) {
+  const chords = chordNames.map(chordName => parseChord(chordName));
+  if (chords.length === 0) {
+    throw new Error('Нет аккордов для определения тональности');
+  }
+  
+  let bestKey = null;
+  let bestScore = -Infinity;
+  
+  [false, true].forEach(minor => {
+    for (let tonicIndex = 0; tonicIndex < 12; tonicIndex++) {
+      const steps = minor ? MINOR_SCALE_STEPS : MAJOR_SCALE_STEPS;
+      const scale = steps.map(step => (tonicIndex + step) % 12);
+      
+      let score = 0;
+      chords.forEach(chord => {
+        const inScale = chord.filter(note => scale.includes(getNoteIndex(note))).length;
+        score += inScale / chord.length;
+      });
+      
+      // Тоническое трезвучие: тоника совпадает и терция нужного наклонения
+      const isTonicChord = chord => getNoteIndex(chord.root) === tonicIndex &&
+        chord.intervals.includes(minor ? 3 : 4);
+      if (isTonicChord(chords[0])) score += 0.5;
+      if (isTonicChord(chords[chords.length - 1])) score += 0.5;
+      
+      if (score > bestScore) {
+        bestScore = score;
+        bestKey = minor ? `${MINOR_KEY_TONICS[tonicIndex]}m` : MAJOR_KEY_TONICS[tonicIndex];
+      }
+    }
+  });
+  
+  return bestKey;
 }
 
 // Экспортируем функции для использования в других модулях
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     parseChord,
+    parseChordName,
+    parseChordType,
+    identifyChord,
     isSupportedChord,
     getSupportedChordTypes,
     normalizeNote,
-    normalizeChordInput
+    normalizeChordInput,
+    getNoteIndex,
+    spellNote,
+    spellInterval,
+    transposeKey,
+    transposeChord,
+    getTranspositionInterval,
+    detectKey
   };
 } else {
   // Для использования в браузере
   window.ChordParser = {
     parseChord,
+    parseChordName,
+    parseChordType,
+    identifyChord,
     isSupportedChord,
     getSupportedChordTypes,
     normalizeNote,
-    normalizeChordInput
+    normalizeChordInput,
+    getNoteIndex,
+    spellNote,
+    spellInterval,
+    transposeKey,
+    transposeChord,
+    getTranspositionInterval,
+    detectKey
   };
 }
\ No newline at end of file
@@ -0,0 +1,285 @@
+/**
+ * Модуль для импорта и экспорта песен в формате ChordPro
+ * - Аккорды записываются в строке текста в квадратных скобках: "[Am]Текст [F]песни"
+ * - Директивы в фигурных скобках: метаданные {title: ...}, {key: ...}, {capo: ...},
+ *   секции {start_of_chorus} ... {end_of_chorus}, комментарии {comment: ...}
+ * - Строки, начинающиеся с "#", - служебные комментарии файла
+ */
+
+// Краткие формы директив ChordPro
+const CHORDPRO_DIRECTIVE_ALIASES = {
+  t: 'title',
+  st: 'subtitle',
+  c: 'comment',
+  ci: 'comment_italic',
+  cb: 'comment_box',
+  soc: 'start_of_chorus',
+  eoc: 'end_of_chorus',
+  sov: 'start_of_verse',
+  eov: 'end_of_verse',
+  sob: 'start_of_bridge',
+  eob: 'end_of_bridge',
+  sot: 'start_of_tab',
+  eot: 'end_of_tab'
+};
+
+// Директивы метаданных в порядке записи при экспорте
+const CHORDPRO_METADATA_DIRECTIVES = ['title', 'subtitle', 'artist', 'composer', 'album', 'year', 'key', 'capo', 'tempo', 'time'];
+
+// Директивы-комментарии, которые показываются в тексте песни
+const CHORDPRO_COMMENT_DIRECTIVES = ['comment', 'comment_italic', 'comment_box'];
+
+// Типы секций и их названия по умолчанию
+const CHORDPRO_SECTION_NAMES = {
+  verse: 'Куплет',
+  chorus: 'Припев',
+  bridge: 'Бридж',
+  tab: 'Табулатура'
+};
+
+/**
+ * Разбирает строку текста с аккордами в квадратных скобках
+ * @param {string} line - Строка (например, "[Am]Текст [F]песни")
+ * @returns {Array} - Фрагменты {chord, lyrics}; у первого фрагмента chord может быть null
+ */
+function parseChordProLine(line) {
+  const segments = [];
+  const chordPattern = /\[([^\]]*)\]/g;
+  let lastIndex = 0;
+  let currentChord = null;
+  let match;
+  
+  while ((match = chordPattern.exec(line)) !== null) {
+    const lyrics = line.slice(lastIndex, match.index);
+    if (currentChord !== null || lyrics) {
+      segments.push({ chord: currentChord, lyrics: lyrics });
+    }
+    currentChord = match[1].trim();
+    lastIndex = chordPattern.lastIndex;
+  }
+  
+  const lyrics = line.slice(lastIndex);
+  if (currentChord !== null || lyrics || segments.length === 0) {
+    segments.push({ chord: currentChord, lyrics: lyrics });
+  }
+  
+  return segments;
+}
+
+/**
+ * Разбирает директиву "{name: value}"
+ * @param {string} line - Строка с директивой
+ * @returns {Object|null} - {name, value} (имя в полной форме) или null, если это не директива
+ */
+function parseChordProDirective(line) {
+  const match = line.trim().match(/^\{\s*([\w-]+)\s*(?::\s*(.*?))?\s*\}$/);
+  if (!match) return null;
+  
+  const name = match[1].toLowerCase();
+  return {
+    name: CHORDPRO_DIRECTIVE_ALIASES[name] || name,
+    value: match[2] !== undefined ? match[2] : ''
+  };
+}
+
+/**
+ * Разбирает песню в формате ChordPro
+ * Каждый аккорд проверяется через ChordParser.parseChord; ошибки собираются, а не прерывают разбор
+ * @param {string} text - Текст песни
+ * @returns {Object} - Песня {metadata, sections, chords, errors}:
+ *                     sections - [{type, label, lines}], строки - {type: 'lyrics', segments} | {type: 'comment', text}
+ *                     | {type: 'tab', text} | {type: 'chorusRepeat', label} | {type: 'directive', name, value} | {type: 'empty'},
+ *                     chords - уникальные корректные аккорды, errors - [{line, chord, message}]
+ */
+function parseChordPro(text) {
+  const song = {
+    metadata: {},
+    sections: [],
+    chords: [],
+    errors: []
+  };
+  
+  // Строки вне явных секций попадают в безымянную секцию
+  let section = null;
+  const openSection = (type, label) => {
+    section = { type: type, label: label, lines: [] };
+    song.sections.push(section);
+  };
+  const addLine = line => {
+    if (!section || (section.type !== 'none' && section.closed)) {
+      openSection('none', '');
+    }
+    section.lines.push(line);
+  };
+  
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.replace(/\s+$/, '');
+    
+    if (line.startsWith('#')) return;
+    
+    // Внутри табулатуры строки сохраняются как есть
+    if (section && section.type === 'tab' && !section.closed) {
+      const directive = parseChordProDirective(line);
+      if (directive && directive.name === 'end_of_tab') {
+        section.closed = true;
+      } else {
+        section.lines.push({ type: 'tab', text: rawLine });
+      }
+      return;
+    }
+    
+    const directive = parseChordProDirective(line);
+    if (directive) {
+      const sectionMatch = directive.name.match(/^(start|end)_of_(\w+)$/);
+      
+      if (CHORDPRO_METADATA_DIRECTIVES.includes(directive.name)) {
+        song.metadata[directive.name] = directive.value;
+      } else if (CHORDPRO_COMMENT_DIRECTIVES.includes(directive.name)) {
+        addLine({ type: 'comment', text: directive.value, name: directive.name });
+      } else if (directive.name === 'chorus') {
+        addLine({ type: 'chorusRepeat', label: directive.value });
+      } else if (sectionMatch && sectionMatch[1] === 'start') {
+        openSection(sectionMatch[2], directive.value || CHORDPRO_SECTION_NAMES[sectionMatch[2]] || sectionMatch[2]);
+      } else if (sectionMatch && sectionMatch[1] === 'end') {
+        if (section) section.closed = true;
+      } else {
+        // Неизвестная директива сохраняется, чтобы вернуть ее при экспорте
+        addLine({ type: 'directive', name: directive.name, value: directive.value });
+      }
+      return;
+    }
+    
+    if (!line.trim()) {
+      addLine({ type: 'empty' });
+      return;
+    }
+    
+    const segments = parseChordProLine(line);
+    segments.forEach(segment => {
+      if (segment.chord === null) return;
+      
+      try {
+        window.ChordParser.parseChord(segment.chord);
+        segment.valid = true;
+        if (!song.chords.includes(segment.chord)) {
+          song.chords.push(segment.chord);
+        }
+      } catch (error) {
+        segment.valid = false;
+        segment.error = error.message;
+        song.errors.push({ line: lineNumber, chord: segment.chord, message: error.message });
+      }
+    });
+    
+    addLine({ type: 'lyrics', segments: segments });
+  });
+  
+  // Пустые строки по краям секций не несут смысла: при экспорте секции разделяются пустой строкой
+  song.sections.forEach(item => {
+    delete item.closed;
+    while (item.lines.length > 0 && item.lines[0].type === 'empty') item.lines.shift();
+    while (item.lines.length > 0 && item.lines[item.lines.length - 1].type === 'empty') item.lines.pop();
+  });
+  song.sections = song.sections.filter(item => item.type !== 'none' || item.lines.length > 0);
+  
+  return song;
+}
+
+/**
+ * Записывает песню обратно в формат ChordPro
+ * @param {Object} song - Песня из parseChordPro (возможно, измененная)
+ * @returns {string} - Текст в формате ChordPro
+ */
+function formatChordPro(song) {
+  const lines = [];
+  
+  CHORDPRO_METADATA_DIRECTIVES.forEach(name => {
+    const value = song.metadata[name];
+    if (value !== undefined && value !== null && value !== '') {
+      lines.push(`{${name}: ${value}}`);
+    }
+  });
+  
+  song.sections.forEach(section => {
+    if (lines.length > 0 && lines[lines.length - 1] !== '') {
+      lines.push('');
+    }
+    
+    if (section.type !== 'none') {
+      const defaultLabel = CHORDPRO_SECTION_NAMES[section.type] || section.type;
+      lines.push(section.label && section.label !== defaultLabel
+        ? `{start_of_${section.type}: ${section.label}}`
+        : `{start_of_${section.type}}`);
+    }
+    
+    section.lines.forEach(line => {
+      if (line.type === 'lyrics') {
+        lines.push(line.segments.map(segment =>
+          (segment.chord !== null ? `[${segment.chord}]` : '') + segment.lyrics).join(''));
+      } else if (line.type === 'comment') {
+        lines.push(`{${line.name || 'comment'}: ${line.text}}`);
+      } else if (line.type === 'chorusRepeat') {
+        lines.push(line.label ? `{chorus: ${line.label}}` : '{chorus}');
+      } else if (line.type === 'directive') {
+        lines.push(line.value ? `{${line.name}: ${line.value}}` : `{${line.name}}`);
+      } else if (line.type === 'tab') {
+        lines.push(line.text);
+      } else {
+        lines.push('');
+      }
+    });
+    
+    if (section.type !== 'none') {
+      lines.push(`{end_of_${section.type}}`);
+    }
+  });
+  
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n') + '\n';
+}
+
+/**
+ * Транспонирует все аккорды песни; тональность в метаданных сдвигается вместе с ними
+ * @param {Object} song - Песня из parseChordPro
+ * @param {number} semitones - Сдвиг в полутонах
+ * @returns {Object} - Новая песня
+ */
+function transposeChordPro(song, semitones) {
+  const ChordParser = window.ChordParser;
+  const fromKey = song.metadata.key || (song.chords.length > 0 ? ChordParser.detectKey(song.chords) : null);
+  const toKey = fromKey ? ChordParser.transposeKey(fromKey, semitones) : null;
+  const transpose = chord => ChordParser.transposeChord(chord, semitones, toKey);
+  
+  return {
+    ...song,
+    metadata: song.metadata.key ? { ...song.metadata, key: toKey } : { ...song.metadata },
+    sections: song.sections.map(section => ({
+      ...section,
+      lines: section.lines.map(line => line.type !== 'lyrics' ? line : {
+        ...line,
+        segments: line.segments.map(segment => segment.chord === null || !segment.valid
+          ? segment
+          : { ...segment, chord: transpose(segment.chord) })
+      })
+    })),
+    chords: song.chords.map(transpose)
+  };
+}
+
+// Экспортируем функции для использования в других модулях
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseChordPro,
+    parseChordProLine,
+    formatChordPro,
+    transposeChordPro
+  };
+} else {
+  // Для использования в браузере
+  window.ChordPro = {
+    parseChordPro,
+    parseChordProLine,
+    formatChordPro,
+    transposeChordPro
+  };
+}
@@ -0,0 +1,231 @@
+/**
+ * Модуль импорта песен из простого текста, где аккорды записаны строкой над текстом
+ * (формат Ultimate Guitar и большинства сайтов с подборами):
+ *
+ *   [Verse 1]
+ *   Am        F
+ *   Текст песни
+ *
+ * - Строка считается аккордовой, если все ее слова - аккорды (ChordParser.isSupportedChord)
+ *   или разметка: черты тактов, продления и пометки повторов ("x2", "(x2)", "2x")
+ * - Аккорды привязываются к тексту строки ниже по колонкам
+ * - Метки частей "[Intro]", "[Chorus]" открывают секции; метка без содержимого - повтор припева
+ * Результат - текст ChordPro и та же модель песни, что дает ChordPro.parseChordPro
+ */
+
+// Пометка повтора: "x2", "х2", "×2", "2x", "(x2)"
+const SHEET_REPEAT_PATTERN = /^\(?\s*(?:[xх×]\s*(\d+)|(\d+)\s*[xх×])\s*\)?$/i;
+
+// Слова аккордовой строки, которые не являются аккордами и пропускаются
+const SHEET_CHORD_LINE_MARKS = ['|', '||', '/', '-', '%'];
+
+// Метка части: "[Chorus]", "[Verse 2] x2"
+const SHEET_SECTION_PATTERN = /^\[([^\]]+)\]\s*(.*)$/;
+
+// Тип секции ChordPro по названию метки
+const SHEET_SECTION_TYPES = [
+  { type: 'chorus', pattern: /^(chorus|refrain|припев)/i },
+  { type: 'bridge', pattern: /^(bridge|бридж)/i },
+  { type: 'tab', pattern: /^(tab|таб)/i }
+];
+
+// Метаданные в шапке: "Capo: 2", "Capo 3rd fret", "Key: Am", "Тональность: Am"
+const SHEET_METADATA_PATTERNS = [
+  { name: 'capo', pattern: /^(?:capo|каподастр)\s*:?\s*(?:on\s+)?(\d+)/i },
+  { name: 'key', pattern: /^(?:key|тональность)\s*:\s*(\S+)\s*$/i }
+];
+
+/**
+ * Возвращает число повторов, если слово - пометка повтора
+ * @param {string} token - Слово строки
+ * @returns {number|null} - Число повторов или null
+ */
+function parseRepeatMark(token) {
+  const match = token.match(SHEET_REPEAT_PATTERN);
+  return match ? parseInt(match[1] || match[2]) : null;
+}
+
+/**
+ * Разбирает аккордовую строку
+ * @param {string} line - Строка
+ * @returns {Object|null} - {chords: [{chord, column}], repeat} или null, если строка не аккордовая
+ */
+function parseChordLine(line) {
+  const chords = [];
+  let repeat = null;
+  const tokenPattern = /\S+/g;
+  let match;
+  
+  while ((match = tokenPattern.exec(line)) !== null) {
+    const token = match[0];
+    
+    if (SHEET_CHORD_LINE_MARKS.includes(token)) continue;
+    
+    const repeatCount = parseRepeatMark(token);
+    if (repeatCount !== null) {
+      repeat = repeatCount;
+      continue;
+    }
+    
+    if (!window.ChordParser.isSupportedChord(token)) {
+      return null;
+    }
+    chords.push({ chord: token, column: match.index });
+  }
+  
+  return chords.length > 0 ? { chords: chords, repeat: repeat } : null;
+}
+
+/**
+ * Расставляет аккорды в строку текста по колонкам
+ * Если текст короче, чем позиция аккорда, строка дополняется пробелами
+ * @param {Array} chords - Аккорды {chord, column}
+ * @param {string} lyrics - Строка текста (пустая - проигрыш без слов)
+ * @returns {string} - Строка ChordPro (например, "[Am]Текст [F]песни")
+ */
+function mergeChordsWithLyrics(chords, lyrics) {
+  const lastColumn = chords[chords.length - 1].column;
+  let line = escapeSheetLyrics(lyrics).padEnd(lastColumn);
+  
+  // Вставляем с конца, чтобы не сдвигать колонки еще не вставленных аккордов
+  for (let i = chords.length - 1; i >= 0; i--) {
+    const { chord, column } = chords[i];
+    line = `${line.slice(0, column)}[${chord}]${line.slice(column)}`;
+  }
+  
+  // "#" в начале строки ChordPro считает комментарием файла
+  return line.replace(/\s+$/, '').replace(/^#/, ' #');
+}
+
+/**
+ * Заменяет в тексте скобки, которые ChordPro принял бы за аккорды или директивы
+ * Длина строки не меняется, чтобы колонки аккордов остались на месте
+ */
+function escapeSheetLyrics(line) {
+  return line.replace(/\[/g, '(').replace(/\]/g, ')').replace(/\{/g, '(').replace(/\}/g, ')');
+}
+
+/**
+ * Определяет тип секции ChordPro по названию метки
+ */
+function getSheetSectionType(label) {
+  const sectionType = SHEET_SECTION_TYPES.find(item => item.pattern.test(label.trim()));
+  return sectionType ? sectionType.type : 'verse';
+}
+
+/**
+ * Преобразует текст с аккордами над строками в формат ChordPro
+ * @param {string} text - Текст песни
+ * @param {Object} metadata - Метаданные, которые нужно добавить (например, {title})
+ * @returns {string} - Текст ChordPro
+ */
+function convertChordSheetToChordPro(text, metadata = {}) {
+  const sourceLines = text.replace(/\t/g, '    ').split(/\r?\n/).map(line => line.replace(/\s+$/, ''));
+  const songMetadata = { ...metadata };
+  const body = [];
+  let section = null;
+  // Метаданные читаются только из шапки - до первой метки части или строки аккордов
+  let inHeader = true;
+  
+  const closeSection = () => {
+    if (!section) return;
+    
+    if (section.lines.every(line => !line.trim())) {
+      // Метка без содержимого: для припева - повтор, для остальных частей - комментарий
+      body.push(section.type === 'chorus' ? `{chorus: ${section.label}}` : `{comment: ${section.label}}`);
+    } else {
+      while (!section.lines[section.lines.length - 1].trim()) section.lines.pop();
+      body.push(`{start_of_${section.type}: ${section.label}}`, ...section.lines, `{end_of_${section.type}}`);
+    }
+    body.push('');
+    section = null;
+  };
+  const output = line => (section ? section.lines : body).push(line);
+  
+  for (let i = 0; i < sourceLines.length; i++) {
+    const line = sourceLines[i];
+    const trimmed = line.trim();
+    
+    const sectionMatch = trimmed.match(SHEET_SECTION_PATTERN);
+    if (sectionMatch && !window.ChordParser.isSupportedChord(sectionMatch[1])) {
+      closeSection();
+      inHeader = false;
+      const repeat = parseRepeatMark(sectionMatch[2].trim());
+      const label = sectionMatch[1].trim() + (repeat !== null ? ` x${repeat}` : '');
+      section = { type: getSheetSectionType(sectionMatch[1]), label: label, lines: [] };
+      continue;
+    }
+    
+    const metadataItem = inHeader ? SHEET_METADATA_PATTERNS.find(item => item.pattern.test(trimmed)) : null;
+    if (metadataItem) {
+      songMetadata[metadataItem.name] = trimmed.match(metadataItem.pattern)[1];
+      continue;
+    }
+    
+    const chordLine = parseChordLine(line);
+    if (!chordLine) {
+      output(escapeSheetLyrics(line).replace(/^#/, ' #'));
+      continue;
+    }
+    
+    inHeader = false;
+    
+    // Аккорды привязываются к следующей строке, если это строка текста
+    const nextLine = i + 1 < sourceLines.length ? sourceLines[i + 1] : '';
+    const hasLyrics = nextLine.trim() !== '' &&
+      !SHEET_SECTION_PATTERN.test(nextLine.trim()) &&
+      !parseChordLine(nextLine);
+    if (hasLyrics) i++;
+    
+    output(mergeChordsWithLyrics(chordLine.chords, hasLyrics ? nextLine : ''));
+    if (chordLine.repeat !== null) {
+      output(`{comment: x${chordLine.repeat}}`);
+    }
+  }
+  closeSection();
+  
+  const header = Object.keys(songMetadata)
+    .filter(name => songMetadata[name])
+    .map(name => `{${name}: ${songMetadata[name]}}`);
+  
+  return [...header, '', ...body].join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+/**
+ * Импортирует песню из текста с аккордами над строками
+ * @param {string} text - Текст песни
+ * @param {Object} metadata - Метаданные, которые нужно добавить (например, {title})
+ * @returns {Object} - Песня в модели ChordPro.parseChordPro
+ */
+function parseChordSheet(text, metadata = {}) {
+  return window.ChordPro.parseChordPro(convertChordSheetToChordPro(text, metadata));
+}
+
+/**
+ * Проверяет, похож ли текст на аккорды над строками (а не на ChordPro)
+ * @param {string} text - Текст песни
+ * @returns {boolean} - true, если в тексте нет директив ChordPro и есть аккордовые строки
+ */
+function isChordSheet(text) {
+  const lines = text.split(/\r?\n/);
+  const hasDirectives = lines.some(line => /^\s*\{.*\}\s*$/.test(line));
+  return !hasDirectives && lines.some(line => parseChordLine(line) !== null);
+}
+
+// Экспортируем функции для использования в других модулях
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseChordLine,
+    convertChordSheetToChordPro,
+    parseChordSheet,
+    isChordSheet
+  };
+} else {
+  // Для использования в браузере
+  window.ChordSheet = {
+    parseChordLine,
+    convertChordSheetToChordPro,
+    parseChordSheet,
+    isChordSheet
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * Модуль рисунков перебора (фингерпикинга)
+ * Рисунок задается через роли струн, а не номера, поэтому подходит к любой аппликатуре:
+ * - "B" - бас (нижняя звучащая струна), "B2" - переменный бас (струна выше баса)
+ * - "3", "2", "1" - три верхние звучащие струны (обычно 3-я, 2-я и 1-я)
+ * - Пальцы p-i-m-a можно писать вместо ролей: p = B, i = 3, m = 2, a = 1
+ * Шаги разделяются пробелами, одновременные струны объединяются "+": "B+1 3 B2 2";
+ * "-" - пауза, струны продолжают звучать
+ */
+
+// Громкость щипка (0.0 - 1.0): бас играется большим пальцем чуть сильнее
+const PLUCK_VELOCITIES = {
+  bass: 0.85,
+  treble: 0.7
+};
+
+// Роли струн и пальцы правой руки, которыми их можно обозначать
+const PICKING_ROLES = ['B', 'B2', '3', '2', '1'];
+const PICKING_FINGER_ALIASES = { p: 'B', i: '3', m: '2', a: '1' };
+
+// Готовые рисунки перебора: stepsPerBeat - количество шагов сетки на долю
+const PICKING_PATTERNS = [
+  { key: 'travis', name: 'Трэвис (переменный бас)', pattern: 'B+1 2 B2 3 B 2 B2 1', stepsPerBeat: 2 },
+  { key: 'pima', name: 'p-i-m-a', pattern: 'p i m a p i m a', stepsPerBeat: 2 },
+  { key: 'pimami', name: 'p-i-m-a-m-i', pattern: 'p i m a m i', stepsPerBeat: 2 },
+  { key: 'alternating-bass', name: 'Переменный бас с аккордом', pattern: 'B 3+2+1 B2 3+2+1', stepsPerBeat: 1 },
+  { key: 'classical-triplets', name: 'Классическое арпеджио (триоли)', pattern: 'B 3 2 1 2 3', stepsPerBeat: 3 },
+  { key: 'forward-roll', name: 'Прямой ролл', pattern: 'B 3 1 B 3 1 B 3', stepsPerBeat: 2 }
+];
+
+/**
+ * Разбирает рисунок перебора
+ * @param {string} pattern - Рисунок (например, "B+1 2 B2 3" или "p i m a")
+ * @returns {Array} - Шаги: массивы ролей (пустой массив - пауза)
+ */
+function parsePickingPattern(pattern) {
+  const tokens = String(pattern).trim().split(/[\s|]+/).filter(token => token);
+  
+  const steps = tokens.map((token, index) => {
+    if (token === '-' || token === '.') {
+      return [];
+    }
+    
+    const roles = token.split('+').map(part => {
+      const role = PICKING_FINGER_ALIASES[part] || part.toUpperCase();
+      if (!PICKING_ROLES.includes(role)) {
+        throw new Error(`Неизвестная струна "${part}" в рисунке перебора (шаг ${index + 1})`);
+      }
+      return role;
+    });
+    
+    return roles.filter((role, roleIndex) => roles.indexOf(role) === roleIndex);
+  });
+  
+  if (!steps.some(step => step.length > 0)) {
+    throw new Error('Рисунок перебора не содержит ни одной струны');
+  }
+  
+  return steps;
+}
+
+/**
+ * Записывает шаги рисунка обратно в строку
+ * @param {Array} steps - Шаги из parsePickingPattern
+ * @returns {string} - Рисунок перебора (например, "B+1 2 B2 3")
+ */
+function formatPickingPattern(steps) {
+  return steps.map(step => step.length > 0 ? step.join('+') : '-').join(' ');
+}
+
+/**
+ * Сопоставляет роли струнам аппликатуры
+ * Верхние роли берутся с верхних звучащих струн, бас - с нижней;
+ * переменный бас - через струну от баса, если она ниже роли "3", иначе соседняя (или сам бас)
+ * @param {Array} fingering - Аппликатура (массив объектов {string, fret, note}, от нижней струны к верхней)
+ * @returns {Object} - Роль -> индекс струны в аппликатуре
+ */
+function resolvePickingRoles(fingering) {
+  const sounding = fingering
+    .map((position, index) => index)
+    .filter(index => fingering[index].fret !== -1);
+  
+  if (sounding.length === 0) {
+    throw new Error('В аппликатуре нет звучащих струн');
+  }
+  
+  // Верхние роли не опускаются на басовую струну, пока есть другие струны
+  const trebleIndex = role => sounding[Math.max(sounding.length - role, Math.min(1, sounding.length - 1))];
+  const thirdRolePosition = sounding.indexOf(trebleIndex(3));
+  
+  return {
+    'B': sounding[0],
+    'B2': sounding[thirdRolePosition > 2 ? 2 : thirdRolePosition > 1 ? 1 : 0],
+    '3': trebleIndex(3),
+    '2': trebleIndex(2),
+    '1': trebleIndex(1)
+  };
+}
+
+/**
+ * Раскладывает щипки рисунка на отрезок звучания аккорда
+ * Рисунок привязан к сетке такта и повторяется по кругу; струна звучит до следующего щипка или до конца аккорда
+ * @param {Array} steps - Шаги из parsePickingPattern
+ * @param {Object} roleStrings - Роль -> индекс струны (см. resolvePickingRoles)
+ * @param {Object} options - Опции раскладки
+ * @returns {Array} - Щипки {time, duration, string, velocity}; время - от начала аккорда, string - индекс струны
+ */
+function buildPlucks(steps, roleStrings, options = {}) {
+  const {
+    duration,                // Длительность звучания аккорда (в секундах)
+    secondsPerBeat,          // Длительность доли (в секундах)
+    stepsPerBeat = 2,        // Количество шагов сетки на долю
+    startBeat = 0            // Доля такта, с которой начинается аккорд (с 0)
+  } = options;
+  
+  const stepDuration = secondsPerBeat / stepsPerBeat;
+  const firstStep = Math.round(startBeat * stepsPerBeat);
+  const stepCount = Math.round(duration / stepDuration);
+  const plucks = [];
+  
+  for (let j = 0; j < stepCount; j++) {
+    const step = steps[(firstStep + j) % steps.length];
+    const strings = [];
+    
+    step.forEach(role => {
+      const string = roleStrings[role];
+      if (strings.includes(string)) return;
+      
+      strings.push(string);
+      plucks.push({
+        time: j * stepDuration,
+        string: string,
+        velocity: role === 'B' || role === 'B2' ? PLUCK_VELOCITIES.bass : PLUCK_VELOCITIES.treble
+      });
+    });
+  }
+  
+  plucks.forEach((pluck, index) => {
+    const nextPluck = plucks.slice(index + 1).find(item => item.string === pluck.string);
+    pluck.duration = (nextPluck ? nextPluck.time : duration) - pluck.time;
+  });
+  
+  return plucks;
+}
+
+// Экспортируем функции для использования в других модулях
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PLUCK_VELOCITIES,
+    PICKING_ROLES,
+    PICKING_PATTERNS,
+    parsePickingPattern,
+    formatPickingPattern,
+    resolvePickingRoles,
+    buildPlucks
+  };
+} else {
+  // Для использования в браузере
+  window.Fingerpicking = {
+    PLUCK_VELOCITIES,
+    PICKING_ROLES,
+    PICKING_PATTERNS,
+    parsePickingPattern,
+    formatPickingPattern,
+    resolvePickingRoles,
+    buildPlucks
+  };
+}
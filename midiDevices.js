@@ -0,0 +1,199 @@
+/**
+ * Модуль работы с внешними MIDI-устройствами через Web MIDI API
+ * - Выход: ноты аппликатуры отправляются на синтезатор или в DAW, по ноте на струну
+ *   (на одном канале или на своем канале для каждой струны, как для MPE-патчей гитары)
+ * - Вход: нажатые на клавиатуре ноты отслеживаются, чтобы определить по ним аккорд
+ */
+
+// Раскладка струн по каналам при отправке
+const MIDI_CHANNEL_MODES = {
+  single: 'Один канал',
+  perString: 'Канал на струну (MPE)'
+};
+
+// В режиме MPE первый канал - управляющий, струны занимают следующие: 1-я струна - канал 2, 6-я - канал 7
+const MPE_FIRST_MEMBER_CHANNEL = 1;
+
+// Контроллеры MIDI
+const MIDI_CC_SUSTAIN = 64;
+const MIDI_CC_ALL_NOTES_OFF = 123;
+
+/**
+ * Запрашивает доступ к MIDI-устройствам
+ * @returns {Promise<MIDIAccess>} - Доступ к MIDI
+ */
+async function requestMidiAccess() {
+  if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+    throw new Error('Web MIDI API не поддерживается браузером');
+  }
+  
+  return navigator.requestMIDIAccess({ sysex: false });
+}
+
+/**
+ * Возвращает список подключенных MIDI-портов
+ * @param {MIDIAccess} midiAccess - Доступ к MIDI
+ * @returns {Object} - {inputs: [{id, name}], outputs: [{id, name}]}
+ */
+function getMidiPorts(midiAccess) {
+  const toList = ports => Array.from(ports.values())
+    .filter(port => port.state !== 'disconnected')
+    .map(port => ({ id: port.id, name: port.name || port.id }));
+  
+  return {
+    inputs: toList(midiAccess.inputs),
+    outputs: toList(midiAccess.outputs)
+  };
+}
+
+/**
+ * Возвращает канал струны
+ * @param {number} string - Индекс струны (0 - нижняя)
+ * @param {number} stringCount - Количество струн
+ * @param {string} channelMode - Раскладка по каналам (см. MIDI_CHANNEL_MODES)
+ * @returns {number} - Канал (с 0)
+ */
+function getStringChannel(string, stringCount, channelMode) {
+  return channelMode === 'perString' ? MPE_FIRST_MEMBER_CHANNEL + (stringCount - 1 - string) : 0;
+}
+
+/**
+ * Отправляет ноты на MIDI-выход с отложенными метками времени
+ * @param {MIDIOutput} output - MIDI-выход
+ * @param {Array} notes - Ноты {time, duration, midi, velocity, string} (см. MidiExport.buildMidiNotes)
+ * @param {Object} options - Опции отправки
+ * @returns {Array} - Отправленные ноты {channel, midi}
+ */
+function sendMidiNotes(output, notes, options = {}) {
+  const {
+    startTime = performance.now(),                     // Время начала по часам performance.now() (в мс)
+    channelMode = 'single',                            // Раскладка по каналам (см. MIDI_CHANNEL_MODES)
+    stringCount = window.NoteUtils.STRINGS_ORDER.length
+  } = options;
+  
+  return notes.map(note => {
+    const channel = getStringChannel(note.string, stringCount, channelMode);
+    const velocity = Math.max(1, Math.min(127, Math.round(note.velocity * 127)));
+    const noteOnTime = startTime + note.time * 1000;
+    
+    output.send([0x90 | channel, note.midi, velocity], noteOnTime);
+    output.send([0x80 | channel, note.midi, 0], noteOnTime + note.duration * 1000);
+    
+    return { channel, midi: note.midi };
+  });
+}
+
+/**
+ * Глушит все ноты на выходе, в том числе уже запланированные
+ * @param {MIDIOutput} output - MIDI-выход
+ */
+function stopMidiOutput(output) {
+  // Отложенные сообщения отменяются там, где это поддерживается
+  if (typeof output.clear === 'function') {
+    output.clear();
+  }
+  
+  for (let channel = 0; channel < 16; channel++) {
+    output.send([0xb0 | channel, MIDI_CC_ALL_NOTES_OFF, 0]);
+  }
+}
+
+/**
+ * Создает отслеживание нажатых нот MIDI-входа
+ * Нота звучит от note on до note off; при нажатой педали sustain отпущенные ноты держатся до отпускания педали
+ * @param {Function} onChange - Вызывается при изменении набора нот: onChange(midiNotes) - отсортированные MIDI номера
+ * @returns {Object} - {handleMessage(data), getNotes(), reset()}
+ */
+function createMidiInputTracker(onChange) {
+  const pressedNotes = new Set();
+  const sustainedNotes = new Set();
+  let sustain = false;
+  
+  const getNotes = () => Array.from(new Set([...pressedNotes, ...sustainedNotes])).sort((a, b) => a - b);
+  let lastNotes = '';
+  const notifyChange = () => {
+    const notes = getNotes();
+    if (notes.join(',') === lastNotes) return;
+    lastNotes = notes.join(',');
+    onChange(notes);
+  };
+  
+  const handleMessage = data => {
+    const status = data[0] & 0xf0;
+    const [, data1, data2] = data;
+    
+    if (status === 0x90 && data2 > 0) {
+      pressedNotes.add(data1);
+      sustainedNotes.delete(data1);
+    } else if (status === 0x80 || status === 0x90) {
+      pressedNotes.delete(data1);
+      if (sustain) sustainedNotes.add(data1);
+    } else if (status === 0xb0 && data1 === MIDI_CC_SUSTAIN) {
+      sustain = data2 >= 64;
+      if (!sustain) sustainedNotes.clear();
+    } else if (status === 0xb0 && data1 === MIDI_CC_ALL_NOTES_OFF) {
+      pressedNotes.clear();
+      sustainedNotes.clear();
+    } else {
+      return;
+    }
+    
+    notifyChange();
+  };
+  
+  const reset = () => {
+    pressedNotes.clear();
+    sustainedNotes.clear();
+    sustain = false;
+    notifyChange();
+  };
+  
+  return { handleMessage, getNotes, reset };
+}
+
+/**
+ * Определяет аккорд по MIDI номерам нажатых нот
+ * @param {Array} midiNotes - MIDI номера нот
+ * @returns {Object} - {notes, bass, candidates}: названия нот, бас (самая низкая нота) и кандидаты ChordParser.identifyChord
+ */
+function identifyMidiNotes(midiNotes) {
+  const sorted = [...midiNotes].sort((a, b) => a - b);
+  const names = sorted.map(midi => window.NoteUtils.extractNoteName(window.NoteUtils.getNoteByMidiNumber(midi)));
+  const notes = names.filter((name, index) => names.indexOf(name) === index);
+  const bass = names.length > 0 ? names[0] : null;
+  
+  // Названия нот по MIDI записаны диезами, а аккорд называется обычным написанием нот (Bb, а не A#)
+  const spellPitch = note => window.ChordParser.spellNote(window.ChordParser.getNoteIndex(note));
+  
+  return {
+    notes: notes,
+    bass: bass,
+    candidates: notes.length > 1 ? window.ChordParser.identifyChord(notes.map(spellPitch), spellPitch(bass)) : []
+  };
+}
+
+// Экспортируем функции для использования в других модулях
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MIDI_CHANNEL_MODES,
+    requestMidiAccess,
+    getMidiPorts,
+    getStringChannel,
+    sendMidiNotes,
+    stopMidiOutput,
+    createMidiInputTracker,
+    identifyMidiNotes
+  };
+} else {
+  // Для использования в браузере
+  window.MidiDevices = {
+    MIDI_CHANNEL_MODES,
+    requestMidiAccess,
+    getMidiPorts,
+    getStringChannel,
+    sendMidiNotes,
+    stopMidiOutput,
+    createMidiInputTracker,
+    identifyMidiNotes
+  };
+}
@@ -0,0 +1,289 @@
+/**
+ * Модуль экспорта аккордов и прогрессий в стандартный MIDI-файл (Standard MIDI File, формат 1)
+ * - Ноты берутся из аппликатуры: каждая струна - своя нота, поэтому гитарное голосоведение сохраняется
+ * - Удары боя и щипки перебора переносятся с теми же временем и силой, что и при воспроизведении
+ * - Ноты можно разложить по струнам: одна дорожка с каналом на струну или отдельная дорожка на струну
+ */
+
+// Разрешение: тиков на четвертную ноту
+const MIDI_TICKS_PER_QUARTER = 480;
+
+// Инструмент General MIDI: 25 - Acoustic Guitar (steel), нумерация с 0
+const MIDI_GUITAR_PROGRAM = 25;
+
+// В проекте 6-я струна записана как E1, в MIDI это E2 (номер 40): октавы сдвинуты на одну
+const MIDI_OCTAVE_OFFSET = 12;
+
+// Канал ударных General MIDI: струнам он не назначается
+const MIDI_DRUM_CHANNEL = 9;
+
+// Раскладка нот по дорожкам и каналам
+const MIDI_LAYOUTS = {
+  single: 'Одна дорожка, один канал',
+  channels: 'Одна дорожка, канал на струну',
+  tracks: 'Дорожка и канал на струну'
+};
+
+/**
+ * Возвращает MIDI номера нот аппликатуры (с учетом строя и каподастра)
+ * @param {Array} fingering - Аппликатура (массив объектов {string, fret}, от нижней струны к верхней)
+ * @returns {Array} - MIDI номер для каждой струны или null для заглушенной
+ */
+function getFingeringMidiNotes(fingering) {
+  return fingering.map(position => position.fret === -1
+    ? null
+    : window.NoteUtils.calculateMidiNumber(window.NoteUtils.NOTES_DATA[position.string][position.fret]) + MIDI_OCTAVE_OFFSET);
+}
+
+/**
+ * Раскладывает события прогрессии на ноты
+ * Способ игры такой же, как при воспроизведении (см. SynchronousPlayback.scheduleSequenceEvent):
+ * щипки plucks, удары strokes или весь аккорд на длительность события
+ * @param {Array} events - События {time, duration, fingering, plucks, strokes}; время - в секундах
+ * @param {Object} options - Опции {strumDuration} - время прохода медиатора по струнам (в секундах)
+ * @returns {Array} - Ноты {time, duration, midi, velocity, string}; string - индекс струны, velocity - 0.0-1.0
+ */
+function buildMidiNotes(events, options = {}) {
+  const { strumDuration = 0.03 } = options;
+  const notes = [];
+  
+  events.forEach(event => {
+    const midiNotes = getFingeringMidiNotes(event.fingering);
+    const addNote = (string, time, duration, velocity) => {
+      if (midiNotes[string] === null || duration <= 0) return;
+      notes.push({ time: event.time + time, duration: duration, midi: midiNotes[string], velocity: velocity, string: string });
+    };
+    const soundingStrings = midiNotes
+      .map((midi, index) => index)
+      .filter(index => midiNotes[index] !== null);
+    
+    if (event.plucks) {
+      event.plucks.forEach(pluck => addNote(pluck.string, pluck.time, pluck.duration, pluck.velocity));
+    } else if (event.strokes) {
+      event.strokes.forEach(stroke => {
+        let strings = stroke.direction === 'up' ? [...soundingStrings].reverse() : soundingStrings;
+        if (stroke.stringLimit !== null && stroke.stringLimit !== undefined) {
+          strings = strings.slice(0, stroke.stringLimit);
+        }
+        
+        const stringDelay = strings.length > 1 ? strumDuration / (strings.length - 1) : 0;
+        strings.forEach((string, order) => {
+          const offset = order * stringDelay;
+          addNote(string, stroke.time + offset, stroke.duration, stroke.velocity);
+        });
+      });
+    } else {
+      soundingStrings.forEach(string => addNote(string, 0, event.duration, event.velocity || 0.75));
+    }
+  });
+  
+  // Струна звучит одной нотой: предыдущая нота глушится новым звукоизвлечением на той же струне
+  notes.sort((a, b) => a.time - b.time);
+  const lastNoteByString = {};
+  notes.forEach(note => {
+    const previousNote = lastNoteByString[note.string];
+    if (previousNote) {
+      previousNote.duration = Math.min(previousNote.duration, note.time - previousNote.time);
+    }
+    lastNoteByString[note.string] = note;
+  });
+  
+  return notes.filter(note => note.duration > 0);
+}
+
+/**
+ * Разводит ноты одной клавиши на одном канале (унисон двух струн в общем канале), иначе снятие первой оборвет вторую:
+ * ноты, взятые одновременно, сливаются в одну, а ранняя нота снимается при повторном взятии,
+ * и повторная звучит до конца более долгой из них
+ * @param {Array} tickNotes - Ноты {channel, midi, velocity, startTick, endTick}
+ * @returns {Array} - Ноты без перекрытий на одной клавише и канале
+ */
+function mergeSameKeyNotes(tickNotes) {
+  const groups = {};
+  tickNotes.forEach(note => {
+    const key = `${note.channel}|${note.midi}`;
+    (groups[key] = groups[key] || []).push(note);
+  });
+  
+  return Object.values(groups).flatMap(group => {
+    group.sort((a, b) => a.startTick - b.startTick);
+    
+    const merged = [];
+    group.forEach(note => {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.startTick === note.startTick) {
+        previous.endTick = Math.max(previous.endTick, note.endTick);
+        previous.velocity = Math.max(previous.velocity, note.velocity);
+        return;
+      }
+      if (previous && previous.endTick > note.startTick) {
+        note = { ...note, endTick: Math.max(previous.endTick, note.endTick) };
+        previous.endTick = note.startTick;
+      }
+      merged.push({ ...note });
+    });
+    
+    return merged;
+  });
+}
+
+/**
+ * Записывает число в формате переменной длины (variable-length quantity)
+ */
+function writeVariableLength(value) {
+  const bytes = [value & 0x7f];
+  let rest = value >> 7;
+  
+  while (rest > 0) {
+    bytes.unshift((rest & 0x7f) | 0x80);
+    rest >>= 7;
+  }
+  
+  return bytes;
+}
+
+/**
+ * Кодирует текст мета-события (UTF-8)
+ */
+function encodeMidiText(text) {
+  return Array.from(new TextEncoder().encode(text));
+}
+
+/**
+ * Собирает блок дорожки MTrk из событий {tick, order, data}
+ * При одинаковом времени события идут по order: мета-события, снятие нот, затем новые ноты
+ */
+function buildTrackChunk(events) {
+  const sorted = [...events].sort((a, b) => a.tick - b.tick || a.order - b.order);
+  const bytes = [];
+  let lastTick = 0;
+  
+  sorted.forEach(event => {
+    bytes.push(...writeVariableLength(event.tick - lastTick), ...event.data);
+    lastTick = event.tick;
+  });
+  bytes.push(0x00, 0xff, 0x2f, 0x00);
+  
+  return [
+    0x4d, 0x54, 0x72, 0x6b,
+    (bytes.length >>> 24) & 0xff, (bytes.length >>> 16) & 0xff, (bytes.length >>> 8) & 0xff, bytes.length & 0xff,
+    ...bytes
+  ];
+}
+
+/**
+ * Мета-событие {tick, order, data}
+ */
+function createMetaEvent(tick, type, data) {
+  return { tick: tick, order: 0, data: [0xff, type, ...writeVariableLength(data.length), ...data] };
+}
+
+/**
+ * Создает стандартный MIDI-файл
+ * @param {Array} notes - Ноты из buildMidiNotes
+ * @param {Object} options - Опции файла
+ * @returns {Uint8Array} - Содержимое .mid файла
+ */
+function createMidiFile(notes, options = {}) {
+  const {
+    bpm = 90,                        // Темп (долей в минуту)
+    beatsPerBar = 4,                 // Количество долей в такте
+    beatUnit = 4,                    // Длительность доли (4 - четверть, 8 - восьмая)
+    title = 'ChordsPlayer',          // Название (имя первой дорожки)
+    markers = [],                    // Маркеры {time, text} - например, названия аккордов
+    layout = 'single',               // Раскладка по дорожкам и каналам (см. MIDI_LAYOUTS)
+    stringLabels = [],               // Названия струн от нижней к верхней (для имен дорожек)
+    program = MIDI_GUITAR_PROGRAM    // Инструмент General MIDI
+  } = options;
+  
+  if (!MIDI_LAYOUTS[layout]) {
+    throw new Error(`Неизвестная раскладка MIDI: ${layout}`);
+  }
+  
+  // Время в секундах переводится в тики через длительность четверти
+  const secondsPerQuarter = (60 / bpm) * (beatUnit / 4);
+  const toTicks = seconds => Math.round(seconds / secondsPerQuarter * MIDI_TICKS_PER_QUARTER);
+  const stringCount = Math.max(stringLabels.length, ...notes.map(note => note.string + 1), 1);
+  
+  // Канал струны: 1-я (верхняя) струна - первый канал, как принято для гитарных MIDI-контроллеров
+  const getChannel = string => {
+    if (layout === 'single') return 0;
+    const channel = stringCount - 1 - string;
+    return channel >= MIDI_DRUM_CHANNEL ? channel + 1 : channel;
+  };
+  
+  // Дорожка темпа, размера и маркеров
+  const tempo = Math.round(secondsPerQuarter * 1000000);
+  const conductorEvents = [
+    createMetaEvent(0, 0x03, encodeMidiText(title)),
+    createMetaEvent(0, 0x51, [(tempo >> 16) & 0xff, (tempo >> 8) & 0xff, tempo & 0xff]),
+    createMetaEvent(0, 0x58, [beatsPerBar, Math.round(Math.log2(beatUnit)), 24, 8]),
+    ...markers.map(marker => createMetaEvent(toTicks(marker.time), 0x06, encodeMidiText(marker.text)))
+  ];
+  
+  // Ноты раскладываются по дорожкам: одна общая или по дорожке на струну
+  const trackStrings = layout === 'tracks'
+    ? Array.from({ length: stringCount }, (value, string) => [string]).reverse()
+    : [Array.from({ length: stringCount }, (value, string) => string)];
+  
+  const noteTracks = trackStrings.map(strings => {
+    const channels = strings.map(getChannel).filter((channel, index, list) => list.indexOf(channel) === index);
+    const name = layout === 'tracks'
+      ? `Струна ${stringCount - strings[0]}${stringLabels[strings[0]] ? ` (${stringLabels[strings[0]]})` : ''}`
+      : 'Гитара';
+    const events = [
+      createMetaEvent(0, 0x03, encodeMidiText(name)),
+      ...channels.map(channel => ({ tick: 0, order: 0, data: [0xc0 | channel, program] }))
+    ];
+    
+    const tickNotes = notes.filter(note => strings.includes(note.string)).map(note => {
+      const startTick = toTicks(note.time);
+      return {
+        channel: getChannel(note.string),
+        midi: note.midi,
+        velocity: Math.max(1, Math.min(127, Math.round(note.velocity * 127))),
+        startTick: startTick,
+        endTick: Math.max(startTick + 1, toTicks(note.time + note.duration))
+      };
+    });
+    
+    mergeSameKeyNotes(tickNotes).forEach(note => {
+      events.push({ tick: note.startTick, order: 2, data: [0x90 | note.channel, note.midi, note.velocity] });
+      events.push({ tick: note.endTick, order: 1, data: [0x80 | note.channel, note.midi, 0] });
+    });
+    
+    return buildTrackChunk(events);
+  });
+  
+  const tracks = [buildTrackChunk(conductorEvents), ...noteTracks];
+  const header = [
+    0x4d, 0x54, 0x68, 0x64, 0x00, 0x00, 0x00, 0x06,
+    0x00, 0x01,
+    (tracks.length >> 8) & 0xff, tracks.length & 0xff,
+    (MIDI_TICKS_PER_QUARTER >> 8) & 0xff, MIDI_TICKS_PER_QUARTER & 0xff
+  ];
+  
+  return new Uint8Array([...header, ...tracks.flat()]);
+}
+
+// Экспортируем функции для использования в других модулях
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MIDI_TICKS_PER_QUARTER,
+    MIDI_OCTAVE_OFFSET,
+    MIDI_LAYOUTS,
+    getFingeringMidiNotes,
+    buildMidiNotes,
+    createMidiFile
+  };
+} else {
+  // Для использования в браузере
+  window.MidiExport = {
+    MIDI_TICKS_PER_QUARTER,
+    MIDI_OCTAVE_OFFSET,
+    MIDI_LAYOUTS,
+    getFingeringMidiNotes,
+    buildMidiNotes,
+    createMidiFile
+  };
+}
@@ -0,0 +1,415 @@
+/**
+ * Модуль экспорта прогрессии в MusicXML (для нотных редакторов и печати)
+ * - Партия нотной записи: аккорды нотами в скрипичном ключе с октавным понижением, как принято для гитары
+ * - Партия табулатуры: те же ноты с указанием струны и лада
+ * - Над нотами - обозначения аккордов <harmony> с аппликатурой <frame> (диаграммой аккорда)
+ */
+
+// Количество единиц длительности (divisions) в четверти: делится на 2, 3 и 16, поэтому подходит для триолей
+const MUSICXML_DIVISIONS = 48;
+
+// Длительности нот (в четвертях) по убыванию
+const MUSICXML_NOTE_TYPES = [
+  { type: 'whole', quarters: 4 },
+  { type: 'half', quarters: 2 },
+  { type: 'quarter', quarters: 1 },
+  { type: 'eighth', quarters: 0.5 },
+  { type: '16th', quarters: 0.25 },
+  { type: '32nd', quarters: 0.125 }
+];
+
+// Типы аккордов MusicXML и их ступени (по спецификации); остальное выражается через <degree>
+const MUSICXML_CHORD_KINDS = [
+  { kind: 'major', degrees: ['1', '3', '5'] },
+  { kind: 'minor', degrees: ['1', 'b3', '5'] },
+  { kind: 'augmented', degrees: ['1', '3', '#5'] },
+  { kind: 'diminished', degrees: ['1', 'b3', 'b5'] },
+  { kind: 'dominant', degrees: ['1', '3', '5', 'b7'] },
+  { kind: 'major-seventh', degrees: ['1', '3', '5', '7'] },
+  { kind: 'minor-seventh', degrees: ['1', 'b3', '5', 'b7'] },
+  { kind: 'diminished-seventh', degrees: ['1', 'b3', 'b5', 'bb7'] },
+  { kind: 'augmented-seventh', degrees: ['1', '3', '#5', 'b7'] },
+  { kind: 'half-diminished', degrees: ['1', 'b3', 'b5', 'b7'] },
+  { kind: 'major-minor', degrees: ['1', 'b3', '5', '7'] },
+  { kind: 'major-sixth', degrees: ['1', '3', '5', '6'] },
+  { kind: 'minor-sixth', degrees: ['1', 'b3', '5', '6'] },
+  { kind: 'dominant-ninth', degrees: ['1', '3', '5', 'b7', '9'] },
+  { kind: 'major-ninth', degrees: ['1', '3', '5', '7', '9'] },
+  { kind: 'minor-ninth', degrees: ['1', 'b3', '5', 'b7', '9'] },
+  { kind: 'dominant-11th', degrees: ['1', '3', '5', 'b7', '9', '11'] },
+  { kind: 'major-11th', degrees: ['1', '3', '5', '7', '9', '11'] },
+  { kind: 'minor-11th', degrees: ['1', 'b3', '5', 'b7', '9', '11'] },
+  { kind: 'dominant-13th', degrees: ['1', '3', '5', 'b7', '9', '11', '13'] },
+  { kind: 'major-13th', degrees: ['1', '3', '5', '7', '9', '11', '13'] },
+  { kind: 'minor-13th', degrees: ['1', 'b3', '5', 'b7', '9', '11', '13'] },
+  { kind: 'suspended-second', degrees: ['1', '2', '5'] },
+  { kind: 'suspended-fourth', degrees: ['1', '4', '5'] },
+  { kind: 'power', degrees: ['1', '5'] }
+];
+
+// В проекте 6-я струна записана как E1, в MusicXML (научная нотация) это E2
+const MUSICXML_OCTAVE_OFFSET = 1;
+
+/**
+ * Экранирует текст для XML
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Разбирает обозначение ступени ("b3", "#11", "bb7") на номер и альтерацию
+ */
+function parseDegreeLabel(label) {
+  const match = label.match(/^([b#]*)(\d+)$/);
+  const accidentals = match[1];
+  return {
+    value: parseInt(match[2]),
+    alter: accidentals.startsWith('#') ? accidentals.length : -accidentals.length
+  };
+}
+
+/**
+ * Подбирает тип аккорда MusicXML по ступеням аккорда
+ * Выбирается тип, от которого аккорд отличается меньше всего; отличия записываются как add/alter/subtract
+ * @param {Array} degrees - Ступени аккорда (см. ChordParser.parseChord, поле degrees)
+ * @returns {Object} - {kind, degrees: [{value, alter, type}]}
+ */
+function getMusicXmlKind(degrees) {
+  const candidates = MUSICXML_CHORD_KINDS.map(({ kind, degrees: kindDegrees }) => {
+    const changes = [];
+    const unmatched = kindDegrees.filter(label => !degrees.includes(label));
+    
+    degrees.filter(label => !kindDegrees.includes(label)).forEach(label => {
+      const degree = parseDegreeLabel(label);
+      // Та же ступень с другой альтерацией - это изменение (alter), иначе добавление (add)
+      const alteredIndex = unmatched.findIndex(kindLabel => parseDegreeLabel(kindLabel).value === degree.value);
+      
+      if (alteredIndex !== -1) {
+        const kindDegree = parseDegreeLabel(unmatched[alteredIndex]);
+        unmatched.splice(alteredIndex, 1);
+        changes.push({ value: degree.value, alter: degree.alter - kindDegree.alter, type: 'alter' });
+      } else {
+        changes.push({ value: degree.value, alter: degree.alter, type: 'add' });
+      }
+    });
+    unmatched.forEach(label => changes.push({ value: parseDegreeLabel(label).value, alter: 0, type: 'subtract' }));
+    
+    return { kind, degrees: changes };
+  });
+  
+  return candidates.reduce((best, candidate) => candidate.degrees.length < best.degrees.length ? candidate : best);
+}
+
+/**
+ * Раскладывает длительность на ноты MusicXML
+ * Длительность записывается одной нотой (возможно, с точками или триольной) или наименьшим числом нот под лигой:
+ * точный перебор сумм простых, точечных и триольных длительностей (при равном числе нот - с меньшим числом триолей),
+ * поэтому записываются и доли вроде 5/3 четверти (четверть + триольная четверть)
+ * Триольные ноты идут в конце подряд и объединяются скобкой триоли (tupletStart у первой, tupletStop у последней)
+ * @param {number} quarters - Длительность в четвертях
+ * @returns {Array} - Ноты {duration, type, dots, triplet, tupletStart, tupletStop}; duration - в единицах MUSICXML_DIVISIONS
+ */
+function splitNoteValue(quarters) {
+  const total = Math.round(quarters * MUSICXML_DIVISIONS);
+  const fail = () => new Error(`Длительность ${Math.round(quarters * 1000) / 1000} четв. не может быть записана нотами`);
+  if (total <= 0 || Math.abs(total - quarters * MUSICXML_DIVISIONS) > 1e-6) {
+    throw fail();
+  }
+  
+  // Все записываемые одной нотой длительности: простые, с точками и триольные (целые в единицах divisions)
+  const values = [];
+  MUSICXML_NOTE_TYPES.forEach(noteType => {
+    const duration = noteType.quarters * MUSICXML_DIVISIONS;
+    values.push({ type: noteType.type, dots: 0, triplet: false, duration: duration });
+    values.push({ type: noteType.type, dots: 1, triplet: false, duration: duration * 1.5 });
+    values.push({ type: noteType.type, dots: 2, triplet: false, duration: duration * 1.75 });
+    values.push({ type: noteType.type, dots: 0, triplet: true, duration: duration * 2 / 3 });
+  });
+  const writableValues = values.filter(value => Number.isInteger(value.duration));
+  
+  // best[d] - лучшая раскладка длительности d: {count, triplets, value, rest}
+  const best = [{ count: 0, triplets: 0 }];
+  for (let duration = 1; duration <= total; duration++) {
+    writableValues.forEach(value => {
+      const previous = best[duration - value.duration];
+      if (value.duration > duration || !previous) return;
+      
+      const candidate = { count: previous.count + 1, triplets: previous.triplets + (value.triplet ? 1 : 0), value: value, rest: duration - value.duration };
+      const current = best[duration];
+      if (!current || candidate.count < current.count || (candidate.count === current.count && candidate.triplets < current.triplets)) {
+        best[duration] = candidate;
+      }
+    });
+  }
+  if (!best[total]) {
+    throw fail();
+  }
+  
+  const pieces = [];
+  for (let duration = total; duration > 0; duration = best[duration].rest) {
+    pieces.push({ ...best[duration].value, tupletStart: false, tupletStop: false });
+  }
+  
+  // Простые ноты от крупных к мелким, затем триольные
+  pieces.sort((a, b) => (a.triplet - b.triplet) || (b.duration - a.duration));
+  const triplets = pieces.filter(piece => piece.triplet);
+  if (triplets.length > 0) {
+    triplets[0].tupletStart = true;
+    triplets[triplets.length - 1].tupletStop = true;
+  }
+  
+  return pieces;
+}
+
+/**
+ * Возвращает число ключевых знаков тональности (положительное - диезы, отрицательное - бемоли)
+ * @param {string} key - Тональность (например, "Eb" или "F#m")
+ * @returns {Object} - {fifths, mode}
+ */
+function getKeySignature(key) {
+  const minor = /m$/.test(key);
+  const tonic = minor ? key.slice(0, -1) : key;
+  const pitchClass = window.NoteUtils.getPitchClass(tonic);
+  const majorPitchClass = (pitchClass + (minor ? 3 : 0)) % 12;
+  
+  let fifths = (majorPitchClass * 7) % 12;
+  if (fifths > 6) fifths -= 12;
+  if (tonic.includes('b') && fifths > 0) fifths -= 12;
+  if (tonic.includes('#') && fifths < 0) fifths += 12;
+  
+  return { fifths: fifths, mode: minor ? 'minor' : 'major' };
+}
+
+/**
+ * Формирует элемент высоты ноты
+ * @param {string|null} noteName - Написание ноты из аккорда (например, "Eb"); null - по звуку
+ * @param {number} midi - MIDI номер ноты в принятой в проекте нотации октав
+ */
+function createPitchXml(noteName, midi) {
+  const name = noteName || window.NoteUtils.extractNoteName(window.NoteUtils.getNoteByMidiNumber(midi));
+  const step = name[0];
+  const accidentals = name.slice(1);
+  const alter = accidentals.startsWith('#') ? accidentals.length : -accidentals.length;
+  const octave = Math.floor((midi - alter) / 12) - 1 + MUSICXML_OCTAVE_OFFSET;
+  
+  return `<pitch><step>${step}</step>${alter !== 0 ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch>`;
+}
+
+/**
+ * Формирует обозначение аккорда с диаграммой аппликатуры
+ * @param {string} chordName - Название аккорда
+ * @param {Array} fingering - Аппликатура (массив объектов {string, fret, finger}, от нижней струны к верхней)
+ * @returns {string} - Элемент <harmony>
+ */
+function createHarmonyXml(chordName, fingering) {
+  const chord = window.ChordParser.parseChord(chordName);
+  const { kind, degrees } = getMusicXmlKind(chord.degrees);
+  const noteXml = (tag, note) => {
+    const alter = note.length > 1 ? (note[1] === '#' ? note.length - 1 : -(note.length - 1)) : 0;
+    return `<${tag}-step>${note[0]}</${tag}-step>${alter !== 0 ? `<${tag}-alter>${alter}</${tag}-alter>` : ''}`;
+  };
+  
+  const degreesXml = degrees.map(degree =>
+    `<degree><degree-value>${degree.value}</degree-value><degree-alter>${degree.alter}</degree-alter><degree-type>${degree.type}</degree-type></degree>`
+  ).join('');
+  
+  return `<harmony><root>${noteXml('root', chord.root)}</root>` +
+    `<kind text="${escapeXml(chord.type)}">${kind}</kind>` +
+    (chord.bass ? `<bass>${noteXml('bass', chord.bass)}</bass>` : '') +
+    degreesXml +
+    createFrameXml(fingering) +
+    '</harmony>';
+}
+
+/**
+ * Формирует диаграмму аккорда <frame>; заглушенные струны в диаграмму не входят
+ * Струны нумеруются по-гитарному: 1 - верхняя (самая высокая)
+ */
+function createFrameXml(fingering) {
+  const stringCount = fingering.length;
+  const frets = fingering.map(pos => pos.fret).filter(fret => fret > 0);
+  const minFret = frets.length > 0 ? Math.min(...frets) : 1;
+  const maxFret = frets.length > 0 ? Math.max(...frets) : 1;
+  const firstFret = maxFret > 4 ? minFret : 1;
+  const barres = window.ChordOptimizer.findBarres(fingering) || [];
+  
+  const notesXml = fingering.map((pos, index) => {
+    if (pos.fret === -1) return '';
+    
+    const barre = barres.find(item => item.fret === pos.fret && (item.fromString === pos.string || item.toString === pos.string));
+    const barreXml = barre ? `<barre type="${barre.fromString === pos.string ? 'start' : 'stop'}"/>` : '';
+    const fingerXml = pos.finger !== null && pos.finger !== undefined && pos.fret > 0 ? `<fingering>${pos.finger}</fingering>` : '';
+    
+    return `<frame-note><string>${stringCount - index}</string><fret>${pos.fret}</fret>${fingerXml}${barreXml}</frame-note>`;
+  }).join('');
+  
+  return `<frame><frame-strings>${stringCount}</frame-strings><frame-frets>${Math.max(4, maxFret - firstFret + 1)}</frame-frets>` +
+    (firstFret > 1 ? `<first-fret>${firstFret}</first-fret>` : '') +
+    `${notesXml}</frame>`;
+}
+
+/**
+ * Формирует ноты аккорда одной длительности (для нотной записи или табулатуры)
+ * @param {Array} fingering - Аппликатура
+ * @param {Object} piece - Длительность из splitNoteValue
+ * @param {Object} ties - {start, stop} - лига к следующему и от предыдущего аккорда
+ * @param {boolean} tab - Ноты табулатуры (со струной и ладом)
+ */
+function createChordNotesXml(fingering, piece, ties, tab) {
+  const stringCount = fingering.length;
+  
+  // Звучащие струны от нижней к верхней: в MusicXML ноты аккорда после первой помечаются <chord/>
+  return fingering
+    .map((pos, index) => ({ pos, index }))
+    .filter(({ pos }) => pos.fret !== -1)
+    .map(({ pos, index }, order) => {
+      const midi = window.NoteUtils.calculateMidiNumber(window.NoteUtils.NOTES_DATA[pos.string][pos.fret]);
+      const tieXml = (ties.stop ? '<tie type="stop"/>' : '') + (ties.start ? '<tie type="start"/>' : '');
+      const tiedXml = (ties.stop ? '<tied type="stop"/>' : '') + (ties.start ? '<tied type="start"/>' : '');
+      const technicalXml = tab ? `<technical><string>${stringCount - index}</string><fret>${pos.fret}</fret></technical>` : '';
+      // Скобка триоли ставится у первой ноты аккорда
+      const tupletXml = order === 0
+        ? (piece.tupletStart ? '<tuplet type="start"/>' : '') + (piece.tupletStop ? '<tuplet type="stop"/>' : '')
+        : '';
+      const notationsXml = tiedXml || tupletXml || technicalXml ? `<notations>${tiedXml}${tupletXml}${technicalXml}</notations>` : '';
+      
+      return '<note>' +
+        (order > 0 ? '<chord/>' : '') +
+        createPitchXml(pos.note, midi) +
+        `<duration>${piece.duration}</duration>${tieXml}<voice>1</voice>` +
+        `<type>${piece.type}</type>${'<dot/>'.repeat(piece.dots)}` +
+        (piece.triplet ? '<time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification>' : '') +
+        notationsXml +
+        '</note>';
+    }).join('');
+}
+
+/**
+ * Создает документ MusicXML для прогрессии
+ * @param {Array} bars - Такты из Progression.parseProgression
+ * @param {Array} fingerings - Аппликатуры аккордов по порядку (по одной на каждый аккорд, кроме продлений)
+ * @param {Object} options - Опции документа
+ * @returns {string} - Текст MusicXML (score-partwise)
+ */
+function createMusicXml(bars, fingerings, options = {}) {
+  const {
+    title = 'ChordsPlayer',  // Название
+    bpm = 90,                // Темп (долей в минуту)
+    beatsPerBar = 4,         // Количество долей в такте
+    beatUnit = 4,            // Длительность доли (4 - четверть, 8 - восьмая)
+    key = null               // Тональность (null - без ключевых знаков)
+  } = options;
+  
+  const NoteUtils = window.NoteUtils;
+  const stringCount = NoteUtils.STRINGS_ORDER.length;
+  const beatQuarters = 4 / beatUnit;
+  
+  // Аккорды тактов с аппликатурами; продление берет аппликатуру предыдущего аккорда
+  const entries = [];
+  let fingeringIndex = 0;
+  bars.forEach((bar, barIndex) => bar.forEach(entry => {
+    const fingering = entry.tied && entries.length > 0 ? entries[entries.length - 1].fingering : fingerings[fingeringIndex++];
+    if (!fingering) {
+      throw new Error(`Нет аппликатуры для аккорда ${entry.chord} в такте ${barIndex + 1}`);
+    }
+    entries.push({ ...entry, bar: barIndex, fingering: fingering, pieces: splitNoteValue(entry.beats * beatQuarters) });
+  }));
+  
+  // Строй табулатуры - открытые струны без каподастра, от нижней струны (нижней линии)
+  const tuning = NoteUtils.getTuning();
+  const staffTuningXml = NoteUtils.STRINGS_ORDER.map((string, index) => {
+    const note = tuning[string];
+    const name = NoteUtils.extractNoteName(note);
+    const alter = name.length > 1 ? (name[1] === '#' ? 1 : -1) : 0;
+    return `<staff-tuning line="${index + 1}"><tuning-step>${name[0]}</tuning-step>` +
+      (alter !== 0 ? `<tuning-alter>${alter}</tuning-alter>` : '') +
+      `<tuning-octave>${NoteUtils.extractOctave(note) + MUSICXML_OCTAVE_OFFSET}</tuning-octave></staff-tuning>`;
+  }).join('');
+  const capo = NoteUtils.getCapo();
+  
+  const keyXml = key ? (() => {
+    const { fifths, mode } = getKeySignature(key);
+    return `<key><fifths>${fifths}</fifths><mode>${mode}</mode></key>`;
+  })() : '<key><fifths>0</fifths></key>';
+  const timeXml = `<time><beats>${beatsPerBar}</beats><beat-type>${beatUnit}</beat-type></time>`;
+  const beatUnitType = MUSICXML_NOTE_TYPES.find(noteType => noteType.quarters === beatQuarters);
+  
+  const createPart = tab => bars.map((bar, barIndex) => {
+    let measureXml = `<measure number="${barIndex + 1}">`;
+    
+    if (barIndex === 0) {
+      measureXml += `<attributes><divisions>${MUSICXML_DIVISIONS}</divisions>${keyXml}${timeXml}` +
+        (tab
+          ? `<clef><sign>TAB</sign><line>5</line></clef><staff-details><staff-lines>${stringCount}</staff-lines>${staffTuningXml}${capo > 0 ? `<capo>${capo}</capo>` : ''}</staff-details>`
+          : '<clef><sign>G</sign><line>2</line><clef-octave-change>-1</clef-octave-change></clef>') +
+        '</attributes>';
+      
+      if (!tab) {
+        measureXml += '<direction placement="above"><direction-type><metronome>' +
+          `<beat-unit>${beatUnitType ? beatUnitType.type : 'quarter'}</beat-unit><per-minute>${bpm}</per-minute>` +
+          `</metronome></direction-type><sound tempo="${Math.round(bpm * beatQuarters * 100) / 100}"/></direction>`;
+      }
+    }
+    
+    entries.filter(entry => entry.bar === barIndex).forEach(entry => {
+      const entryIndex = entries.indexOf(entry);
+      const nextEntry = entries[entryIndex + 1];
+      
+      if (!tab && !entry.tied) {
+        measureXml += createHarmonyXml(entry.chord, entry.fingering);
+      }
+      
+      entry.pieces.forEach((piece, pieceIndex) => {
+        const ties = {
+          stop: pieceIndex > 0 || entry.tied,
+          start: pieceIndex < entry.pieces.length - 1 || Boolean(nextEntry && nextEntry.tied)
+        };
+        measureXml += createChordNotesXml(entry.fingering, piece, ties, tab);
+      });
+    });
+    
+    return `${measureXml}</measure>`;
+  }).join('\n');
+  
+  const partListXml = [['P1', 'Гитара'], ['P2', 'Гитара (табулатура)']].map(([id, name]) =>
+    `<score-part id="${id}"><part-name>${escapeXml(name)}</part-name>` +
+    `<score-instrument id="${id}-I1"><instrument-name>Acoustic Guitar</instrument-name></score-instrument>` +
+    `<midi-instrument id="${id}-I1"><midi-channel>${id === 'P1' ? 1 : 2}</midi-channel><midi-program>26</midi-program></midi-instrument>` +
+    '</score-part>'
+  ).join('');
+  
+  return '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n' +
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">\n' +
+    '<score-partwise version="4.0">\n' +
+    `<work><work-title>${escapeXml(title)}</work-title></work>\n` +
+    '<identification><encoding><software>ChordsPlayer</software></encoding></identification>\n' +
+    `<part-list>${partListXml}</part-list>\n` +
+    `<part id="P1">\n${createPart(false)}\n</part>\n` +
+    `<part id="P2">\n${createPart(true)}\n</part>\n` +
+    '</score-partwise>\n';
+}
+
+// Экспортируем функции для использования в других модулях
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getMusicXmlKind,
+    splitNoteValue,
+    getKeySignature,
+    createHarmonyXml,
+    createMusicXml
+  };
+} else {
+  // Для использования в браузере
+  window.MusicXmlExport = {
+    getMusicXmlKind,
+    splitNoteValue,
+    getKeySignature,
+    createHarmonyXml,
+    createMusicXml
+  };
+}
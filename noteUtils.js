@@ -3,14 +3,99 @@
  * Содержит утилитарные функции и данные о нотах
  */
 
-// Данные о нотах на грифе гитары
-const NOTES_DATA = {
-  "6E": ["E1", "F1", "F#1", "G1", "G#1", "A1", "A#1", "B1"],
-  "5A": ["A1", "A#1", "B1", "C2", "C#2", "D2", "D#2", "E2"],
-  "4D": ["D2", "D#2", "E2", "F2", "F#2", "G2", "G#2", "A2"],
-  "3G": ["G2", "G#2", "A2", "A#2", "B2", "C3", "C#3", "D3"],
-  "2B": ["B2", "C2", "C#2", "D2", "D#2", "E3", "F3", "F#3"],
-  "1e": ["E3", "F3", "F#3", "G3", "G#3", "A3", "A#3", "B3"]
+// Строй гитары: открытые струны от самой низкой к самой высокой
+// Октавы записаны в принятой в проекте нотации (6-я струна - E1)
+const STANDARD_TUNING = {
+  "6E": "E1",
+  "5A": "A1",
+  "4D": "D2",
+  "3G": "G2",
+  "2B": "B2",
+  "1e": "E3"
+};
+
+// Количество ладов на грифе по умолчанию
+const DEFAULT_FRET_COUNT = 22;
+
+// Готовые строи (ноты открытых струн от 6-й к 1-й)
+const TUNINGS = {
+  standard: { name: 'Стандартный (EADGBE)', notes: ["E1", "A1", "D2", "G2", "B2", "E3"] },
+  dropD: { name: 'Drop D (DADGBE)', notes: ["D1", "A1", "D2", "G2", "B2", "E3"] },
+  dadgad: { name: 'DADGAD', notes: ["D1", "A1", "D2", "G2", "A2", "D3"] },
+  openG: { name: 'Open G (DGDGBD)', notes: ["D1", "G1", "D2", "G2", "B2", "D3"] },
+  openD: { name: 'Open D (DADF#AD)', notes: ["D1", "A1", "D2", "F#2", "A2", "D3"] },
+  halfStepDown: { name: 'На полтона ниже (D#G#C#F#A#D#)', notes: ["D#1", "G#1", "C#2", "F#2", "A#2", "D#3"] }
+};
+
+// Наибольший допустимый лад каподастра
+const MAX_CAPO_FRET = 12;
+
+// Записанные гитарные сэмплы: манифест библиотеки (см. SampleLibrary) и строй записи;
+// папка и последний записанный лад задают раскладку samples/<струна>/fret<лад>.mp3, если манифест не загрузился
+const GUITAR_SAMPLES = {
+  manifest: 'samples/manifest.json',
+  folder: 'samples',
+  tuning: STANDARD_TUNING,
+  maxFret: 7
+};
+
+// Определения инструментов: струны от самой низкой к самой высокой с нотами открытых струн,
+// количество ладов, готовые строи, сэмплы и размер диаграммы грифа
+// Пока у инструментов нет своих записей, используются гитарные сэмплы: ноты вне диапазона записи
+// звучат на целые октавы ниже или выше записанных (см. AudioMapper.findPlayableSample)
+const INSTRUMENTS = {
+  guitar: {
+    name: 'Гитара',
+    tuning: STANDARD_TUNING,
+    fretCount: DEFAULT_FRET_COUNT,
+    tunings: TUNINGS,
+    samples: GUITAR_SAMPLES,
+    diagram: { width: 600, height: 200 }
+  },
+  guitar7: {
+    name: '7-струнная гитара',
+    tuning: { "7B": "B0", ...STANDARD_TUNING },
+    fretCount: 24,
+    tunings: {
+      standard: { name: 'Стандартный (BEADGBE)', notes: ["B0", "E1", "A1", "D2", "G2", "B2", "E3"] },
+      dropA: { name: 'Drop A (AEADGBE)', notes: ["A0", "E1", "A1", "D2", "G2", "B2", "E3"] }
+    },
+    samples: GUITAR_SAMPLES,
+    diagram: { width: 600, height: 230 }
+  },
+  ukulele: {
+    name: 'Укулеле',
+    tuning: { "4G": "G3", "3C": "C3", "2E": "E3", "1A": "A3" },
+    fretCount: 15,
+    tunings: {
+      standard: { name: 'Стандартный (gCEA)', notes: ["G3", "C3", "E3", "A3"] },
+      lowG: { name: 'Low G (GCEA)', notes: ["G2", "C3", "E3", "A3"] },
+      baritone: { name: 'Баритон (DGBE)', notes: ["D2", "G2", "B2", "E3"] }
+    },
+    samples: GUITAR_SAMPLES,
+    diagram: { width: 600, height: 150 }
+  },
+  bass: {
+    name: 'Бас-гитара (4 струны)',
+    tuning: { "4E": "E0", "3A": "A0", "2D": "D1", "1G": "G1" },
+    fretCount: 20,
+    tunings: {
+      standard: { name: 'Стандартный (EADG)', notes: ["E0", "A0", "D1", "G1"] },
+      dropD: { name: 'Drop D (DADG)', notes: ["D0", "A0", "D1", "G1"] }
+    },
+    samples: GUITAR_SAMPLES,
+    diagram: { width: 600, height: 150 }
+  },
+  mandolin: {
+    name: 'Мандолина',
+    tuning: { "4G": "G2", "3D": "D3", "2A": "A3", "1E": "E4" },
+    fretCount: 17,
+    tunings: {
+      standard: { name: 'Стандартный (GDAE)', notes: ["G2", "D3", "A3", "E4"] }
+    },
+    samples: GUITAR_SAMPLES,
+    diagram: { width: 600, height: 150 }
+  }
 };
 
 // MIDI номера нот для вычисления (C4 = MIDI 60)
@@ -19,8 +104,13 @@ const NOTE_MIDI_NUMBERS = {
   'F#': 6, 'G': 7, 'G#': 8, 'A': 9, 'A#': 10, 'B': 11
 };
 
+// Смещения натуральных нот относительно C (для нот с любыми знаками альтерации: Eb, Cb, E#, F##)
+const NATURAL_NOTE_OFFSETS = {
+  'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11
+};
+
 // Порядок струн от самой низкой к самой высокой
-const STRINGS_ORDER = ["6E", "5A", "4D", "3G", "2B", "1e"];
+const STRINGS_ORDER = Object.keys(STANDARD_TUNING);
 
 /**
  * Извлекает имя ноты без октавы
@@ -41,15 +131,58 @@ function extractOctave(noteWithOctave) {
   return octaveMatch ? parseInt(octaveMatch[1]) : 0;
 }
 
+/**
+ * Вычисляет смещение ноты от C в полутонах с учетом написания
+ * Альтерация не сворачивается по модулю октавы, поэтому Cb4 ниже C4, а B#3 совпадает с C4
+ * @param {string} noteName - Имя ноты без октавы (например, "Eb", "F##", "Cb")
+ * @returns {number|undefined} - Смещение в полутонах или undefined для неизвестной ноты
+ */
+function getSpelledNoteOffset(noteName) {
+  const match = noteName.match(/^([A-Ga-g])((?:#|b|x|♯|♭)*)$/);
+  if (!match) return undefined;
+  
+  let alteration = 0;
+  for (const accidental of match[2]) {
+    if (accidental === '#' || accidental === '♯') alteration += 1;
+    else if (accidental === 'x') alteration += 2;
+    else alteration -= 1;
+  }
+  
+  return NATURAL_NOTE_OFFSETS[match[1].toUpperCase()] + alteration;
+}
+
+/**
+ * Вычисляет класс высоты ноты (0-11), одинаковый для энгармонически равных нот
+ * @param {string} noteName - Имя ноты без октавы (например, "D#" или "Eb")
+ * @returns {number} - Класс высоты (C = 0) или -1 для неизвестной ноты
+ */
+function getPitchClass(noteName) {
+  const offset = getSpelledNoteOffset(noteName);
+  return offset === undefined ? -1 : ((offset % 12) + 12) % 12;
+}
+
+/**
+ * Проверяет, обозначают ли два названия одну и ту же ноту (D# и Eb - одна нота)
+ * @param {string} noteA - Первая нота без октавы
+ * @param {string} noteB - Вторая нота без октавы
+ * @returns {boolean} - true, если ноты энгармонически равны
+ */
+function isSameNote(noteA, noteB) {
+  const pitchClass = getPitchClass(noteA);
+  return pitchClass !== -1 && pitchClass === getPitchClass(noteB);
+}
+
 /**
  * Вычисляет MIDI номер ноты
- * @param {string} noteWithOctave - Нота с октавой (например, "C#4")
+ * @param {string} noteWithOctave - Нота с октавой (например, "C#4" или "Eb4")
  * @returns {number} - MIDI номер ноты
  */
 function calculateMidiNumber(noteWithOctave) {
   const noteName = extractNoteName(noteWithOctave);
   const octave = extractOctave(noteWithOctave);
-  const noteNumber = NOTE_MIDI_NUMBERS[noteName];
+  const noteNumber = NOTE_MIDI_NUMBERS[noteName] !== undefined
+    ? NOTE_MIDI_NUMBERS[noteName]
+    : getSpelledNoteOffset(noteName);
   
   if (noteNumber === undefined) {
     throw new Error(`Неизвестная нота: ${noteName}`);
@@ -59,12 +192,236 @@ function calculateMidiNumber(noteWithOctave) {
   return (octave + 1) * 12 + noteNumber;
 }
 
+/**
+ * Возвращает ноту с октавой по MIDI номеру (обратная функция к calculateMidiNumber)
+ * @param {number} midiNumber - MIDI номер ноты
+ * @returns {string} - Нота с октавой в написании через диезы (например, "F#2")
+ */
+function getNoteByMidiNumber(midiNumber) {
+  const noteNames = Object.keys(NOTE_MIDI_NUMBERS);
+  return noteNames[((midiNumber % 12) + 12) % 12] + (Math.floor(midiNumber / 12) - 1);
+}
+
+/**
+ * Генерирует таблицу нот грифа по строю и количеству ладов
+ * @param {Object} tuning - Строй: струна -> нота открытой струны с октавой
+ * @param {number} fretCount - Количество ладов
+ * @returns {Object} - Словарь: струна -> [нота на ладу 0, 1, ..., fretCount]
+ */
+function generateNotesData(tuning, fretCount = DEFAULT_FRET_COUNT) {
+  const notesData = {};
+  
+  Object.keys(tuning).forEach(string => {
+    const openMidi = calculateMidiNumber(tuning[string]);
+    notesData[string] = [];
+    
+    for (let fret = 0; fret <= fretCount; fret++) {
+      notesData[string].push(getNoteByMidiNumber(openMidi + fret));
+    }
+  });
+  
+  return notesData;
+}
+
+// Текущие настройки грифа: инструмент, строй, количество ладов и каподастр
+const fretboardSettings = {
+  instrument: 'guitar',
+  tuning: { ...STANDARD_TUNING },
+  fretCount: DEFAULT_FRET_COUNT,
+  capo: 0
+};
+
+// Данные о нотах на грифе гитары (генерируются из строя, лады 0-DEFAULT_FRET_COUNT)
+// С каподастром лад 0 - это лад каподастра, а номера ладов отсчитываются от него
+const NOTES_DATA = generateNotesData(STANDARD_TUNING, DEFAULT_FRET_COUNT);
+
+/**
+ * Перестраивает NOTES_DATA по текущим настройкам грифа
+ * Объект NOTES_DATA изменяется на месте, поэтому ссылки на него в других модулях остаются актуальными
+ */
+function rebuildNotesData() {
+  const { tuning, fretCount, capo } = fretboardSettings;
+  const cappedTuning = {};
+  
+  Object.keys(tuning).forEach(string => {
+    cappedTuning[string] = getNoteByMidiNumber(calculateMidiNumber(tuning[string]) + capo);
+  });
+  
+  Object.assign(NOTES_DATA, generateNotesData(cappedTuning, fretCount - capo));
+}
+
+/**
+ * Возвращает количество ладов текущего грифа (с каподастром - считая от него)
+ * @returns {number} - Номер последнего лада
+ */
+function getFretCount() {
+  return NOTES_DATA[STRINGS_ORDER[0]].length - 1;
+}
+
+/**
+ * Перестраивает гриф под новое количество ладов
+ * @param {number} fretCount - Количество ладов
+ */
+function setFretCount(fretCount) {
+  fretboardSettings.fretCount = fretCount;
+  rebuildNotesData();
+}
+
+/**
+ * Выбирает инструмент: строй по умолчанию, количество ладов, набор струн; каподастр снимается
+ * Массив STRINGS_ORDER и объект NOTES_DATA изменяются на месте
+ * @param {string} key - Ключ из INSTRUMENTS
+ */
+function setInstrument(key) {
+  const instrument = INSTRUMENTS[key];
+  if (!instrument) {
+    throw new Error(`Неизвестный инструмент: ${key}`);
+  }
+  
+  fretboardSettings.instrument = key;
+  fretboardSettings.tuning = { ...instrument.tuning };
+  fretboardSettings.fretCount = instrument.fretCount;
+  fretboardSettings.capo = 0;
+  
+  STRINGS_ORDER.splice(0, STRINGS_ORDER.length, ...Object.keys(instrument.tuning));
+  Object.keys(NOTES_DATA).forEach(string => {
+    delete NOTES_DATA[string];
+  });
+  
+  rebuildNotesData();
+}
+
+/**
+ * Возвращает определение текущего инструмента
+ * @returns {Object} - Инструмент из INSTRUMENTS
+ */
+function getInstrument() {
+  return INSTRUMENTS[fretboardSettings.instrument];
+}
+
+/**
+ * Разбирает строй, заданный строкой: "DADGAD", "D A D G B E" или "D1 A1 D2 G2 B2 E3"
+ * Если октава не указана, выбирается ближайшая к строю инструмента по умолчанию для этой струны
+ * @param {string} input - Ноты открытых струн от самой низкой к самой высокой
+ * @returns {Object} - Строй: струна -> нота с октавой
+ */
+function parseTuning(input) {
+  const trimmed = input.trim();
+  
+  // Ноты через пробел или запятую, либо слитно ("DADGAD")
+  const tokens = /[\s,]/.test(trimmed)
+    ? trimmed.split(/[\s,]+/)
+    : trimmed.match(/[A-Ga-g][#b♯♭]?\d*/g) || [];
+  
+  if (tokens.length !== STRINGS_ORDER.length) {
+    throw new Error(`Строй должен содержать ${STRINGS_ORDER.length} нот, получено: ${tokens.length}`);
+  }
+  
+  const tuning = {};
+  
+  STRINGS_ORDER.forEach((string, index) => {
+    const match = tokens[index].match(/^([A-Ga-g][#b♯♭]?)(\d*)$/);
+    if (!match) {
+      throw new Error(`Неизвестная нота в строе: ${tokens[index]}`);
+    }
+    
+    const noteName = match[1].charAt(0).toUpperCase() + match[1].slice(1).replace('♯', '#').replace('♭', 'b');
+    const pitchClass = getPitchClass(noteName);
+    
+    if (match[2]) {
+      tuning[string] = getNoteByMidiNumber(calculateMidiNumber(noteName + match[2]));
+      return;
+    }
+    
+    // Ближайшая к строю по умолчанию нота с таким названием (не дальше полуоктавы)
+    const standardMidi = calculateMidiNumber(getInstrument().tuning[string]);
+    const offset = ((pitchClass - standardMidi % 12) + 18) % 12 - 6;
+    tuning[string] = getNoteByMidiNumber(standardMidi + offset);
+  });
+  
+  return tuning;
+}
+
+/**
+ * Устанавливает строй текущего инструмента
+ * @param {string|Object} tuning - Ключ из строев инструмента, строка для parseTuning или объект струна -> нота
+ */
+function setTuning(tuning) {
+  const presets = getInstrument().tunings;
+  let openNotes;
+  
+  if (typeof tuning === 'string' && presets[tuning]) {
+    openNotes = {};
+    STRINGS_ORDER.forEach((string, index) => {
+      openNotes[string] = presets[tuning].notes[index];
+    });
+  } else if (typeof tuning === 'string') {
+    openNotes = parseTuning(tuning);
+  } else {
+    openNotes = { ...tuning };
+  }
+  
+  fretboardSettings.tuning = openNotes;
+  rebuildNotesData();
+}
+
+/**
+ * Возвращает текущий строй (ноты открытых струн без учета каподастра)
+ * @returns {Object} - Строй: струна -> нота с октавой
+ */
+function getTuning() {
+  return { ...fretboardSettings.tuning };
+}
+
+/**
+ * Устанавливает каподастр
+ * @param {number} fret - Лад каподастра (0 - без каподастра)
+ */
+function setCapo(fret) {
+  if (!Number.isInteger(fret) || fret < 0 || fret > MAX_CAPO_FRET) {
+    throw new Error(`Недопустимый лад каподастра: ${fret}`);
+  }
+  
+  fretboardSettings.capo = fret;
+  rebuildNotesData();
+}
+
+/**
+ * Возвращает лад, на котором установлен каподастр
+ * @returns {number} - Лад каподастра (0 - без каподастра)
+ */
+function getCapo() {
+  return fretboardSettings.capo;
+}
+
+/**
+ * Возвращает подписи струн по текущему строю (например, E A D G B e)
+ * Самая высокая струна пишется строчной буквой, если такое название уже есть у другой струны
+ * @returns {Array} - Подписи струн от самой низкой к самой высокой
+ */
+function getStringLabels() {
+  const labels = STRINGS_ORDER.map(string => extractNoteName(fretboardSettings.tuning[string]));
+  const lastIndex = labels.length - 1;
+  
+  if (labels.indexOf(labels[lastIndex]) < lastIndex) {
+    labels[lastIndex] = labels[lastIndex].toLowerCase();
+  }
+  
+  return labels;
+}
+
 /**
  * Находит все возможные позиции для каждой ноты аккорда
+ * Ноты сравниваются по высоте, а в позиции сохраняется написание из аккорда (Eb, а не D#)
  * @param {Array} chordNotes - Ноты аккорда (без октав)
+ * @param {Object} options - Диапазон поиска {minFret, maxFret}; открытые струны учитываются всегда
  * @returns {Object} - Словарь: note -> [ {string, fret, note} ]
  */
-function findAllPossiblePositions(chordNotes) {
+function findAllPossiblePositions(chordNotes, options = {}) {
+  const {
+    minFret = 0,
+    maxFret = getFretCount()
+  } = options;
   const result = {};
   
   // Инициализируем результат пустыми массивами для каждой ноты
@@ -74,19 +431,22 @@ function findAllPossiblePositions(chordNotes) {
   
   // Проходим по каждой струне
   Object.keys(NOTES_DATA).forEach(string => {
-    // Проходим по каждому ладу от 0 до 7
-    for (let fret = 0; fret <= 7; fret++) {
+    // Проходим по открытой струне и ладам из диапазона
+    for (let fret = 0; fret <= maxFret; fret++) {
+      if (fret > 0 && fret < minFret) continue;
+      
       const noteWithOctave = NOTES_DATA[string][fret];
       if (!noteWithOctave) continue;
-      const noteName = extractNoteName(noteWithOctave);
+      const pitchClass = getPitchClass(extractNoteName(noteWithOctave));
       
       // Проверяем, является ли нота частью аккорда
-      if (chordNotes.includes(noteName)) {
+      const chordNote = chordNotes.find(note => getPitchClass(note) === pitchClass);
+      if (chordNote) {
         // Добавляем позицию в результат
-        result[noteName].push({
+        result[chordNote].push({
           string: string,
           fret: fret,
-          note: noteName
+          note: chordNote
         });
       }
     }
@@ -101,9 +461,29 @@ if (typeof module !== 'undefined' && module.exports) {
     NOTES_DATA,
     NOTE_MIDI_NUMBERS,
     STRINGS_ORDER,
+    STANDARD_TUNING,
+    DEFAULT_FRET_COUNT,
+    TUNINGS,
+    MAX_CAPO_FRET,
+    GUITAR_SAMPLES,
+    INSTRUMENTS,
     extractNoteName,
     extractOctave,
+    getPitchClass,
+    isSameNote,
     calculateMidiNumber,
+    getNoteByMidiNumber,
+    generateNotesData,
+    getFretCount,
+    setFretCount,
+    setInstrument,
+    getInstrument,
+    parseTuning,
+    setTuning,
+    getTuning,
+    setCapo,
+    getCapo,
+    getStringLabels,
     findAllPossiblePositions
   };
 } else {
@@ -112,9 +492,29 @@ if (typeof module !== 'undefined' && module.exports) {
     NOTES_DATA,
     NOTE_MIDI_NUMBERS,
     STRINGS_ORDER,
+    STANDARD_TUNING,
+    DEFAULT_FRET_COUNT,
+    TUNINGS,
+    MAX_CAPO_FRET,
+    GUITAR_SAMPLES,
+    INSTRUMENTS,
     extractNoteName,
     extractOctave,
+    getPitchClass,
+    isSameNote,
     calculateMidiNumber,
+    getNoteByMidiNumber,
+    generateNotesData,
+    getFretCount,
+    setFretCount,
+    setInstrument,
+    getInstrument,
+    parseTuning,
+    setTuning,
+    getTuning,
+    setCapo,
+    getCapo,
+    getStringLabels,
     findAllPossiblePositions
   };
 }
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * Модуль измерения высоты тона аудиобуферов (алгоритм YIN)
+ * - Определяет основную частоту, ее отклонение в центах от ожидаемой ноты и уверенность измерения
+ * - Используется для проверки качества транспонирования (PitchShift) и строя библиотеки сэмплов
+ */
+
+// Порог нормированной разностной функции YIN: ниже него провал считается периодом
+const YIN_THRESHOLD = 0.15;
+
+// Диапазон поиска основной частоты (Гц): от низкой струны бас-гитары до верхних ладов гитары
+const PITCH_MIN_FREQUENCY = 38;
+const PITCH_MAX_FREQUENCY = 1500;
+
+// Измерения с меньшей уверенностью не учитываются
+const PITCH_MIN_CONFIDENCE = 0.5;
+
+// В проекте 6-я струна записана как E1, а звучит как E2 (82.41 Гц): октавы сдвинуты на одну
+const PITCH_MIDI_OFFSET = 12;
+
+/**
+ * Возвращает частоту ноты
+ * @param {string} noteWithOctave - Нота в принятой в проекте нотации октав (например, "E1")
+ * @returns {number} - Частота (Гц)
+ */
+function getNoteFrequency(noteWithOctave) {
+  const midi = window.NoteUtils.calculateMidiNumber(noteWithOctave) + PITCH_MIDI_OFFSET;
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Находит ближайшую к частоте ноту
+ * @param {number} frequency - Частота (Гц)
+ * @returns {Object} - {note, cents}: нота в нотации проекта и отклонение от нее в центах
+ */
+function getNearestNote(frequency) {
+  const midi = 69 + 12 * Math.log2(frequency / 440) - PITCH_MIDI_OFFSET;
+  const nearestMidi = Math.round(midi);
+  
+  return {
+    note: window.NoteUtils.getNoteByMidiNumber(nearestMidi),
+    cents: Math.round((midi - nearestMidi) * 1000) / 10
+  };
+}
+
+/**
+ * Определяет основную частоту отрезка сигнала алгоритмом YIN
+ * (de Cheveigné, Kawahara, 2002: разностная функция, кумулятивная нормировка,
+ * абсолютный порог и параболическое уточнение провала)
+ * @param {Float32Array} samples - Отсчеты; длина должна превышать самый длинный период
+ * @param {number} sampleRate - Частота дискретизации
+ * @param {Object} options - Опции {minFrequency, maxFrequency, threshold}
+ * @returns {Object} - {frequency, confidence}; frequency - null, если период не найден
+ */
+function detectPitchYin(samples, sampleRate, options = {}) {
+  const {
+    minFrequency = PITCH_MIN_FREQUENCY,
+    maxFrequency = PITCH_MAX_FREQUENCY,
+    threshold = YIN_THRESHOLD
+  } = options;
+  
+  const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+  const maxLag = Math.min(Math.ceil(sampleRate / minFrequency), Math.floor(samples.length / 2));
+  const windowSize = samples.length - maxLag;
+  
+  if (maxLag <= minLag) {
+    return { frequency: null, confidence: 0 };
+  }
+  
+  // Разностная функция d(τ) и ее кумулятивная нормировка d'(τ) = d(τ) * τ / Σ d(1..τ)
+  const normalized = new Float64Array(maxLag + 2);
+  normalized[0] = 1;
+  let runningSum = 0;
+  for (let lag = 1; lag <= maxLag + 1; lag++) {
+    let difference = 0;
+    for (let i = 0; i < windowSize; i++) {
+      const delta = samples[i] - samples[i + lag];
+      difference += delta * delta;
+    }
+    runningSum += difference;
+    normalized[lag] = runningSum > 0 ? difference * lag / runningSum : 1;
+  }
+  
+  // Первый провал ниже порога (с переходом к его дну); без него - самый глубокий провал
+  let bestLag = -1;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (normalized[lag] < threshold) {
+      while (lag + 1 <= maxLag && normalized[lag + 1] < normalized[lag]) lag++;
+      bestLag = lag;
+      break;
+    }
+  }
+  if (bestLag === -1) {
+    bestLag = minLag;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      if (normalized[lag] < normalized[bestLag]) bestLag = lag;
+    }
+  }
+  
+  const confidence = Math.max(0, 1 - normalized[bestLag]);
+  if (confidence <= 0) {
+    return { frequency: null, confidence: 0 };
+  }
+  
+  // Параболическое уточнение положения провала между отсчетами
+  const previous = normalized[bestLag - 1];
+  const current = normalized[bestLag];
+  const next = normalized[bestLag + 1];
+  const curvature = previous - 2 * current + next;
+  const shift = curvature > 0 ? 0.5 * (previous - next) / curvature : 0;
+  
+  return {
+    frequency: sampleRate / (bestLag + Math.max(-0.5, Math.min(0.5, shift))),
+    confidence: confidence
+  };
+}
+
+/**
+ * Измеряет высоту тона аудиобуфера
+ * Атака пропускается (в ней много негармонического шума), дальше высота измеряется в нескольких
+ * кадрах звучащей части, и берется медиана уверенных измерений
+ * @param {AudioBuffer} audioBuffer - Аудиобуфер
+ * @param {Object} options - Опции измерения
+ * @returns {Object} - {frequency, note, cents, expectedFrequency, confidence, frames}:
+ *                     cents - отклонение от ожидаемой ноты (или от ближайшей, если ожидаемая не задана)
+ */
+function analyzeAudioBuffer(audioBuffer, options = {}) {
+  const {
+    expectedNote = null,          // Ожидаемая нота в нотации проекта (например, "E1")
+    expectedFrequency = expectedNote ? getNoteFrequency(expectedNote) : null,
+    attackDuration = 0.08,        // Пропускаемое начало звука после атаки (в секундах)
+    frameDuration = 0.05,         // Длина кадра анализа без учета самого длинного периода (в секундах)
+    frameCount = 8                // Наибольшее количество кадров
+  } = options;
+  
+  const { sampleRate, length, numberOfChannels } = audioBuffer;
+  
+  // Каналы сводятся в моно
+  const samples = new Float32Array(length);
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      samples[i] += data[i] / numberOfChannels;
+    }
+  }
+  
+  let peak = 0;
+  for (let i = 0; i < length; i++) {
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  
+  const result = {
+    frequency: null,
+    note: null,
+    cents: null,
+    expectedFrequency: expectedFrequency,
+    confidence: 0,
+    frames: 0
+  };
+  if (peak === 0) {
+    return result;
+  }
+  
+  // Начало звука - первый отсчет громче 10% пика
+  const onset = samples.findIndex(value => Math.abs(value) >= peak * 0.1);
+  const frameLength = Math.round(frameDuration * sampleRate) + Math.ceil(sampleRate / PITCH_MIN_FREQUENCY);
+  const measurements = [];
+  
+  for (let frame = 0; frame < frameCount; frame++) {
+    const start = onset + Math.round(attackDuration * sampleRate) + frame * frameLength;
+    if (start + frameLength > length) break;
+    
+    const segment = samples.subarray(start, start + frameLength);
+    
+    // Затухший до шума хвост не анализируется
+    const rms = Math.sqrt(segment.reduce((sum, value) => sum + value * value, 0) / segment.length);
+    if (rms < peak * 0.01) break;
+    
+    const measurement = detectPitchYin(segment, sampleRate);
+    if (measurement.frequency !== null && measurement.confidence >= PITCH_MIN_CONFIDENCE) {
+      measurements.push(measurement);
+    }
+  }
+  
+  result.frames = measurements.length;
+  if (measurements.length === 0) {
+    return result;
+  }
+  
+  const median = values => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  };
+  
+  result.frequency = median(measurements.map(item => item.frequency));
+  result.confidence = median(measurements.map(item => item.confidence));
+  
+  const nearest = getNearestNote(result.frequency);
+  result.note = nearest.note;
+  result.cents = expectedFrequency
+    ? Math.round(1200 * Math.log2(result.frequency / expectedFrequency) * 10) / 10
+    : nearest.cents;
+  
+  return result;
+}
+
+// Экспортируем функции для использования в других модулях
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PITCH_MIN_CONFIDENCE,
+    getNoteFrequency,
+    getNearestNote,
+    detectPitchYin,
+    analyzeAudioBuffer
+  };
+} else {
+  // Для использования в браузере
+  window.PitchDetector = {
+    PITCH_MIN_CONFIDENCE,
+    getNoteFrequency,
+    getNearestNote,
+    detectPitchYin,
+    analyzeAudioBuffer
+  };
+}
@@ -1,15 +1,37 @@
 /**
  * Модуль для качественного транспонирования аудиобуферов
  * Реализует шаг 8 из roadmap.md: альтернативы транспонирования и временной подгонки
- * Использует алгоритм WSOLA/phase vocoder для pitch-shift без изменения темпа
+ * Pitch-shift без изменения длительности в два этапа:
+ * - растяжение во времени фазовым вокодером с фиксацией фаз вокруг спектральных пиков (phase locking)
+ *   и сбросом фаз на атаках, чтобы удар по струне не размывался
+ * - передискретизация с ограничением полосы (windowed sinc), возвращающая исходную длительность
  */
 
 // Максимальное количество полутонов для высококачественного транспонирования
-const MAX_HIGH_QUALITY_SEMITONES = 2;
+const MAX_HIGH_QUALITY_SEMITONES = 5;
 
 // Пороговое значение для определения низкого качества (в центах)
 const LOW_QUALITY_THRESHOLD_CENTS = 30;
 
+// Размер кадра фазового вокодера при 44.1-48 кГц (около 45 мс: разрешает гармоники 6-й струны)
+const VOCODER_FRAME_SIZE = 2048;
+
+// Перекрытие кадров: шаг синтеза - четверть кадра
+const VOCODER_OVERLAP = 4;
+
+// Доля прироста спектра от кадра к кадру, начиная с которой кадр считается атакой
+const TRANSIENT_FLUX_THRESHOLD = 0.35;
+
+// Полуширина ядра передискретизации (в пересечениях нуля sinc) и точность его таблицы
+const RESAMPLE_HALF_WIDTH = 16;
+const RESAMPLE_TABLE_RESOLUTION = 256;
+
+// Наибольшая длительность непрерывного счета (мс), после которой транспонирование отдает управление странице
+const PROCESSING_TIME_SLICE_MS = 20;
+
+// Через сколько выходных отсчетов передискретизация проверяет, не пора ли отдать управление
+const RESAMPLE_YIELD_INTERVAL = 4096;
+
 /**
  * Вычисляет частоту дискретизации для изменения высоты тона без изменения темпа
  * @param {number} semitones - Количество полутонов для транспонирования
@@ -21,30 +43,78 @@ function calculatePitchShiftRatio(semitones) {
 }
 
 /**
- * Оценивает качество транспонирования на основе количества полутонов
- * @param {number} semitones - Количество полутонов
- * @returns {Object} - Объект с информацией о качестве { isHighQuality, quality, cents }
+ * Создает функцию, которая отдает управление циклу событий, если счет длится дольше кванта времени:
+ * вызывается внутри длинных циклов, чтобы транспонирование не замораживало интерфейс
+ * @param {number} sliceMs - Квант непрерывного счета (мс)
+ * @returns {Function} - Асинхронная функция без параметров
  */
-function assessPitchShiftQuality(semitones) {
-  const absSemitones = Math.abs(semitones);
-  const isHighQuality = absSemitones <= MAX_HIGH_QUALITY_SEMITONES;
-  
-  // Вычисляем отклонение в центах (1 полутон = 100 центов)
-  const cents = semitones * 100;
-  const quality = isHighQuality ? 'high' : 'low';
+function createTimeSlicer(sliceMs = PROCESSING_TIME_SLICE_MS) {
+  let sliceEnd = Date.now() + sliceMs;
   
-  return {
-    isHighQuality,
-    quality,
-    cents,
-    semitones
+  return async () => {
+    if (Date.now() < sliceEnd) {
+      return;
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 0));
+    sliceEnd = Date.now() + sliceMs;
   };
 }
 
-
+/**
+ * Измеряет качество транспонирования: высота результата (PitchDetector, алгоритм YIN) сравнивается
+ * с ожидаемой нотой, а без нее - с измеренной высотой исходного буфера, сдвинутой на semitones
+ * @param {AudioBuffer} sourceBuffer - Исходный аудиобуфер
+ * @param {AudioBuffer} shiftedBuffer - Транспонированный аудиобуфер
+ * @param {number} semitones - Количество полутонов транспонирования
+ * @param {string|null} expectedNote - Нота, которая должна звучать, в нотации проекта (например, "A1")
+ * @returns {Object} - { isHighQuality, quality, cents, semitones, frequency, expectedFrequency, confidence };
+ *                     quality - 'high', 'low' или 'unknown' (высоту измерить не удалось), cents - отклонение от ожидаемой высоты
+ */
+function measurePitchShiftQuality(sourceBuffer, shiftedBuffer, semitones, expectedNote = null) {
+  const report = {
+    isHighQuality: false,
+    quality: 'unknown',
+    cents: null,
+    semitones: semitones,
+    frequency: null,
+    expectedFrequency: null,
+    confidence: 0
+  };
+  
+  if (typeof window.PitchDetector === 'undefined') {
+    console.warn('⚠️ Модуль PitchDetector не загружен, качество транспонирования не измерено');
+    return report;
+  }
+  
+  if (expectedNote) {
+    report.expectedFrequency = window.PitchDetector.getNoteFrequency(expectedNote);
+  } else {
+    const source = window.PitchDetector.analyzeAudioBuffer(sourceBuffer);
+    report.expectedFrequency = source.frequency !== null ? source.frequency * calculatePitchShiftRatio(semitones) : null;
+  }
+  if (report.expectedFrequency === null) {
+    return report;
+  }
+  
+  const measurement = window.PitchDetector.analyzeAudioBuffer(shiftedBuffer, { expectedFrequency: report.expectedFrequency });
+  if (measurement.frequency === null) {
+    return report;
+  }
+  
+  report.frequency = measurement.frequency;
+  report.cents = measurement.cents;
+  report.confidence = measurement.confidence;
+  report.isHighQuality = Math.abs(measurement.cents) <= LOW_QUALITY_THRESHOLD_CENTS;
+  report.quality = report.isHighQuality ? 'high' : 'low';
+  
+  return report;
+}
 
 /**
- * Улучшенная версия pitch-shift с использованием WebAudio API
+ * Транспонирование аудиобуфера без изменения длительности (фазовый вокодер)
+ * Счет идет порциями с передачей управления странице; качество результата измеряется
+ * по его фактической высоте (см. measurePitchShiftQuality), если измерение не отключено
  * @param {AudioContext} audioContext - Контекст аудио
  * @param {AudioBuffer} sourceBuffer - Исходный аудиобуфер
  * @param {number} semitones - Количество полутонов для транспонирования
@@ -54,26 +124,32 @@ function assessPitchShiftQuality(semitones) {
 async function pitchShiftWebAudio(audioContext, sourceBuffer, semitones, options = {}) {
   const {
     enableQualityCheck = true,
-    logTransformations = true
+    measureQuality = true,       // Измерять высоту результата (отдельный анализ всего буфера)
+    logTransformations = true,
+    expectedNote = null          // Нота, которая должна получиться (для измерения качества)
   } = options;
   
-  // Оцениваем качество транспонирования
-  const qualityInfo = assessPitchShiftQuality(semitones);
-  
   // Логируем информацию о трансформации
   if (logTransformations) {
-    console.log(`Транспонирование (WebAudio API + WSOLA): ${semitones > 0 ? '+' : ''}${semitones} полутонов (${qualityInfo.cents} центов)`);
-    console.log(`Качество: ${qualityInfo.quality} (${qualityInfo.isHighQuality ? 'высокое' : 'низкое'})`);
+    console.log(`Транспонирование (фазовый вокодер): ${semitones > 0 ? '+' : ''}${semitones} полутонов`);
   }
   
   // Проверяем, требуется ли транспонирование
   if (semitones === 0) {
     return {
       buffer: sourceBuffer,
-      quality: qualityInfo,
+      quality: {
+        isHighQuality: true,
+        quality: 'high',
+        cents: 0,
+        semitones: 0,
+        frequency: null,
+        expectedFrequency: null,
+        confidence: null
+      },
       transformation: {
         applied: false,
-        algorithm: 'webaudio-wsola',
+        algorithm: 'phase-vocoder',
         semitones: 0,
         cents: 0,
         quality: 'none'
@@ -81,21 +157,33 @@ async function pitchShiftWebAudio(audioContext, sourceBuffer, semitones, options
     };
   }
   
-  // Проверяем, не превышает ли сдвиг порог низкого качества
-  if (enableQualityCheck && !qualityInfo.isHighQuality) {
-    console.warn(`⚠️ Требуемое транспонирование (${semitones} полутонов) превышает порог высокого качества (±${MAX_HIGH_QUALITY_SEMITONES} полутона)`);
+  // Проверяем, не превышает ли сдвиг проверенный диапазон
+  if (enableQualityCheck && Math.abs(semitones) > MAX_HIGH_QUALITY_SEMITONES) {
+    console.warn(`⚠️ Требуемое транспонирование (${semitones} полутонов) превышает порог высокого качества (±${MAX_HIGH_QUALITY_SEMITONES} полутонов)`);
     console.warn(`⚠️ Рекомендуется записать нужный сэмпл вместо использования транспонирования`);
   }
   
   try {
-    // Используем улучшенный алгоритм WSOLA для pitch-shift без изменения темпа
+    // Фазовый вокодер и передискретизация: высота меняется, длительность - нет
     const pitchRatio = calculatePitchShiftRatio(semitones);
-    const stretchedBuffer = await applyWSOLAPitchShift(sourceBuffer, pitchRatio);
+    const stretchedBuffer = await applyPhaseVocoderPitchShift(audioContext, sourceBuffer, pitchRatio);
+    const qualityInfo = measureQuality
+      ? measurePitchShiftQuality(sourceBuffer, stretchedBuffer, semitones, expectedNote)
+      : createUnmeasuredQuality(semitones);
+    
+    if (logTransformations && qualityInfo.frequency !== null) {
+      console.log(`Измеренная высота: ${qualityInfo.frequency.toFixed(2)} Гц (ожидалось ${qualityInfo.expectedFrequency.toFixed(2)} Гц), отклонение ${qualityInfo.cents} центов, уверенность ${qualityInfo.confidence.toFixed(2)}`);
+    }
+    if (enableQualityCheck && qualityInfo.quality === 'low') {
+      console.warn(`⚠️ Результат отклоняется от нужной высоты на ${qualityInfo.cents} центов (порог ±${LOW_QUALITY_THRESHOLD_CENTS})`);
+    } else if (enableQualityCheck && measureQuality && qualityInfo.quality === 'unknown') {
+      console.warn('⚠️ Не удалось измерить высоту транспонированного звука');
+    }
     
     // Формируем информацию о трансформации
     const transformation = {
       applied: true,
-      algorithm: 'webaudio-wsola',
+      algorithm: 'phase-vocoder',
       semitones: semitones,
       cents: qualityInfo.cents,
       quality: qualityInfo.quality,
@@ -103,7 +191,9 @@ async function pitchShiftWebAudio(audioContext, sourceBuffer, semitones, options
       pitchRatio: pitchRatio
     };
     
-    console.log(`✅ Транспонирование (WebAudio API + WSOLA) успешно завершено: ${semitones > 0 ? '+' : ''}${semitones} полутонов`);
+    if (logTransformations) {
+      console.log(`✅ Транспонирование (фазовый вокодер) успешно завершено: ${semitones > 0 ? '+' : ''}${semitones} полутонов`);
+    }
     
     return {
       buffer: stretchedBuffer,
@@ -112,18 +202,26 @@ async function pitchShiftWebAudio(audioContext, sourceBuffer, semitones, options
     };
     
   } catch (error) {
-    console.error(`❌ Ошибка при транспонировании аудио (WebAudio API + WSOLA):`, error);
+    console.error(`❌ Ошибка при транспонировании аудио (фазовый вокодер):`, error);
     
     // Возвращаем исходный буфер в случае ошибки
     return {
       buffer: sourceBuffer,
-      quality: qualityInfo,
+      quality: {
+        isHighQuality: false,
+        quality: 'error',
+        cents: null,
+        semitones: semitones,
+        frequency: null,
+        expectedFrequency: null,
+        confidence: 0
+      },
       transformation: {
         applied: false,
-        algorithm: 'webaudio-wsola',
+        algorithm: 'phase-vocoder',
         error: error.message,
         semitones: semitones,
-        cents: qualityInfo.cents,
+        cents: null,
         quality: 'error'
       }
     };
@@ -131,83 +229,307 @@ async function pitchShiftWebAudio(audioContext, sourceBuffer, semitones, options
 }
 
 /**
- * Применяет WSOLA алгоритм для pitch-shift без изменения темпа
- * @param {AudioBuffer} sourceBuffer - Исходный аудиобуфер
- * @param {number} pitchRatio - Коэффициент изменения высоты тона
- * @returns {Promise<AudioBuffer>} - Транспонированный аудиобуфер
+ * Возвращает отчет о качестве транспонирования без измерения высоты
+ * (сдвиг фазового вокодера точен по построению, измерение нужно для проверки библиотеки и тестов)
+ * @param {number} semitones - Количество полутонов транспонирования
+ * @returns {Object} - Отчет в формате measurePitchShiftQuality с quality 'unmeasured'
+ */
+function createUnmeasuredQuality(semitones) {
+  return {
+    isHighQuality: Math.abs(semitones) <= MAX_HIGH_QUALITY_SEMITONES,
+    quality: 'unmeasured',
+    cents: null,
+    semitones: semitones,
+    frequency: null,
+    expectedFrequency: null,
+    confidence: 0
+  };
+}
+
+/**
+ * Быстрое преобразование Фурье (radix-2, на месте)
+ * @param {Float64Array} re - Действительная часть (длина - степень двойки)
+ * @param {Float64Array} im - Мнимая часть
+ * @param {boolean} inverse - Обратное преобразование (с делением на длину)
  */
-async function applyWSOLAPitchShift(sourceBuffer, pitchRatio) {
-  const sampleRate = sourceBuffer.sampleRate;
-  const numberOfChannels = sourceBuffer.numberOfChannels;
-  const sourceLength = sourceBuffer.length;
+function transformFFT(re, im, inverse = false) {
+  const n = re.length;
   
-  // Создаем выходной буфер с той же длительностью
-  const outputBuffer = new OfflineAudioContext(numberOfChannels, sourceLength, sampleRate);
+  // Перестановка с обращением битов
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
   
-  // Параметры WSOLA
-  const frameSize = Math.floor(0.1 * sampleRate); // 100 мс
-  const hopSize = Math.floor(frameSize * 0.25); // 75% перекрытие
-  const overlapSize = frameSize - hopSize;
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (inverse ? 2 : -2) * Math.PI / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
   
-  // Обрабатываем каждый канал
-  for (let channel = 0; channel < numberOfChannels; channel++) {
-    const sourceData = sourceBuffer.getChannelData(channel);
-    const outputData = new Float32Array(sourceLength);
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+/**
+ * Приводит фазу к диапазону [-π, π]
+ */
+function wrapPhase(phase) {
+  return phase - 2 * Math.PI * Math.round(phase / (2 * Math.PI));
+}
+
+/**
+ * Растягивает сигнал во времени без изменения высоты (фазовый вокодер)
+ * Фазы спектральных пиков продолжаются по их мгновенной частоте, фазы остальных бинов
+ * привязываются к ближайшему пику (identity phase locking) - так гармоники струны не "плывут";
+ * на атаках фазы берутся из анализа как есть, чтобы сохранить резкость удара
+ * @param {Float32Array} samples - Исходные отсчеты
+ * @param {number} stretch - Коэффициент растяжения (больше 1 - длиннее)
+ * @param {Object} options - Опции {frameSize, yieldControl}; yieldControl - см. createTimeSlicer
+ * @returns {Promise<Float32Array>} - Растянутый сигнал длиной round(samples.length * stretch)
+ */
+async function stretchSamples(samples, stretch, options = {}) {
+  const { frameSize = VOCODER_FRAME_SIZE, yieldControl = createTimeSlicer() } = options;
+  const synthesisHop = frameSize / VOCODER_OVERLAP;
+  const binCount = frameSize / 2 + 1;
+  const outputLength = Math.round(samples.length * stretch);
+  
+  // Окно Ханна для анализа и синтеза; сумма квадратов перекрывающихся окон постоянна
+  const window = new Float64Array(frameSize);
+  for (let i = 0; i < frameSize; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / frameSize);
+  }
+  const windowGain = window.reduce((sum, value) => sum + value * value, 0) / synthesisHop;
+  
+  const output = new Float64Array(outputLength + frameSize);
+  const re = new Float64Array(frameSize);
+  const im = new Float64Array(frameSize);
+  const magnitude = new Float64Array(binCount);
+  const phase = new Float64Array(binCount);
+  const previousMagnitude = new Float64Array(binCount);
+  const previousPhase = new Float64Array(binCount);
+  const synthesisPhase = new Float64Array(binCount);
+  const isPeak = new Uint8Array(binCount);
+  let previousCenter = null;
+  
+  // Первые кадры начинаются до нуля, чтобы начало выхода было покрыто окнами так же, как середина
+  const firstFrame = -(VOCODER_OVERLAP - 1);
+  const lastFrame = Math.ceil(outputLength / synthesisHop) + 1;
+  
+  for (let frame = firstFrame; frame <= lastFrame; frame++) {
+    await yieldControl();
+    
+    const outputCenter = frame * synthesisHop;
+    const inputCenter = Math.round(outputCenter / stretch);
+    const inputStart = inputCenter - frameSize / 2;
+    
+    for (let i = 0; i < frameSize; i++) {
+      const index = inputStart + i;
+      re[i] = index >= 0 && index < samples.length ? samples[index] * window[i] : 0;
+      im[i] = 0;
+    }
+    transformFFT(re, im);
     
-    // Применяем WSOLA алгоритм для pitch-shift без изменения темпа
-    let readPosition = 0;
-    let writePosition = 0;
+    let energy = 0;
+    let flux = 0;
+    for (let bin = 0; bin < binCount; bin++) {
+      magnitude[bin] = Math.hypot(re[bin], im[bin]);
+      phase[bin] = Math.atan2(im[bin], re[bin]);
+      energy += magnitude[bin];
+      flux += Math.max(0, magnitude[bin] - previousMagnitude[bin]);
+    }
+    
+    // Атака - резкий рост спектра; на ней (и в первом кадре) фазы берутся из анализа
+    const analysisHop = previousCenter === null ? 0 : inputCenter - previousCenter;
+    const isTransient = energy > 1e-9 && flux / energy > TRANSIENT_FLUX_THRESHOLD;
     
-    while (writePosition + frameSize < sourceLength) {
-      // Читаем кадр из исходного буфера
-      const frameEnd = Math.min(readPosition + frameSize, sourceLength);
-      const frameLength = frameEnd - readPosition;
+    if (previousCenter === null || isTransient || analysisHop <= 0) {
+      synthesisPhase.set(phase);
+    } else {
+      // Спектральные пики - локальные максимумы амплитуды по двум соседям с каждой стороны
+      for (let bin = 0; bin < binCount; bin++) {
+        const value = magnitude[bin];
+        isPeak[bin] = value > 0 &&
+          (bin < 1 || value > magnitude[bin - 1]) && (bin < 2 || value > magnitude[bin - 2]) &&
+          (bin > binCount - 2 || value >= magnitude[bin + 1]) && (bin > binCount - 3 || value >= magnitude[bin + 2]) ? 1 : 0;
+      }
       
-      // Копируем кадр с применением pitch-shift
-      for (let i = 0; i < frameLength; i++) {
-        if (writePosition + i < sourceLength) {
-          // Используем интерполяцию для более качественного pitch-shift
-          const sourceIndex = Math.floor(readPosition + i * pitchRatio);
-          if (sourceIndex < sourceLength) {
-            outputData[writePosition + i] = sourceData[sourceIndex];
-          }
-        }
+      // Фаза пика продолжается по его мгновенной частоте
+      for (let bin = 0; bin < binCount; bin++) {
+        if (!isPeak[bin]) continue;
+        const binFrequency = 2 * Math.PI * bin / frameSize;
+        const deviation = wrapPhase(phase[bin] - previousPhase[bin] - binFrequency * analysisHop);
+        synthesisPhase[bin] += (binFrequency + deviation / analysisHop) * synthesisHop;
       }
       
-      // Применяем перекрытие с плавными переходами
-      if (writePosition > 0) {
-        for (let i = 0; i < overlapSize; i++) {
-          const overlapIndex = writePosition - overlapSize + i;
-          if (overlapIndex >= 0 && overlapIndex < sourceLength) {
-            // Плавное затухание предыдущего кадра и нарастание нового
-            const fadeOut = (overlapSize - i) / overlapSize;
-            const fadeIn = i / overlapSize;
-            outputData[overlapIndex] = outputData[overlapIndex] * fadeOut + outputData[writePosition + i] * fadeIn;
-          }
+      // Остальные бины сохраняют разность фаз с ближайшим пиком
+      let previousPeak = -1;
+      let nextPeak = isPeak.indexOf(1);
+      for (let bin = 0; bin < binCount; bin++) {
+        if (bin === nextPeak) {
+          previousPeak = bin;
+          nextPeak = isPeak.indexOf(1, bin + 1);
+          continue;
         }
+        
+        const owner = nextPeak === -1 || (previousPeak !== -1 && bin - previousPeak <= nextPeak - bin) ? previousPeak : nextPeak;
+        synthesisPhase[bin] = owner === -1 ? phase[bin] : synthesisPhase[owner] + phase[bin] - phase[owner];
       }
-      
-      // Обновляем позиции
-      readPosition += hopSize;
-      writePosition += hopSize;
     }
     
-    // Копируем обработанные данные в выходной буфер
-    const outputChannel = outputBuffer.createBuffer(numberOfChannels, sourceLength, sampleRate).getChannelData(channel);
-    for (let i = 0; i < sourceLength; i++) {
-      outputChannel[i] = outputData[i];
+    previousMagnitude.set(magnitude);
+    previousPhase.set(phase);
+    previousCenter = inputCenter;
+    
+    // Синтез: спектр с новыми фазами, обратное преобразование, окно и наложение со сложением
+    for (let bin = 0; bin < binCount; bin++) {
+      re[bin] = magnitude[bin] * Math.cos(synthesisPhase[bin]);
+      im[bin] = magnitude[bin] * Math.sin(synthesisPhase[bin]);
+      if (bin > 0 && bin < binCount - 1) {
+        re[frameSize - bin] = re[bin];
+        im[frameSize - bin] = -im[bin];
+      }
+    }
+    transformFFT(re, im, true);
+    
+    const outputStart = outputCenter - frameSize / 2;
+    for (let i = 0; i < frameSize; i++) {
+      const index = outputStart + i;
+      if (index >= 0 && index < output.length) {
+        output[index] += re[i] * window[i] / windowGain;
+      }
+    }
+  }
+  
+  return Float32Array.from(output.subarray(0, outputLength));
+}
+
+/**
+ * Передискретизирует сигнал с ограничением полосы (sinc с окном Блэкмана)
+ * При чтении быстрее исходного (ratio > 1) полоса сужается, чтобы не появлялось наложение спектров
+ * @param {Float32Array} samples - Исходные отсчеты
+ * @param {number} ratio - Шаг чтения исходного сигнала на один выходной отсчет
+ * @param {number} outputLength - Длина результата
+ * @param {Function} yieldControl - Передача управления странице (см. createTimeSlicer)
+ * @returns {Promise<Float32Array>} - Передискретизированный сигнал
+ */
+async function resampleSamples(samples, ratio, outputLength, yieldControl = createTimeSlicer()) {
+  const cutoff = Math.min(1, 1 / ratio);
+  const reach = Math.ceil(RESAMPLE_HALF_WIDTH / cutoff);
+  
+  // Таблица ядра sinc(x) * окно по x от 0 до полуширины
+  const tableSize = RESAMPLE_HALF_WIDTH * RESAMPLE_TABLE_RESOLUTION + 2;
+  const table = new Float64Array(tableSize);
+  for (let i = 0; i < tableSize; i++) {
+    const x = i / RESAMPLE_TABLE_RESOLUTION;
+    const position = Math.min(1, x / RESAMPLE_HALF_WIDTH);
+    const blackman = 0.42 + 0.5 * Math.cos(Math.PI * position) + 0.08 * Math.cos(2 * Math.PI * position);
+    table[i] = (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x)) * blackman;
+  }
+  
+  const output = new Float32Array(outputLength);
+  for (let n = 0; n < outputLength; n++) {
+    if (n % RESAMPLE_YIELD_INTERVAL === 0) {
+      await yieldControl();
+    }
+    
+    const center = n * ratio;
+    const first = Math.max(0, Math.ceil(center - reach));
+    const last = Math.min(samples.length - 1, Math.floor(center + reach));
+    let sum = 0;
+    
+    for (let k = first; k <= last; k++) {
+      const x = Math.abs(center - k) * cutoff * RESAMPLE_TABLE_RESOLUTION;
+      const index = Math.floor(x);
+      if (index >= tableSize - 1) continue;
+      const fraction = x - index;
+      sum += samples[k] * (table[index] + (table[index + 1] - table[index]) * fraction);
     }
+    
+    output[n] = sum * cutoff;
+  }
+  
+  return output;
+}
+
+/**
+ * Транспонирует отсчеты без изменения длительности
+ * @param {Float32Array} samples - Исходные отсчеты
+ * @param {number} pitchRatio - Коэффициент изменения высоты тона (см. calculatePitchShiftRatio)
+ * @param {Object} options - Опции растяжения (см. stretchSamples)
+ * @returns {Promise<Float32Array>} - Транспонированные отсчеты той же длины
+ */
+async function shiftPitchSamples(samples, pitchRatio, options = {}) {
+  if (pitchRatio === 1) {
+    return Float32Array.from(samples);
+  }
+  
+  // Сначала растягиваем во столько раз, во сколько потом ускорит передискретизация
+  const yieldControl = options.yieldControl || createTimeSlicer();
+  const stretched = await stretchSamples(samples, pitchRatio, { ...options, yieldControl });
+  return resampleSamples(stretched, pitchRatio, samples.length, yieldControl);
+}
+
+/**
+ * Транспонирует аудиобуфер без изменения длительности (все каналы)
+ * @param {AudioContext} audioContext - Контекст аудио (для создания буфера)
+ * @param {AudioBuffer} sourceBuffer - Исходный аудиобуфер
+ * @param {number} pitchRatio - Коэффициент изменения высоты тона
+ * @returns {Promise<AudioBuffer>} - Транспонированный аудиобуфер
+ */
+async function applyPhaseVocoderPitchShift(audioContext, sourceBuffer, pitchRatio) {
+  const { numberOfChannels, length, sampleRate } = sourceBuffer;
+  const outputBuffer = audioContext.createBuffer(numberOfChannels, length, sampleRate);
+  
+  // Кадр около 45 мс при любой частоте дискретизации (степень двойки)
+  const frameSize = sampleRate > 48000 ? VOCODER_FRAME_SIZE * 2 : VOCODER_FRAME_SIZE;
+  const yieldControl = createTimeSlicer();
+  
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const shifted = await shiftPitchSamples(sourceBuffer.getChannelData(channel), pitchRatio, { frameSize, yieldControl });
+    outputBuffer.getChannelData(channel).set(shifted);
   }
   
-  return outputBuffer.startRendering();
+  return outputBuffer;
 }
 
 // Экспортируем функции для использования в других модулях
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     pitchShiftWebAudio,
-    assessPitchShiftQuality,
+    measurePitchShiftQuality,
     calculatePitchShiftRatio,
+    shiftPitchSamples,
     MAX_HIGH_QUALITY_SEMITONES,
     LOW_QUALITY_THRESHOLD_CENTS
   };
@@ -215,8 +537,9 @@ if (typeof module !== 'undefined' && module.exports) {
   // Для использования в браузере
   window.PitchShift = {
     pitchShiftWebAudio,
-    assessPitchShiftQuality,
+    measurePitchShiftQuality,
     calculatePitchShiftRatio,
+    shiftPitchSamples,
     MAX_HIGH_QUALITY_SEMITONES,
     LOW_QUALITY_THRESHOLD_CENTS
   };
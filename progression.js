@@ -0,0 +1,300 @@
+/**
+ * Модуль для разбора аккордовых прогрессий и раскладки их по времени
+ * Формат: такты разделяются "|", аккорды внутри такта - пробелами: "| C | Am | F G |"
+ * - Аккорды такта делят его доли поровну
+ * - "/" продлевает предыдущий аккорд на свою часть такта: "| C / / G |"
+ * - "%" повторяет предыдущий такт, пустой такт "| |" продлевает предыдущий аккорд
+ * - Каждая строка - отдельная строка тактов
+ */
+
+// Размер по умолчанию и допустимый диапазон темпа
+const DEFAULT_TIME_SIGNATURE = '4/4';
+const MIN_BPM = 20;
+const MAX_BPM = 300;
+
+/**
+ * Разбирает размер такта
+ * @param {string} signature - Размер (например, "4/4", "3/4", "6/8")
+ * @returns {Object} - {beatsPerBar, beatUnit}
+ */
+function parseTimeSignature(signature = DEFAULT_TIME_SIGNATURE) {
+  const match = String(signature).trim().match(/^(\d{1,2})\/(1|2|4|8|16)$/);
+  
+  if (!match || parseInt(match[1]) === 0) {
+    throw new Error(`Неверный размер такта: ${signature}`);
+  }
+  
+  return {
+    beatsPerBar: parseInt(match[1]),
+    beatUnit: parseInt(match[2])
+  };
+}
+
+/**
+ * Разбирает текст прогрессии на такты
+ * @param {string} text - Прогрессия (например, "| C | Am | F | G |")
+ * @param {number} beatsPerBar - Количество долей в такте
+ * @returns {Array} - Такты: массивы {chord, beats, tied}; tied - продолжение предыдущего аккорда
+ */
+function parseProgression(text, beatsPerBar = 4) {
+  const bars = [];
+  
+  text.split('\n').forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    
+    // Крайние черты такта необязательны: "C | Am" и "| C | Am |" равнозначны
+    const barTexts = trimmed.replace(/^\|/, '').replace(/\|$/, '').split('|');
+    
+    barTexts.forEach(barText => {
+      const barNumber = bars.length + 1;
+      const tokens = barText.trim().split(/\s+/).filter(token => token);
+      
+      if (tokens.length === 1 && tokens[0] === '%') {
+        if (bars.length === 0) {
+          throw new Error('Знак повтора "%" в первом такте: нечего повторять');
+        }
+        bars.push(bars[bars.length - 1].map(entry => ({ ...entry })));
+        return;
+      }
+      
+      // Пустой такт продлевает предыдущий аккорд на весь такт
+      const slots = tokens.length > 0 ? tokens : ['/'];
+      const slotBeats = beatsPerBar / slots.length;
+      const bar = [];
+      
+      slots.forEach(token => {
+        if (token === '/') {
+          const previousEntry = bar.length > 0 ? bar[bar.length - 1] : null;
+          if (previousEntry) {
+            previousEntry.beats += slotBeats;
+          } else if (bars.length > 0) {
+            const previousBar = bars[bars.length - 1];
+            bar.push({ chord: previousBar[previousBar.length - 1].chord, beats: slotBeats, tied: true });
+          } else {
+            throw new Error('Прогрессия начинается с продления "/": нет аккорда для продления');
+          }
+          return;
+        }
+        
+        if (!window.ChordParser.isSupportedChord(token)) {
+          throw new Error(`Неизвестный аккорд "${token}" в такте ${barNumber}`);
+        }
+        bar.push({ chord: token, beats: slotBeats, tied: false });
+      });
+      
+      bars.push(bar);
+    });
+  });
+  
+  if (bars.length === 0) {
+    throw new Error('Прогрессия пуста');
+  }
+  
+  return bars;
+}
+
+/**
+ * Раскладывает такты прогрессии по времени
+ * @param {Array} bars - Такты из parseProgression
+ * @param {Object} options - Опции раскладки
+ * @returns {Object} - {events, countIn, countInDuration, duration, secondsPerBeat}
+ *                     events - аккорды {type: 'chord', chord, bar, beat, time, duration} (время в секундах от начала прохода),
+ *                     countIn - щелчки отсчета {type: 'click', time, accent}
+ */
+function buildTimeline(bars, options = {}) {
+  const {
+    bpm = 90,               // Темп (долей в минуту)
+    beatsPerBar = 4,        // Количество долей в такте
+    startBar = 1,           // Номер такта, с которого начинается воспроизведение
+    countInBars = 0         // Количество тактов отсчета перед началом
+  } = options;
+  
+  if (!(bpm >= MIN_BPM && bpm <= MAX_BPM)) {
+    throw new Error(`Темп должен быть от ${MIN_BPM} до ${MAX_BPM} BPM, получено: ${bpm}`);
+  }
+  if (!Number.isInteger(startBar) || startBar < 1 || startBar > bars.length) {
+    throw new Error(`Номер начального такта должен быть от 1 до ${bars.length}, получено: ${startBar}`);
+  }
+  
+  const secondsPerBeat = 60 / bpm;
+  const events = [];
+  let beatPosition = 0;
+  
+  bars.slice(startBar - 1).forEach((bar, offset) => {
+    let beatInBar = 0;
+    
+    bar.forEach(entry => {
+      const lastEvent = events[events.length - 1];
+      
+      if (entry.tied && lastEvent) {
+        // Продление звучит без повторного удара
+        lastEvent.duration += entry.beats * secondsPerBeat;
+      } else {
+        events.push({
+          type: 'chord',
+          chord: entry.chord,
+          bar: startBar + offset,
+          beat: beatInBar + 1,
+          time: beatPosition * secondsPerBeat,
+          duration: entry.beats * secondsPerBeat
+        });
+      }
+      
+      beatInBar += entry.beats;
+      beatPosition += entry.beats;
+    });
+  });
+  
+  const countIn = [];
+  for (let beat = 0; beat < countInBars * beatsPerBar; beat++) {
+    countIn.push({
+      type: 'click',
+      time: beat * secondsPerBeat,
+      beat: (beat % beatsPerBar) + 1,
+      accent: beat % beatsPerBar === 0
+    });
+  }
+  
+  return {
+    events: events,
+    countIn: countIn,
+    countInDuration: countIn.length * secondsPerBeat,
+    duration: beatPosition * secondsPerBeat,
+    secondsPerBeat: secondsPerBeat
+  };
+}
+
+/**
+ * Возвращает список уникальных аккордов прогрессии в порядке появления
+ * @param {Array} bars - Такты из parseProgression
+ * @returns {Array} - Названия аккордов
+ */
+function getProgressionChords(bars) {
+  const chords = [];
+  
+  bars.forEach(bar => bar.forEach(entry => {
+    if (!chords.includes(entry.chord)) {
+      chords.push(entry.chord);
+    }
+  }));
+  
+  return chords;
+}
+
+/**
+ * Транспонирует прогрессию; аккорды записываются по знакам новой тональности
+ * @param {Array} bars - Такты из parseProgression
+ * @param {number} semitones - Сдвиг в полутонах
+ * @param {Object} options - {fromKey, toKey}: исходная тональность (null - определяется по аккордам)
+ *                           и тональность результата (null - исходная, сдвинутая на semitones)
+ * @returns {Object} - {bars, fromKey, toKey, semitones}: новые такты и тональности до и после транспонирования
+ */
+function transposeProgression(bars, semitones, options = {}) {
+  const sourceKey = options.fromKey || window.ChordParser.detectKey(getProgressionChords(bars));
+  const targetKey = options.toKey || window.ChordParser.transposeKey(sourceKey, semitones);
+  
+  return {
+    bars: bars.map(bar => bar.map(entry => ({
+      ...entry,
+      chord: window.ChordParser.transposeChord(entry.chord, semitones, targetKey)
+    }))),
+    fromKey: sourceKey,
+    toKey: targetKey,
+    semitones: semitones
+  };
+}
+
+/**
+ * Транспонирует прогрессию в заданную тональность (кратчайшим сдвигом)
+ * @param {Array} bars - Такты из parseProgression
+ * @param {string} toKey - Целевая тональность (например, "Bb" или "Em")
+ * @param {string|null} fromKey - Исходная тональность (null - определяется по аккордам)
+ * @returns {Object} - {bars, fromKey, toKey, semitones}
+ */
+function transposeProgressionToKey(bars, toKey, fromKey = null) {
+  const sourceKey = fromKey || window.ChordParser.detectKey(getProgressionChords(bars));
+  const semitones = window.ChordParser.getTranspositionInterval(sourceKey, toKey);
+  
+  return transposeProgression(bars, semitones, { fromKey: sourceKey, toKey: toKey });
+}
+
+/**
+ * Транспонирует текст прогрессии, сохраняя его разметку (строки, черты тактов, продления)
+ * @param {string} text - Текст прогрессии
+ * @param {number} semitones - Сдвиг в полутонах
+ * @param {Object} options - {fromKey, toKey} (см. transposeProgression)
+ * @returns {Object} - {text, fromKey, toKey, semitones}
+ */
+function transposeProgressionText(text, semitones, options = {}) {
+  const sourceKey = options.fromKey || window.ChordParser.detectKey(getProgressionChords(parseProgression(text)));
+  const targetKey = options.toKey || window.ChordParser.transposeKey(sourceKey, semitones);
+  
+  return {
+    text: text.replace(/[^\s|]+/g, token => window.ChordParser.isSupportedChord(token)
+      ? window.ChordParser.transposeChord(token, semitones, targetKey)
+      : token),
+    fromKey: sourceKey,
+    toKey: targetKey,
+    semitones: semitones
+  };
+}
+
+/**
+ * Записывает такты обратно в текст прогрессии (например, "| C | Am | F G |")
+ * @param {Array} bars - Такты из parseProgression
+ * @returns {string} - Текст прогрессии
+ */
+function formatProgression(bars) {
+  const barTexts = bars.map(bar => {
+    const slotBeats = Math.min(...bar.map(entry => entry.beats));
+    const tokens = [];
+    
+    bar.forEach(entry => {
+      const slots = Math.round(entry.beats / slotBeats);
+      tokens.push(entry.tied ? '/' : entry.chord);
+      for (let i = 1; i < slots; i++) {
+        tokens.push('/');
+      }
+    });
+    
+    // Один аккорд на весь такт записываем без продлений
+    return tokens.length > 1 && tokens.slice(1).every(token => token === '/') && !bar[0].tied
+      ? tokens[0]
+      : tokens.join(' ');
+  });
+  
+  return `| ${barTexts.join(' | ')} |`;
+}
+
+// Экспортируем функции для использования в других модулях
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_TIME_SIGNATURE,
+    MIN_BPM,
+    MAX_BPM,
+    parseTimeSignature,
+    parseProgression,
+    buildTimeline,
+    getProgressionChords,
+    transposeProgression,
+    transposeProgressionToKey,
+    transposeProgressionText,
+    formatProgression
+  };
+} else {
+  // Для использования в браузере
+  window.Progression = {
+    DEFAULT_TIME_SIGNATURE,
+    MIN_BPM,
+    MAX_BPM,
+    parseTimeSignature,
+    parseProgression,
+    buildTimeline,
+    getProgressionChords,
+    transposeProgression,
+    transposeProgressionToKey,
+    transposeProgressionText,
+    formatProgression
+  };
+}
@@ -0,0 +1,295 @@
+/**
+ * Модуль библиотеки сэмплов: манифест записанных звуков инструмента
+ * - Манифест (JSON) перечисляет сэмплы: струна, лад или нота, диапазон силы удара, номер повтора (round-robin),
+ *   точки петли и отклонение строя записи в центах; файлы не ищутся запросами к серверу
+ * - Для силы удара выбирается слой громкости, а повторы одной ноты в слое чередуются по кругу,
+ *   чтобы одинаковые удары боя не звучали как пулеметная очередь
+ *
+ * Формат манифеста (пути файлов - относительно папки манифеста, поля defaults подставляются в каждый сэмпл):
+ *   {
+ *     "version": 1,
+ *     "name": "Акустическая гитара",
+ *     "defaults": { "velocity": [0, 1], "roundRobin": 1 },
+ *     "samples": [
+ *       { "file": "6E/fret0.mp3", "string": "6E", "fret": 0 },
+ *       { "file": "6E/E1_soft_2.mp3", "string": "6E", "note": "E1", "velocity": [0, 0.5], "roundRobin": 2,
+ *         "loopStart": 1.2, "loopEnd": 1.45, "tuneCents": -6 }
+ *     ]
+ *   }
+ * Лад считается в строе записи (sampleSet.tuning), нота - в принятой в проекте нотации октав;
+ * сила удара - 0.0-1.0, как у ударов боя и щипков перебора; точки петли - в секундах;
+ * tuneCents - на сколько центов запись выше (+) или ниже (-) своей ноты
+ */
+
+// Поддерживаемая версия формата манифеста
+const SAMPLE_MANIFEST_VERSION = 1;
+
+// Сила удара, если она не задана (как у аккорда без боя и перебора)
+const DEFAULT_SAMPLE_VELOCITY = 0.75;
+
+// Расширение файлов раскладки по умолчанию (<папка>/<струна>/fret<лад>.mp3)
+const DEFAULT_SAMPLE_EXTENSION = '.mp3';
+
+// Загруженные библиотеки: путь к манифесту -> Promise библиотеки
+let sampleLibraries = {};
+
+// Счетчики повторов: ключ слоя (струна, нота, диапазон силы удара) -> количество выбранных сэмплов
+let roundRobinCounters = {};
+
+/**
+ * Возвращает набор сэмплов текущего инструмента
+ * @returns {Object} - Набор сэмплов {manifest, folder, tuning, maxFret}
+ */
+function getCurrentSampleSet() {
+  return window.NoteUtils.getInstrument().samples;
+}
+
+/**
+ * Создает манифест по раскладке по умолчанию: один сэмпл на лад, без слоев и повторов
+ * Используется, если у набора нет манифеста или он не загрузился
+ * @param {Object} sampleSet - Набор сэмплов {folder, tuning, maxFret}
+ * @returns {Object} - Манифест (пути - относительно папки набора)
+ */
+function createDefaultManifest(sampleSet) {
+  const samples = [];
+  
+  Object.keys(sampleSet.tuning).forEach(string => {
+    for (let fret = 0; fret <= sampleSet.maxFret; fret++) {
+      samples.push({ file: `${string}/fret${fret}${DEFAULT_SAMPLE_EXTENSION}`, string: string, fret: fret });
+    }
+  });
+  
+  return { version: SAMPLE_MANIFEST_VERSION, samples: samples };
+}
+
+/**
+ * Проверяет манифест и приводит его сэмплы к единому виду
+ * @param {Object} manifest - Манифест (разобранный JSON)
+ * @param {Object} options - Опции {baseUrl, tuning}
+ * @returns {Object} - Библиотека {name, samples}; сэмпл - {file, path, string, fret, midi, velocityMin, velocityMax,
+ *                     roundRobin, loopStart, loopEnd, tuneCents}, fret и midi - в строе записи
+ */
+function parseSampleManifest(manifest, options = {}) {
+  const {
+    baseUrl = '',                                // Папка манифеста (с завершающим "/")
+    tuning = getCurrentSampleSet().tuning        // Строй записи: струна -> нота открытой струны
+  } = options;
+  
+  if (!manifest || !Array.isArray(manifest.samples)) {
+    throw new Error('Манифест сэмплов должен содержать массив samples');
+  }
+  if (manifest.version !== undefined && manifest.version !== SAMPLE_MANIFEST_VERSION) {
+    throw new Error(`Неподдерживаемая версия манифеста сэмплов: ${manifest.version}`);
+  }
+  
+  const defaults = manifest.defaults || {};
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  
+  const samples = manifest.samples.map((entry, index) => {
+    const sample = { ...defaults, ...entry };
+    const label = `Сэмпл ${index + 1}${sample.file ? ` (${sample.file})` : ''}`;
+    
+    if (!sample.file) {
+      throw new Error(`${label}: не указан файл`);
+    }
+    if (!tuning[sample.string]) {
+      throw new Error(`${label}: струна ${sample.string} не записана в наборе`);
+    }
+    
+    // Высота: нота или лад в строе записи
+    const openMidi = window.NoteUtils.calculateMidiNumber(tuning[sample.string]);
+    let midi;
+    if (sample.note !== undefined) {
+      midi = window.NoteUtils.calculateMidiNumber(String(sample.note));
+    } else if (Number.isInteger(sample.fret) && sample.fret >= 0) {
+      midi = openMidi + sample.fret;
+    }
+    if (!Number.isInteger(midi)) {
+      throw new Error(`${label}: не указан лад или нота`);
+    }
+    if (midi < openMidi) {
+      throw new Error(`${label}: нота ${sample.note} ниже открытой струны ${tuning[sample.string]}`);
+    }
+    
+    const velocity = sample.velocity || [0, 1];
+    if (!Array.isArray(velocity) || !isNumber(velocity[0]) || !isNumber(velocity[1]) ||
+        velocity[0] < 0 || velocity[1] > 1 || velocity[0] > velocity[1]) {
+      throw new Error(`${label}: диапазон силы удара должен быть [от, до] в пределах 0-1`);
+    }
+    
+    const roundRobin = sample.roundRobin === undefined ? 1 : sample.roundRobin;
+    if (!Number.isInteger(roundRobin) || roundRobin < 1) {
+      throw new Error(`${label}: номер повтора должен быть целым числом от 1`);
+    }
+    
+    const hasLoop = sample.loopStart !== undefined || sample.loopEnd !== undefined;
+    if (hasLoop && !(isNumber(sample.loopStart) && isNumber(sample.loopEnd) && sample.loopStart >= 0 && sample.loopStart < sample.loopEnd)) {
+      throw new Error(`${label}: точки петли должны удовлетворять 0 <= loopStart < loopEnd`);
+    }
+    
+    const tuneCents = sample.tuneCents === undefined ? 0 : sample.tuneCents;
+    if (!isNumber(tuneCents) || Math.abs(tuneCents) >= 100) {
+      throw new Error(`${label}: отклонение строя должно быть в пределах ±100 центов`);
+    }
+    
+    return {
+      file: sample.file,
+      path: `${baseUrl}${sample.file}`,
+      string: sample.string,
+      fret: midi - openMidi,
+      midi: midi,
+      velocityMin: velocity[0],
+      velocityMax: velocity[1],
+      roundRobin: roundRobin,
+      loopStart: hasLoop ? sample.loopStart : null,
+      loopEnd: hasLoop ? sample.loopEnd : null,
+      tuneCents: tuneCents
+    };
+  });
+  
+  return { name: manifest.name || '', samples: samples };
+}
+
+/**
+ * Загружает библиотеку сэмплов набора (один раз на манифест)
+ * Если манифест не задан или не загрузился, используется раскладка по умолчанию (см. createDefaultManifest)
+ * @param {Object} sampleSet - Набор сэмплов (по умолчанию - текущего инструмента)
+ * @returns {Promise<Object>} - Библиотека {name, source, samples}; source - 'manifest' или 'default'
+ */
+async function loadSampleLibrary(sampleSet = getCurrentSampleSet()) {
+  const key = sampleSet.manifest || sampleSet.folder;
+  
+  if (!sampleLibraries[key]) {
+    sampleLibraries[key] = (async () => {
+      if (sampleSet.manifest) {
+        try {
+          const response = await fetch(sampleSet.manifest);
+          if (!response.ok) {
+            throw new Error(`Ошибка загрузки файла: ${response.status}`);
+          }
+          
+          const baseUrl = sampleSet.manifest.includes('/') ? sampleSet.manifest.replace(/[^/]*$/, '') : '';
+          const library = parseSampleManifest(await response.json(), { baseUrl: baseUrl, tuning: sampleSet.tuning });
+          console.log(`✅ Манифест сэмплов ${sampleSet.manifest}: ${library.samples.length} сэмплов`);
+          return { ...library, source: 'manifest' };
+        } catch (error) {
+          console.warn(`⚠️ Манифест сэмплов ${sampleSet.manifest} не загружен (${error.message}), используется раскладка по умолчанию`);
+        }
+      }
+      
+      const library = parseSampleManifest(createDefaultManifest(sampleSet), {
+        baseUrl: `${sampleSet.folder}/`,
+        tuning: sampleSet.tuning
+      });
+      return { ...library, source: 'default' };
+    })();
+  }
+  
+  return sampleLibraries[key];
+}
+
+/**
+ * Сбрасывает загруженные библиотеки (например, после замены манифеста) и счетчики повторов
+ */
+function clearSampleLibraries() {
+  sampleLibraries = {};
+  roundRobinCounters = {};
+}
+
+/**
+ * Возвращает все сэмплы ноты на записанной струне: слои громкости и повторы
+ * @param {Object} library - Библиотека сэмплов
+ * @param {string} string - Записанная струна
+ * @param {number} midi - MIDI номер ноты
+ * @returns {Array} - Сэмплы (пустой массив, если нота не записана)
+ */
+function findSampleZones(library, string, midi) {
+  return library.samples.filter(sample => sample.string === string && sample.midi === midi);
+}
+
+/**
+ * Возвращает записанные ноты струны
+ * @param {Object} library - Библиотека сэмплов
+ * @param {string} string - Записанная струна
+ * @returns {Array} - MIDI номера нот по возрастанию
+ */
+function getRecordedNotes(library, string) {
+  const notes = library.samples.filter(sample => sample.string === string).map(sample => sample.midi);
+  return [...new Set(notes)].sort((a, b) => a - b);
+}
+
+/**
+ * Возвращает слой громкости для силы удара: слой, в диапазон которого она попадает (без такого слоя - ближайший)
+ * @param {Array} zones - Сэмплы одной ноты (см. findSampleZones)
+ * @param {number} velocity - Сила удара (0.0 - 1.0)
+ * @returns {Array} - Повторы слоя по номеру повтора (пустой массив, если сэмплов нет)
+ */
+function getSampleLayer(zones, velocity = DEFAULT_SAMPLE_VELOCITY) {
+  if (!zones || zones.length === 0) {
+    return [];
+  }
+  
+  const distance = zone => Math.max(0, zone.velocityMin - velocity, velocity - zone.velocityMax);
+  const nearest = zones.reduce((best, zone) => distance(zone) < distance(best) ? zone : best);
+  
+  // Повторы слоя - сэмплы с тем же диапазоном силы удара
+  return zones
+    .filter(zone => zone.velocityMin === nearest.velocityMin && zone.velocityMax === nearest.velocityMax)
+    .sort((a, b) => a.roundRobin - b.roundRobin);
+}
+
+/**
+ * Выбирает сэмпл ноты для силы удара
+ * Берется слой громкости (см. getSampleLayer), а его повторы чередуются по кругу:
+ * подряд идущие удары одной ноты звучат разными записями
+ * @param {Array} zones - Сэмплы одной ноты (см. findSampleZones); могут содержать загруженные буферы
+ * @param {number} velocity - Сила удара (0.0 - 1.0)
+ * @param {boolean} rotate - Чередовать повторы (false - всегда первый повтор слоя)
+ * @returns {Object|null} - Выбранный сэмпл или null, если сэмплов нет
+ */
+function selectSampleZone(zones, velocity = DEFAULT_SAMPLE_VELOCITY, rotate = true) {
+  const layer = getSampleLayer(zones, velocity);
+  if (layer.length === 0) {
+    return null;
+  }
+  if (layer.length === 1 || !rotate) {
+    return layer[0];
+  }
+  
+  const first = layer[0];
+  const key = `${first.string}|${first.midi}|${first.velocityMin}-${first.velocityMax}`;
+  const counter = roundRobinCounters[key] || 0;
+  roundRobinCounters[key] = counter + 1;
+  
+  return layer[counter % layer.length];
+}
+
+// Экспортируем функции для использования в других модулях
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SAMPLE_MANIFEST_VERSION,
+    DEFAULT_SAMPLE_VELOCITY,
+    createDefaultManifest,
+    parseSampleManifest,
+    loadSampleLibrary,
+    clearSampleLibraries,
+    findSampleZones,
+    getRecordedNotes,
+    getSampleLayer,
+    selectSampleZone
+  };
+} else {
+  // Для использования в браузере
+  window.SampleLibrary = {
+    SAMPLE_MANIFEST_VERSION,
+    DEFAULT_SAMPLE_VELOCITY,
+    createDefaultManifest,
+    parseSampleManifest,
+    loadSampleLibrary,
+    clearSampleLibraries,
+    findSampleZones,
+    getRecordedNotes,
+    getSampleLayer,
+    selectSampleZone
+  };
+}
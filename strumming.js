@@ -0,0 +1,193 @@
+/**
+ * Модуль ритмических рисунков боя
+ * Рисунок записывается строкой, один символ - один шаг сетки (по умолчанию восьмая):
+ * - "D" - удар вниз (от 6-й струны к 1-й), "U" - удар вверх (от 1-й к 6-й)
+ * - "d", "u" - призрачные удары: тихие, короткие и только по ближним струнам
+ * - ">" перед ударом - акцент: ">D"
+ * - "-" или "." - пауза, аккорд продолжает звучать
+ * Пробелы и "|" игнорируются: "D-DU -UDU" равнозначно "D-DU-UDU"
+ */
+
+// Громкость удара (0.0 - 1.0) в зависимости от его типа
+const STROKE_VELOCITIES = {
+  normal: 0.75,
+  accent: 1.0,
+  ghost: 0.3
+};
+
+// Призрачный удар задевает только ближние струны и сразу глушится
+const GHOST_STROKE_STRINGS = 3;
+const GHOST_STROKE_DURATION = 0.06;
+
+// Готовые рисунки боя: stepsPerBeat - количество шагов сетки на долю
+const STRUM_PATTERNS = [
+  { key: 'quarters', name: 'Четверти вниз', pattern: 'D-D-D-D-', stepsPerBeat: 2 },
+  { key: 'eighths', name: 'Восьмые вниз-вверх', pattern: 'DUDUDUDU', stepsPerBeat: 2 },
+  { key: 'pop', name: 'Поп', pattern: 'D-DU-UDU', stepsPerBeat: 2 },
+  { key: 'rock', name: 'Рок с акцентами', pattern: '>D-DU>D-DU', stepsPerBeat: 2 },
+  { key: 'reggae', name: 'Регги (слабые доли)', pattern: '-U-U-U-U', stepsPerBeat: 2 },
+  { key: 'funk', name: 'Фанк (шестнадцатые)', pattern: 'Dudu>DuduDudu>Dudu', stepsPerBeat: 4 }
+];
+
+/**
+ * Разбирает рисунок боя
+ * @param {string|Array} pattern - Строка рисунка ("D-DU-UDU") или сетка: массив шагов,
+ *                                 где шаг - символ рисунка, null (пауза) или {direction, velocity, accent, ghost}
+ * @returns {Array} - Шаги: {direction: 'down'|'up', velocity, accent, ghost} или null для паузы
+ */
+function parseStrumPattern(pattern) {
+  if (Array.isArray(pattern)) {
+    const steps = pattern.map(step => {
+      if (step === null || typeof step === 'string') {
+        return step === null ? null : parseStrumPattern(step)[0];
+      }
+      if (step.direction !== 'down' && step.direction !== 'up') {
+        throw new Error(`Неверное направление удара: ${step.direction}`);
+      }
+      return createStroke(step.direction, step.accent, step.ghost, step.velocity);
+    });
+    return validateSteps(steps);
+  }
+  
+  const steps = [];
+  const symbols = String(pattern).replace(/[\s|]/g, '');
+  let accent = false;
+  
+  for (let i = 0; i < symbols.length; i++) {
+    const symbol = symbols[i];
+    
+    if (symbol === '>') {
+      accent = true;
+      continue;
+    }
+    
+    if (symbol === '-' || symbol === '.') {
+      if (accent) {
+        throw new Error(`Акцент ">" перед паузой в позиции ${i + 1}`);
+      }
+      steps.push(null);
+      continue;
+    }
+    
+    const direction = { d: 'down', u: 'up' }[symbol.toLowerCase()];
+    if (!direction) {
+      throw new Error(`Неизвестный символ "${symbol}" в рисунке боя (позиция ${i + 1})`);
+    }
+    
+    steps.push(createStroke(direction, accent, symbol === symbol.toLowerCase()));
+    accent = false;
+  }
+  
+  if (accent) {
+    throw new Error('Рисунок боя заканчивается акцентом ">" без удара');
+  }
+  
+  return validateSteps(steps);
+}
+
+/**
+ * Создает шаг-удар; громкость по умолчанию зависит от акцента и призрачности
+ */
+function createStroke(direction, accent = false, ghost = false, velocity = null) {
+  const defaultVelocity = ghost ? STROKE_VELOCITIES.ghost
+    : accent ? STROKE_VELOCITIES.accent
+    : STROKE_VELOCITIES.normal;
+  
+  return {
+    direction: direction,
+    velocity: velocity !== null && velocity !== undefined ? Math.max(0, Math.min(1, velocity)) : defaultVelocity,
+    accent: Boolean(accent),
+    ghost: Boolean(ghost)
+  };
+}
+
+/**
+ * Проверяет, что в рисунке есть хотя бы один удар
+ */
+function validateSteps(steps) {
+  if (!steps.some(step => step !== null)) {
+    throw new Error('Рисунок боя не содержит ни одного удара');
+  }
+  return steps;
+}
+
+/**
+ * Записывает шаги рисунка обратно в строку
+ * @param {Array} steps - Шаги из parseStrumPattern
+ * @returns {string} - Рисунок боя (например, ">D-DU-UDU")
+ */
+function formatStrumPattern(steps) {
+  return steps.map(step => {
+    if (!step) return '-';
+    const symbol = step.direction === 'down' ? 'D' : 'U';
+    return (step.accent ? '>' : '') + (step.ghost ? symbol.toLowerCase() : symbol);
+  }).join('');
+}
+
+/**
+ * Раскладывает удары рисунка на отрезок звучания аккорда
+ * Рисунок привязан к сетке такта: аккорд со 2-й доли начинается с шагов 2-й доли
+ * @param {Array} steps - Шаги из parseStrumPattern
+ * @param {Object} options - Опции раскладки
+ * @returns {Array} - Удары {time, duration, direction, velocity, accent, ghost, stringLimit}; время - от начала аккорда
+ */
+function buildStrokes(steps, options = {}) {
+  const {
+    duration,                // Длительность звучания аккорда (в секундах)
+    secondsPerBeat,          // Длительность доли (в секундах)
+    stepsPerBeat = 2,        // Количество шагов сетки на долю
+    startBeat = 0,           // Доля такта, с которой начинается аккорд (с 0)
+    swing = 0                // Свинг: 0 - ровно, 1 - триольный (слабые шаги запаздывают на треть шага)
+  } = options;
+  
+  const stepDuration = secondsPerBeat / stepsPerBeat;
+  const firstStep = Math.round(startBeat * stepsPerBeat);
+  const stepCount = Math.round(duration / stepDuration);
+  const strokes = [];
+  
+  for (let j = 0; j < stepCount; j++) {
+    const gridStep = firstStep + j;
+    const step = steps[gridStep % steps.length];
+    if (!step) continue;
+    
+    // Свинг сдвигает каждый второй шаг пары
+    const swingDelay = gridStep % 2 === 1 ? swing * stepDuration / 3 : 0;
+    
+    strokes.push({
+      time: j * stepDuration + swingDelay,
+      direction: step.direction,
+      velocity: step.velocity,
+      accent: step.accent,
+      ghost: step.ghost,
+      stringLimit: step.ghost ? GHOST_STROKE_STRINGS : null
+    });
+  }
+  
+  // Каждый удар звучит до следующего, последний - до конца аккорда; призрачный сразу глушится
+  strokes.forEach((stroke, index) => {
+    const endTime = index + 1 < strokes.length ? strokes[index + 1].time : duration;
+    stroke.duration = stroke.ghost ? Math.min(GHOST_STROKE_DURATION, endTime - stroke.time) : endTime - stroke.time;
+  });
+  
+  return strokes;
+}
+
+// Экспортируем функции для использования в других модулях
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STROKE_VELOCITIES,
+    STRUM_PATTERNS,
+    parseStrumPattern,
+    formatStrumPattern,
+    buildStrokes
+  };
+} else {
+  // Для использования в браузере
+  window.Strumming = {
+    STROKE_VELOCITIES,
+    STRUM_PATTERNS,
+    parseStrumPattern,
+    formatStrumPattern,
+    buildStrokes
+  };
+}
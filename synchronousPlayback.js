@@ -3,6 +3,11 @@
  * Реализует шаг 9 из roadmap.md: синхронное воспроизведение (минимизация латентности)
  */
 
+// Параметры планировщика с упреждением: как часто просыпается таймер
+// и на сколько секунд вперед события ставятся на часы AudioContext
+const SCHEDULER_INTERVAL_MS = 25;
+const SCHEDULE_AHEAD_TIME = 0.1;
+
 /**
  * Воспроизводит аккорд синхронно с минимальной задержкой
  * @param {AudioContext} audioContext - Контекст аудио
@@ -17,7 +22,8 @@ async function playChord(audioContext, audioBuffers, options = {}) {
     volume = 1.0,            // Громкость (0.0 - 1.0)
     arpeggio = false,        // Включить арпеджио
     arpeggioDelay = 0.05,    // Задержка между струнами в арпеджио (в секундах)
-    fadeInDuration = 0.01    // Длительность нарастания громкости (в секундах)
+    fadeInDuration = 0.01,   // Длительность нарастания громкости (в секундах)
+    duration = null          // Длительность звучания (в секундах, null - до автоматической остановки)
   } = options;
   
   const result = {
@@ -45,60 +51,19 @@ async function playChord(audioContext, audioBuffers, options = {}) {
     console.log(`Начало воспроизведения аккорда: задержка ${result.actualDelay.toFixed(3)} сек`);
     
     // Создаем источники для каждой струны
-    const sources = [];
-    
-    for (let i = 0; i < audioBuffers.length; i++) {
-      const buffer = audioBuffers[i];
-      
-      if (!buffer) {
-        console.warn(`Буфер для струны ${i + 1} отсутствует, пропускаем`);
-        continue;
-      }
-      
-      // Создаем источник
-      const source = audioContext.createBufferSource();
-      source.buffer = buffer;
-      
-      // Создаем узел громкости для плавного нарастания
-      const gainNode = audioContext.createGain();
-      gainNode.gain.value = 0; // Начинаем с тишины
-      
-      // Подключаем источник к узлу громкости, а узел громкости к выходу
-      source.connect(gainNode);
-      gainNode.connect(audioContext.destination);
-      
-      // Определяем время начала для этой струны
-      let stringStartTime = playbackStartTime;
-      
-      // Если включено арпеджио, добавляем задержку для каждой струны
-      if (arpeggio) {
-        stringStartTime += i * arpeggioDelay;
-      }
-      
-      // Запускаем воспроизведение источника
-      source.start(stringStartTime);
-      
-      // Плавно наращиваем громкость
-      gainNode.gain.linearRampToValueAtTime(volume, stringStartTime + fadeInDuration);
-      
-      // Добавляем источник в список
-      sources.push({
-        source,
-        gainNode,
-        startTime: stringStartTime,
-        stringIndex: i
-      });
-    }
+    const sources = scheduleChord(audioContext, audioBuffers, playbackStartTime, options);
     
     result.sources = sources;
     result.success = true;
     
     console.log(`✅ Аккорд запущен для воспроизведения (${sources.length} струн)`);
     
-    // Автоматически останавливаем воспроизведение через 5 секунд для очистки
-    setTimeout(() => {
-      stopChord(result);
-    }, 5000);
+    // Без заданной длительности автоматически останавливаем воспроизведение через 5 секунд для очистки
+    if (duration === null) {
+      setTimeout(() => {
+        stopChord(result);
+      }, 5000);
+    }
     
     return result;
     
@@ -119,6 +84,106 @@ async function playChord(audioContext, audioBuffers, options = {}) {
   }
 }
 
+/**
+ * Планирует звучание аккорда на точное время часов AudioContext
+ * Не ждет возобновления контекста, поэтому подходит для планировщика с упреждением
+ * @param {AudioContext} audioContext - Контекст аудио
+ * @param {Array<AudioBuffer>} audioBuffers - Массив аудиобуферов для каждой струны
+ * @param {number} startTime - Время начала по часам audioContext (в секундах)
+ * @param {Object} options - Опции воспроизведения (см. playChord)
+ * @returns {Array} - Источники {source, gainNode, startTime, stringIndex}
+ */
+function scheduleChord(audioContext, audioBuffers, startTime, options = {}) {
+  const {
+    volume = 1.0,
+    arpeggio = false,
+    arpeggioDelay = 0.05,
+    fadeInDuration = 0.01,
+    duration = null,
+    releaseDuration = 0.08,  // Длительность затухания в конце звучания (в секундах)
+    stringOffsets = null,    // Задержка начала для каждой струны (в секундах, null - струна пропускается)
+    samples = null,          // Сэмплы струн из библиотеки {detune, playbackRate, loopStart, loopEnd} (см. selectSampleBuffers)
+    destination = audioContext.destination
+  } = options;
+  
+  const sources = [];
+  
+  for (let i = 0; i < audioBuffers.length; i++) {
+    const buffer = audioBuffers[i];
+    
+    if (!buffer) {
+      console.warn(`Буфер для струны ${i + 1} отсутствует, пропускаем`);
+      continue;
+    }
+    
+    if (stringOffsets && (stringOffsets[i] === null || stringOffsets[i] === undefined)) {
+      continue;
+    }
+    
+    // Создаем источник
+    const source = audioContext.createBufferSource();
+    source.buffer = buffer;
+    
+    // Подстройка строя записи, октавный сдвиг сэмпла и петля
+    // (петля нужна, только если звучание ограничено длительностью)
+    const sample = samples ? samples[i] : null;
+    if (sample && sample.detune && source.detune) {
+      source.detune.value = sample.detune;
+    }
+    if (sample && sample.playbackRate && sample.playbackRate !== 1) {
+      source.playbackRate.value = sample.playbackRate;
+    }
+    if (sample && duration !== null && sample.loopStart !== null && sample.loopEnd !== null && sample.loopEnd <= buffer.duration) {
+      source.loop = true;
+      source.loopStart = sample.loopStart;
+      source.loopEnd = sample.loopEnd;
+    }
+    
+    // Создаем узел громкости для плавного нарастания
+    const gainNode = audioContext.createGain();
+    gainNode.gain.value = 0; // Начинаем с тишины
+    
+    // Подключаем источник к узлу громкости, а узел громкости к выходу
+    source.connect(gainNode);
+    gainNode.connect(destination);
+    
+    // Определяем время начала для этой струны
+    let stringStartTime = startTime;
+    
+    // Если включено арпеджио, добавляем задержку для каждой струны
+    if (stringOffsets) {
+      stringStartTime += stringOffsets[i];
+    } else if (arpeggio) {
+      stringStartTime += i * arpeggioDelay;
+    }
+    
+    // Запускаем воспроизведение источника
+    source.start(stringStartTime);
+    
+    // Плавно наращиваем громкость от тишины в момент начала
+    gainNode.gain.setValueAtTime(0, stringStartTime);
+    gainNode.gain.linearRampToValueAtTime(volume, stringStartTime + fadeInDuration);
+    
+    // Глушим струну в конце заданной длительности
+    if (duration !== null) {
+      const endTime = Math.max(startTime + duration, stringStartTime + fadeInDuration);
+      gainNode.gain.setValueAtTime(volume, endTime);
+      gainNode.gain.linearRampToValueAtTime(0, endTime + releaseDuration);
+      source.stop(endTime + releaseDuration);
+    }
+    
+    // Добавляем источник в список
+    sources.push({
+      source,
+      gainNode,
+      startTime: stringStartTime,
+      stringIndex: i
+    });
+  }
+  
+  return sources;
+}
+
 /**
  * Останавливает воспроизведение аккорда
  * @param {Object} playbackResult - Результат функции playChord
@@ -137,8 +202,10 @@ function stopChord(playbackResult) {
     // Останавливаем все источники
     playbackResult.sources.forEach(({ source, gainNode }) => {
       try {
-        // Плавно затухаем
+        // Отменяем запланированные изменения громкости и плавно затухаем
         if (gainNode) {
+          gainNode.gain.cancelScheduledValues(currentTime);
+          gainNode.gain.setValueAtTime(gainNode.gain.value, currentTime);
           gainNode.gain.linearRampToValueAtTime(0, currentTime + 0.1);
         }
         
@@ -160,6 +227,351 @@ function stopChord(playbackResult) {
   }
 }
 
+/**
+ * Планирует удар по струнам: вниз - от нижней (6-й) струны к верхней, вверх - обратно
+ * Громкость удара задается через узлы громкости каждой струны
+ * @param {AudioContext} audioContext - Контекст аудио
+ * @param {Array<AudioBuffer>} audioBuffers - Массив аудиобуферов для каждой струны (от нижней к верхней)
+ * @param {number} startTime - Время начала удара по часам audioContext (в секундах)
+ * @param {Object} options - Опции удара (остальные опции - см. scheduleChord)
+ * @returns {Array} - Источники {source, gainNode, startTime, stringIndex}
+ */
+function scheduleStrum(audioContext, audioBuffers, startTime, options = {}) {
+  const {
+    direction = 'down',      // Направление удара: 'down' или 'up'
+    strumDuration = 0.03,    // Время прохода медиатора по всем струнам (в секундах)
+    velocity = 0.75,         // Сила удара (0.0 - 1.0)
+    volume = 1.0,            // Общая громкость (0.0 - 1.0)
+    activeStrings = null,    // Звучащие струны (массив boolean, null - все)
+    stringLimit = null,      // Сколько струн задевает удар (null - все)
+    fadeInDuration = 0.005   // Атака медиатора короче, чем у мягкого нарастания аккорда
+  } = options;
+  
+  // Струны в порядке прохода медиатора
+  let strings = audioBuffers
+    .map((buffer, index) => index)
+    .filter(index => audioBuffers[index] && (!activeStrings || activeStrings[index]));
+  if (direction === 'up') {
+    strings.reverse();
+  }
+  if (stringLimit !== null) {
+    strings = strings.slice(0, stringLimit);
+  }
+  
+  const stringDelay = strings.length > 1 ? strumDuration / (strings.length - 1) : 0;
+  const stringOffsets = audioBuffers.map(() => null);
+  strings.forEach((index, order) => {
+    stringOffsets[index] = order * stringDelay;
+  });
+  
+  return scheduleChord(audioContext, audioBuffers, startTime, {
+    ...options,
+    volume: volume * velocity,
+    fadeInDuration: fadeInDuration,
+    stringOffsets: stringOffsets
+  });
+}
+
+/**
+ * Планирует щелчок метронома (для отсчета перед началом прогрессии)
+ * @param {AudioContext} audioContext - Контекст аудио
+ * @param {number} time - Время щелчка по часам audioContext (в секундах)
+ * @param {boolean} accent - Сильная доля (щелчок выше и громче)
+ * @param {number} volume - Громкость (0.0 - 1.0)
+ * @returns {Object} - Источник {source, gainNode, startTime}
+ */
+function scheduleClick(audioContext, time, accent = false, volume = 0.5) {
+  const oscillator = audioContext.createOscillator();
+  const gainNode = audioContext.createGain();
+  const clickDuration = 0.05;
+  
+  oscillator.frequency.value = accent ? 1500 : 1000;
+  oscillator.connect(gainNode);
+  gainNode.connect(audioContext.destination);
+  
+  gainNode.gain.setValueAtTime(0, time);
+  gainNode.gain.linearRampToValueAtTime(accent ? volume : volume * 0.6, time + 0.002);
+  gainNode.gain.exponentialRampToValueAtTime(0.001, time + clickDuration);
+  
+  oscillator.start(time);
+  oscillator.stop(time + clickDuration);
+  
+  return { source: oscillator, gainNode, startTime: time };
+}
+
+/**
+ * Выбирает сэмплы струн для силы удара: слой громкости и очередной повтор (см. SampleLibrary.selectSampleZone)
+ * Транспонированный сэмпл, который еще не сдвинут (см. prepareEventSamples), заменяется сэмплом по умолчанию
+ * @param {Object} event - Событие или результат AudioMapper.mapFingeringToSamples {audioBuffers, sampleZones}
+ * @param {number} velocity - Сила удара (0.0 - 1.0, undefined - по умолчанию)
+ * @param {Array|null} strings - Индексы звучащих струн (null - все); повторы чередуются только у них
+ * @returns {Object} - {audioBuffers, samples}: буферы струн и выбранные сэмплы (samples - null без библиотеки)
+ */
+function selectSampleBuffers(event, velocity, strings = null) {
+  const audioBuffers = event.audioBuffers || [];
+  
+  if (!event.sampleZones || typeof window.SampleLibrary === 'undefined') {
+    return { audioBuffers: audioBuffers, samples: null };
+  }
+  
+  const samples = event.sampleZones.map((zones, index) => {
+    if (!zones || (strings && !strings.includes(index))) {
+      return null;
+    }
+    
+    const zone = window.SampleLibrary.selectSampleZone(zones, velocity);
+    return zone.buffer ? zone : window.SampleLibrary.selectSampleZone(zones, window.SampleLibrary.DEFAULT_SAMPLE_VELOCITY, false);
+  });
+  
+  return {
+    audioBuffers: audioBuffers.map((buffer, index) => samples[index] ? samples[index].buffer : buffer),
+    samples: samples
+  };
+}
+
+/**
+ * Готовит транспонированные сэмплы, которые выберут щипки и удары событий (см. AudioMapper.prepareSampleZones):
+ * планирование синхронно, а вокодер считает долго, поэтому сэмплы сдвигаются до начала воспроизведения
+ * @param {AudioContext} audioContext - Контекст аудио
+ * @param {Array} events - События {sampleZones, plucks, strokes, velocity}
+ * @returns {Promise<void>}
+ */
+async function prepareEventSamples(audioContext, events) {
+  if (typeof window.AudioMapper === 'undefined' || typeof window.SampleLibrary === 'undefined') {
+    return;
+  }
+  
+  for (const event of events) {
+    if (!event.sampleZones) continue;
+    
+    // Удары события: сила и струны (null - все)
+    const hits = event.plucks
+      ? event.plucks.map(pluck => ({ velocity: pluck.velocity, strings: [pluck.string] }))
+      : (event.strokes || [event]).map(hit => ({ velocity: hit.velocity, strings: null }));
+    
+    for (let index = 0; index < event.sampleZones.length; index++) {
+      const zones = event.sampleZones[index];
+      if (!zones) continue;
+      
+      const velocities = hits.filter(hit => !hit.strings || hit.strings.includes(index)).map(hit => hit.velocity);
+      await window.AudioMapper.prepareSampleZones(audioContext, zones, velocities);
+    }
+  }
+}
+
+/**
+ * Планирует одно событие последовательности
+ * Событие со щипками plucks (см. Fingerpicking.buildPlucks) играется перебором,
+ * с ударами strokes (см. Strumming.buildStrokes) - боем, иначе - одним аккордом на всю длительность;
+ * сэмплы каждого щипка и удара выбираются по его силе, а повторы чередуются (см. selectSampleBuffers)
+ * @param {AudioContext} audioContext - Контекст аудио
+ * @param {Object} event - Событие {duration, audioBuffers, sampleZones, plucks, strokes, activeStrings, playbackOptions}
+ * @param {number} time - Время начала события по часам audioContext (в секундах)
+ * @param {Object} options - Опции воспроизведения {volume, strumDuration}
+ * @returns {Array} - Источники {source, gainNode, startTime, stringIndex}
+ */
+function scheduleSequenceEvent(audioContext, event, time, options = {}) {
+  const { volume = 1.0, strumDuration = 0.03 } = options;
+  const soundingStrings = (event.audioBuffers || [])
+    .map((buffer, index) => index)
+    .filter(index => !event.activeStrings || event.activeStrings[index]);
+  
+  if (event.plucks) {
+    return event.plucks.flatMap(pluck => {
+      const { audioBuffers, samples } = selectSampleBuffers(event, pluck.velocity, [pluck.string]);
+      return scheduleChord(audioContext, audioBuffers, time + pluck.time, {
+        volume: volume * pluck.velocity,
+        duration: pluck.duration,
+        fadeInDuration: 0.005,
+        stringOffsets: audioBuffers.map((buffer, index) => index === pluck.string ? 0 : null),
+        samples: samples
+      });
+    });
+  }
+  
+  if (event.strokes) {
+    return event.strokes.flatMap(stroke => {
+      const { audioBuffers, samples } = selectSampleBuffers(event, stroke.velocity, soundingStrings);
+      return scheduleStrum(audioContext, audioBuffers, time + stroke.time, {
+        ...stroke,
+        volume: volume,
+        strumDuration: strumDuration,
+        activeStrings: event.activeStrings,
+        samples: samples
+      });
+    });
+  }
+  
+  const { audioBuffers, samples } = selectSampleBuffers(event, event.velocity, soundingStrings);
+  return scheduleChord(audioContext, audioBuffers, time, {
+    ...event.playbackOptions,
+    volume: volume,
+    duration: event.duration,
+    samples: samples
+  });
+}
+
+/**
+ * Запускает воспроизведение последовательности аккордов по часам AudioContext
+ * Таймер каждые SCHEDULER_INTERVAL_MS мс ставит в очередь события ближайших SCHEDULE_AHEAD_TIME секунд,
+ * поэтому точность не зависит от задержек таймеров JavaScript
+ * @param {AudioContext} audioContext - Контекст аудио
+ * @param {Object} sequence - Последовательность (см. Progression.buildTimeline):
+ *                            {events: [{time, duration, audioBuffers, strokes, activeStrings, ...}], countIn: [{time, accent}], countInDuration, duration}
+ *                            Способ игры события - см. scheduleSequenceEvent
+ * @param {Object} options - Опции воспроизведения
+ * @returns {Promise<Object>} - Управление воспроизведением {stop(), isRunning(), startTime}
+ */
+async function startSequencer(audioContext, sequence, options = {}) {
+  const {
+    loop = false,            // Повторять последовательность по кругу
+    delay = 0.1,             // Задержка перед началом (в секундах)
+    volume = 1.0,            // Громкость аккордов (0.0 - 1.0)
+    clickVolume = 0.5,       // Громкость щелчков отсчета (0.0 - 1.0)
+    strumDuration = 0.03,    // Время прохода медиатора по всем струнам при игре боем (в секундах)
+    onEvent = null,          // Вызывается в момент звучания события: onEvent(event, time, cycle)
+    onEnd = null             // Вызывается после окончания последовательности (без повтора)
+  } = options;
+  
+  if (audioContext.state === 'suspended') {
+    await audioContext.resume();
+    console.log('AudioContext возобновлен');
+  }
+  
+  await prepareEventSamples(audioContext, sequence.events);
+  
+  const countIn = sequence.countIn || [];
+  const startTime = audioContext.currentTime + delay;
+  const playbackStartTime = startTime + (sequence.countInDuration || 0);
+  const canLoop = loop && sequence.duration > 0 && sequence.events.length > 0;
+  
+  // Запланированные, но еще не прозвучавшие события (для обратных вызовов)
+  const pendingEvents = [];
+  // Запланированные источники: {source, gainNode, endTime}
+  let activeSources = [];
+  let countInIndex = 0;
+  let eventIndex = 0;
+  let cycle = 0;
+  let running = true;
+  let timerId = null;
+  
+  const finish = () => {
+    running = false;
+    clearInterval(timerId);
+  };
+  
+  const scheduleAhead = () => {
+    if (!running) return;
+    
+    const currentTime = audioContext.currentTime;
+    const horizon = currentTime + SCHEDULE_AHEAD_TIME;
+    
+    while (countInIndex < countIn.length && startTime + countIn[countInIndex].time < horizon) {
+      const click = countIn[countInIndex++];
+      const time = startTime + click.time;
+      
+      const clickSource = scheduleClick(audioContext, time, click.accent, clickVolume);
+      activeSources.push({ ...clickSource, endTime: time + 0.05 });
+      pendingEvents.push({ event: click, time, cycle: 0 });
+    }
+    
+    while (true) {
+      if (eventIndex >= sequence.events.length) {
+        if (!canLoop) break;
+        eventIndex = 0;
+        cycle++;
+      }
+      
+      const event = sequence.events[eventIndex];
+      const time = playbackStartTime + cycle * sequence.duration + event.time;
+      if (time >= horizon) break;
+      
+      const sources = scheduleSequenceEvent(audioContext, event, time, { volume, strumDuration });
+      sources.forEach(source => activeSources.push({ ...source, endTime: time + event.duration + 0.1 }));
+      pendingEvents.push({ event, time, cycle });
+      eventIndex++;
+    }
+    
+    // Сообщаем о событиях, которые уже звучат
+    while (pendingEvents.length > 0 && pendingEvents[0].time <= currentTime) {
+      const { event, time, cycle: eventCycle } = pendingEvents.shift();
+      if (onEvent) {
+        onEvent(event, time, eventCycle);
+      }
+    }
+    
+    activeSources = activeSources.filter(source => source.endTime > currentTime);
+    
+    if (!canLoop && eventIndex >= sequence.events.length && pendingEvents.length === 0 &&
+        currentTime >= playbackStartTime + sequence.duration) {
+      finish();
+      console.log('✅ Последовательность аккордов воспроизведена');
+      if (onEnd) {
+        onEnd();
+      }
+    }
+  };
+  
+  console.log(`Запуск последовательности: ${sequence.events.length} событий, ${sequence.duration.toFixed(2)} сек${canLoop ? ', по кругу' : ''}`);
+  
+  scheduleAhead();
+  timerId = setInterval(scheduleAhead, SCHEDULER_INTERVAL_MS);
+  
+  return {
+    startTime: startTime,
+    playbackStartTime: playbackStartTime,
+    isRunning: () => running,
+    stop: () => {
+      if (!running) return false;
+      finish();
+      return stopChord({ sources: activeSources });
+    }
+  };
+}
+
+/**
+ * Отрисовывает последовательность в аудиобуфер без воспроизведения (через OfflineAudioContext)
+ * События планируются тем же графом, что и при воспроизведении (см. scheduleSequenceEvent),
+ * поэтому бой, перебор, огибающие и громкость в записи совпадают с тем, что слышно в браузере
+ * @param {Object} sequence - Последовательность {events, countIn, countInDuration, duration} (см. startSequencer)
+ * @param {Object} options - Опции отрисовки
+ * @returns {Promise<AudioBuffer>} - Отрисованный звук
+ */
+async function renderSequence(sequence, options = {}) {
+  const {
+    sampleRate = 44100,      // Частота дискретизации (Гц)
+    numberOfChannels = 2,    // Количество каналов
+    volume = 1.0,            // Громкость аккордов (0.0 - 1.0)
+    clickVolume = 0.5,       // Громкость щелчков отсчета (0.0 - 1.0)
+    strumDuration = 0.03,    // Время прохода медиатора по всем струнам при игре боем (в секундах)
+    includeCountIn = false,  // Записать щелчки отсчета перед началом
+    tailDuration = 1.5       // Время на затухание после конца последовательности (в секундах)
+  } = options;
+  
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) {
+    throw new Error('OfflineAudioContext не поддерживается браузером');
+  }
+  
+  const startTime = includeCountIn ? (sequence.countInDuration || 0) : 0;
+  const length = Math.ceil((startTime + sequence.duration + tailDuration) * sampleRate);
+  const offlineContext = new OfflineContext(numberOfChannels, length, sampleRate);
+  await prepareEventSamples(offlineContext, sequence.events);
+  
+  if (includeCountIn) {
+    (sequence.countIn || []).forEach(click => scheduleClick(offlineContext, click.time, click.accent, clickVolume));
+  }
+  sequence.events.forEach(event => {
+    scheduleSequenceEvent(offlineContext, event, startTime + event.time, { volume, strumDuration });
+  });
+  
+  console.log(`🎙️ Отрисовка ${sequence.events.length} событий (${(length / sampleRate).toFixed(1)} сек)...`);
+  const audioBuffer = await offlineContext.startRendering();
+  console.log('✅ Отрисовка завершена');
+  
+  return audioBuffer;
+}
+
 /**
  * Воспроизводит аккорд с аппликатурой
  * @param {AudioContext} audioContext - Контекст аудио
@@ -169,9 +581,10 @@ function stopChord(playbackResult) {
  */
 async function playChordWithFingering(audioContext, fingering, options = {}) {
   try {
-    // Проверяем, что аппликатура содержит все 6 струн
-    if (fingering.length !== 6) {
-      throw new Error(`Аппликатура должна содержать 6 струн, получено: ${fingering.length}`);
+    // Проверяем, что аппликатура содержит все струны инструмента
+    const stringCount = window.NoteUtils.STRINGS_ORDER.length;
+    if (fingering.length !== stringCount) {
+      throw new Error(`Аппликатура должна содержать ${stringCount} струн, получено: ${fingering.length}`);
     }
     
     // Сопоставляем аппликатуру с аудиофайлами
@@ -181,8 +594,10 @@ async function playChordWithFingering(audioContext, fingering, options = {}) {
       throw new Error('Не удалось сопоставить аппликатуру с аудиофайлами');
     }
     
-    // Воспроизводим аккорд
-    const playbackResult = await playChord(audioContext, mappingResult.audioBuffers, options);
+    // Воспроизводим аккорд сэмплами слоя громкости по умолчанию (с очередным повтором)
+    await prepareEventSamples(audioContext, [mappingResult]);
+    const { audioBuffers, samples } = selectSampleBuffers(mappingResult);
+    const playbackResult = await playChord(audioContext, audioBuffers, { ...options, samples: samples });
     
     // Добавляем информацию об аппликатуре в результат
     playbackResult.fingering = fingering;
@@ -268,16 +683,32 @@ async function measureLatency(audioContext, audioBuffers, iterations = 10) {
 // Экспортируем функции для использования в других модулях
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    SCHEDULER_INTERVAL_MS,
+    SCHEDULE_AHEAD_TIME,
     playChord,
+    scheduleChord,
+    scheduleStrum,
+    selectSampleBuffers,
+    prepareEventSamples,
     stopChord,
+    startSequencer,
+    renderSequence,
     playChordWithFingering,
     measureLatency
   };
 } else {
   // Для использования в браузере
   window.SynchronousPlayback = {
+    SCHEDULER_INTERVAL_MS,
+    SCHEDULE_AHEAD_TIME,
     playChord,
+    scheduleChord,
+    scheduleStrum,
+    selectSampleBuffers,
+    prepareEventSamples,
     stopChord,
+    startSequencer,
+    renderSequence,
     playChordWithFingering,
     measureLatency
   };
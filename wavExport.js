@@ -0,0 +1,113 @@
+/**
+ * Модуль записи аудиобуфера в WAV-файл (PCM, 16 или 24 бита)
+ */
+
+// Поддерживаемые разрядности
+const WAV_BIT_DEPTHS = [16, 24];
+
+/**
+ * Возвращает пиковый уровень буфера (наибольшее по модулю значение отсчета во всех каналах)
+ * @param {AudioBuffer} audioBuffer - Аудиобуфер
+ * @returns {number} - Пиковый уровень (1.0 - полная шкала, больше - перегрузка)
+ */
+function getPeakLevel(audioBuffer) {
+  let peak = 0;
+  
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const samples = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < samples.length; i++) {
+      const level = Math.abs(samples[i]);
+      if (level > peak) peak = level;
+    }
+  }
+  
+  return peak;
+}
+
+/**
+ * Кодирует аудиобуфер в WAV
+ * Отсчеты за пределами полной шкалы ограничиваются; при normalize буфер сначала приводится к пиковому уровню peakLevel
+ * @param {AudioBuffer} audioBuffer - Аудиобуфер
+ * @param {Object} options - Опции записи
+ * @returns {ArrayBuffer} - Содержимое .wav файла
+ */
+function encodeWav(audioBuffer, options = {}) {
+  const {
+    bitDepth = 16,           // Разрядность: 16 или 24 бита
+    normalize = false,       // Привести громкость к пиковому уровню peakLevel
+    peakLevel = 0.95         // Пиковый уровень нормализации (0.0 - 1.0)
+  } = options;
+  
+  if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Неподдерживаемая разрядность WAV: ${bitDepth} (допустимо: ${WAV_BIT_DEPTHS.join(', ')})`);
+  }
+  
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numberOfChannels * bytesPerSample;
+  const dataSize = length * blockAlign;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+  
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+  
+  // Заголовок RIFF и блок формата PCM
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+  
+  const peak = normalize ? getPeakLevel(audioBuffer) : 0;
+  const gain = normalize && peak > 0 ? peakLevel / peak : 1;
+  const maxValue = Math.pow(2, bitDepth - 1) - 1;
+  const channels = Array.from({ length: numberOfChannels }, (value, channel) => audioBuffer.getChannelData(channel));
+  
+  // Отсчеты каналов чередуются: L R L R ...
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][i] * gain));
+      const value = Math.round(sample * maxValue);
+      
+      if (bitDepth === 16) {
+        view.setInt16(offset, value, true);
+      } else {
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  
+  return buffer;
+}
+
+// Экспортируем функции для использования в других модулях
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WAV_BIT_DEPTHS,
+    getPeakLevel,
+    encodeWav
+  };
+} else {
+  // Для использования в браузере
+  window.WavExport = {
+    WAV_BIT_DEPTHS,
+    getPeakLevel,
+    encodeWav
+  };
+}